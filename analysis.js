@@ -0,0 +1,334 @@
+// Analytical Results - Expected payoffs of memory-one strategies computed from Markov chains
+
+// Outcome states from player 1's point of view: [player 1 move, player 2 move]
+const MARKOV_STATES = [[COOPERATE, COOPERATE], [COOPERATE, DEFECT], [DEFECT, COOPERATE], [DEFECT, DEFECT]];
+
+// Memory-One Analysis Class - treats a match between two memory-one strategies as a Markov chain
+class MemoryOneAnalysis {
+    constructor(payoffMatrix, noise = {}) {
+        this.payoffMatrix = payoffMatrix;
+        this.implementationError = noise.implementationError || 0;
+        this.perceptionError = noise.perceptionError || 0;
+    }
+
+    // Cooperation probability after the given own/opponent moves, including noise
+    // (misperception mixes in the response to the flipped opponent move, then execution errors flip the result)
+    getCooperationProbability(vector, myMove, opponentMove) {
+        const intended = (1 - this.perceptionError) * vector['p' + myMove + opponentMove]
+            + this.perceptionError * vector['p' + myMove + flipMove(opponentMove)];
+        return this.applyImplementationError(intended);
+    }
+
+    applyImplementationError(probability) {
+        return (1 - this.implementationError) * probability + this.implementationError * (1 - probability);
+    }
+
+    // Distribution over the first round's outcome
+    getInitialDistribution(vector1, vector2) {
+        const p = this.applyImplementationError(vector1.p0);
+        const q = this.applyImplementationError(vector2.p0);
+        return [p * q, p * (1 - q), (1 - p) * q, (1 - p) * (1 - q)];
+    }
+
+    // Transition probabilities between outcome states (rows: from, columns: to)
+    getTransitionMatrix(vector1, vector2) {
+        return MARKOV_STATES.map(([move1, move2]) => {
+            // Player 2 sees the same outcome with the roles swapped
+            const p = this.getCooperationProbability(vector1, move1, move2);
+            const q = this.getCooperationProbability(vector2, move2, move1);
+            return [p * q, p * (1 - q), (1 - p) * q, (1 - p) * (1 - q)];
+        });
+    }
+
+    // One step of the chain: distribution * transition matrix
+    advance(distribution, transitionMatrix) {
+        return [0, 1, 2, 3].map(to =>
+            distribution.reduce((sum, probability, from) => sum + probability * transitionMatrix[from][to], 0));
+    }
+
+    // Solve for the unique stationary distribution; null if the chain has several
+    solveStationary(transitionMatrix) {
+        // Equations: sum over i of pi_i * (M[i][j] - [i === j]) = 0 for j = 0..2, plus sum of pi_i = 1
+        const system = [0, 1, 2].map(j => [
+            ...[0, 1, 2, 3].map(i => transitionMatrix[i][j] - (i === j ? 1 : 0)),
+            0
+        ]);
+        system.push([1, 1, 1, 1, 1]);
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < 4; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 4; row++) {
+                if (Math.abs(system[row][col]) > Math.abs(system[pivot][col])) pivot = row;
+            }
+            if (Math.abs(system[pivot][col]) < 1e-12) {
+                return null; // Singular: more than one recurrent class
+            }
+            [system[col], system[pivot]] = [system[pivot], system[col]];
+
+            for (let row = 0; row < 4; row++) {
+                if (row === col) continue;
+                const factor = system[row][col] / system[col][col];
+                for (let k = col; k <= 4; k++) {
+                    system[row][k] -= factor * system[col][k];
+                }
+            }
+        }
+
+        return system.map((row, i) => Math.max(0, row[4] / row[i]));
+    }
+
+    // Long-run average of the outcome distribution starting from the first round
+    // (equals the stationary distribution when it is unique)
+    getLongRunDistribution(vector1, vector2) {
+        const transitionMatrix = this.getTransitionMatrix(vector1, vector2);
+        const stationary = this.solveStationary(transitionMatrix);
+        if (stationary) {
+            return stationary;
+        }
+
+        // Several stationary distributions: the starting state decides, so average the chain over time
+        const steps = 100000;
+        let distribution = this.getInitialDistribution(vector1, vector2);
+        const average = [0, 0, 0, 0];
+        for (let t = 0; t < steps; t++) {
+            distribution.forEach((probability, state) => {
+                average[state] += probability / steps;
+            });
+            distribution = this.advance(distribution, transitionMatrix);
+        }
+        return average;
+    }
+
+    // Expected payoffs of one round given a distribution over outcomes
+    getExpectedPayoffs(distribution) {
+        let payoff1 = 0;
+        let payoff2 = 0;
+        MARKOV_STATES.forEach(([move1, move2], state) => {
+            const [statePayoff1, statePayoff2] = this.payoffMatrix.getPayoff(move1, move2);
+            payoff1 += distribution[state] * statePayoff1;
+            payoff2 += distribution[state] * statePayoff2;
+        });
+        return [payoff1, payoff2];
+    }
+
+    // Stationary (long-run) payoff per round for both players
+    getStationaryPayoffs(vector1, vector2) {
+        const distribution = this.getLongRunDistribution(vector1, vector2);
+        const [payoff1, payoff2] = this.getExpectedPayoffs(distribution);
+        return {
+            payoff1: payoff1,
+            payoff2: payoff2,
+            distribution: distribution
+        };
+    }
+}
+
+// How the payoff calculator computes the expected payoffs of a pairing, and the display names
+const PAYOFF_CALCULATION_METHODS = {
+    exact: 'Exact',
+    markov: 'Markov chain'
+};
+
+// Payoff Calculator Class - expected total payoffs of the games of a tournament, computed without the game
+// engine: exactly when neither player makes a random draw in a game without noise, or from the Markov chain
+// of two memory-one strategies otherwise. Simulated scores far from their expectation point to a bug in
+// Game.play (or in a strategy's memory-one vector)
+class PayoffCalculator {
+    constructor(tournament, settings = {}) {
+        this.tournament = tournament; // Provides payoff matrix, strategy parameters, noise and game length
+        this.carryLearning = settings.carryLearning || false; // Whether learning strategies carried their learning
+        this.payoffMatrix = tournament.payoffMatrix;
+        this.noisy = (tournament.noise.implementationError || 0) > 0 || (tournament.noise.perceptionError || 0) > 0;
+        this.analysis = new MemoryOneAnalysis(tournament.payoffMatrix, tournament.noise);
+    }
+
+    // Simulated scores more standard deviations than this from their expectation are deviations (when the
+    // expectation is exact, any difference is)
+    static get DEVIATION_THRESHOLD() {
+        return 3;
+    }
+
+    // Total payoffs of a game of the given length between new players of two entrants, played move by move;
+    // null if a player asks for a random number, as its moves are then not determined
+    computeExact(entry1, entry2, numRounds) {
+        let randomDraws = 0;
+        const noRandom = {
+            random: () => {
+                randomDraws++;
+                return 0;
+            }
+        };
+        const players = [this.tournament.createEntrant(entry1), this.tournament.createEntrant(entry2)];
+        players.forEach((player, index) => {
+            player.randomStream = noRandom;
+            player.payoffs = this.payoffMatrix.getPlayerPayoffs(index + 1);
+        });
+
+        const totals = [0, 0];
+        for (let round = 0; round < numRounds; round++) {
+            const move1 = players[0].makeMove();
+            const move2 = players[1].makeMove();
+            if (randomDraws > 0) {
+                return null;
+            }
+            const [payoff1, payoff2] = this.payoffMatrix.getPayoff(move1, move2);
+            players[0].recordMove(move1, move2);
+            players[1].recordMove(move2, move1);
+            players[0].updateScore(payoff1, payoff2);
+            players[1].updateScore(payoff2, payoff1);
+            totals[0] += payoff1;
+            totals[1] += payoff2;
+        }
+        return { expected: totals, variance: [0, 0] };
+    }
+
+    // Mean and variance of both players' total payoffs over the given number of rounds of the Markov chain.
+    // Alongside the outcome distribution, each player carries the first and second moments of its total so
+    // far restricted to each outcome, which the payoff of the next outcome updates
+    computeMarkov(vector1, vector2, numRounds) {
+        const transitionMatrix = this.analysis.getTransitionMatrix(vector1, vector2);
+        const payoffs = [0, 1].map(player => MARKOV_STATES.map(([move1, move2]) => this.payoffMatrix.getPayoff(move1, move2)[player]));
+
+        let distribution = this.analysis.getInitialDistribution(vector1, vector2);
+        let first = payoffs.map(values => distribution.map((probability, state) => probability * values[state]));
+        let second = payoffs.map(values => distribution.map((probability, state) => probability * values[state] * values[state]));
+        for (let round = 2; round <= numRounds; round++) {
+            distribution = this.analysis.advance(distribution, transitionMatrix);
+            const moved = first.map(values => this.analysis.advance(values, transitionMatrix));
+            second = second.map((values, player) => this.analysis.advance(values, transitionMatrix).map((value, state) => {
+                const payoff = payoffs[player][state];
+                return value + 2 * payoff * moved[player][state] + distribution[state] * payoff * payoff;
+            }));
+            first = moved.map((values, player) => values.map((value, state) => value + distribution[state] * payoffs[player][state]));
+        }
+
+        const expected = first.map(values => values.reduce((sum, value) => sum + value, 0));
+        const variance = second.map((values, player) =>
+            Math.max(0, values.reduce((sum, value) => sum + value, 0) - expected[player] * expected[player]));
+        return { expected: expected, variance: variance };
+    }
+
+    // Expected total payoffs of an indefinite game between two memory-one strategies, in which round t is
+    // played with probability continuationProb^(t - 1), up to Game.MAX_ROUNDS
+    computeMarkovIndefinite(vector1, vector2) {
+        const continuationProb = this.tournament.continuationProb;
+        const transitionMatrix = this.analysis.getTransitionMatrix(vector1, vector2);
+        let distribution = this.analysis.getInitialDistribution(vector1, vector2);
+        let weight = 1;
+        const expected = [0, 0];
+        for (let round = 1; round <= Game.MAX_ROUNDS && weight > 1e-12; round++) {
+            const [payoff1, payoff2] = this.analysis.getExpectedPayoffs(distribution);
+            expected[0] += weight * payoff1;
+            expected[1] += weight * payoff2;
+            distribution = this.analysis.advance(distribution, transitionMatrix);
+            weight *= continuationProb;
+        }
+        return expected;
+    }
+
+    // Expected and simulated total payoffs of the games of two entrants in the same seats (results from
+    // Game.play), as means per game. The method is 'exact', 'markov' or null with the reason neither applies;
+    // games of different lengths are each computed for the number of rounds they were played
+    analyzePairing(entry1, entry2, results) {
+        const lengths = results.map(result => result.roundHistory.length);
+        const pairing = {
+            strategy1Name: results[0].strategy1Name,
+            strategy2Name: results[0].strategy2Name,
+            games: results.length,
+            rounds: lengths.reduce((sum, length) => sum + length, 0) / results.length,
+            simulated: [0, 1].map(player =>
+                results.reduce((sum, result) => sum + (player === 0 ? result.finalScore1 : result.finalScore2), 0) / results.length),
+            method: null,
+            reason: null,
+            expected: null,
+            standardError: null,
+            deviation: null,
+            deviates: false
+        };
+
+        const strategies = [this.tournament.createEntrant(entry1), this.tournament.createEntrant(entry2)];
+        const vectors = strategies.map(strategy => strategy.getMemoryOneVector());
+        const memoryOne = vectors[0] !== null && vectors[1] !== null;
+        if (this.tournament.continuationProb !== null && memoryOne) {
+            pairing.expectedOverLength = this.computeMarkovIndefinite(vectors[0], vectors[1]);
+        }
+        if (this.carryLearning && strategies.some(strategy => strategy.getLearnedState() !== null)) {
+            pairing.reason = 'Learns from game to game';
+            return pairing;
+        }
+
+        // Expected payoffs of every game by a method (null if it does not apply), each length computed once
+        const computeGames = method => {
+            const byLength = {};
+            for (const length of lengths) {
+                if (byLength[length] === undefined) {
+                    byLength[length] = method(length);
+                    if (byLength[length] === null) return null;
+                }
+            }
+            return lengths.map(length => byLength[length]);
+        };
+        let games = this.noisy ? null : computeGames(length => this.computeExact(entry1, entry2, length));
+        if (games) {
+            pairing.method = 'exact';
+        } else if (memoryOne) {
+            games = computeGames(length => this.computeMarkov(vectors[0], vectors[1], length));
+            pairing.method = 'markov';
+        } else {
+            pairing.reason = this.noisy ? 'Noise, and not both memory-one' : 'Random moves, and not both memory-one';
+            return pairing;
+        }
+
+        pairing.expected = [0, 1].map(player => games.reduce((sum, game) => sum + game.expected[player], 0) / results.length);
+        pairing.standardError = [0, 1].map(player =>
+            Math.sqrt(games.reduce((sum, game) => sum + game.variance[player], 0)) / results.length);
+        pairing.deviation = [0, 1].map(player => {
+            const difference = pairing.simulated[player] - pairing.expected[player];
+            if (pairing.standardError[player] > 0) {
+                return difference / pairing.standardError[player];
+            }
+            // An exact expectation is only met by rounding; a miss has no finite deviation, so it is null
+            // and the pairing deviates
+            return Math.abs(difference) <= 1e-9 * Math.max(1, Math.abs(pairing.expected[player])) ? 0 : null;
+        });
+        pairing.deviates = pairing.deviation.some(value =>
+            value === null || Math.abs(value) > PayoffCalculator.DEVIATION_THRESHOLD);
+        return pairing;
+    }
+
+    // Pairings with the number computed and the number that deviate
+    summarize(pairings) {
+        return {
+            pairings: pairings,
+            analyzed: pairings.filter(pairing => pairing.method !== null).length,
+            deviations: pairings.filter(pairing => pairing.deviates).length,
+            threshold: PayoffCalculator.DEVIATION_THRESHOLD
+        };
+    }
+
+    // Check of a pairwise match (the entrants { code, params } of Tournament.runPairwise)
+    analyzePairwise(entry1, entry2, result) {
+        return this.summarize([this.analyzePairing(entry1, entry2, [result])]);
+    }
+
+    // Check of every pairing of a round-robin (roster: the labelled entrants it was played with), one per
+    // pair of seats, over all its repetitions
+    analyzeRoundRobin(roster, result) {
+        const entries = {};
+        roster.forEach(entry => {
+            entries[this.tournament.createEntrant(entry).name] = entry;
+        });
+
+        const groups = new Map();
+        result.matchResults.forEach(match => {
+            const key = JSON.stringify([match.strategy1Name, match.strategy2Name]);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(match);
+        });
+        return this.summarize(Array.from(groups.values()).map(matches =>
+            this.analyzePairing(entries[matches[0].strategy1Name], entries[matches[0].strategy2Name], matches)));
+    }
+}
@@ -7,19 +7,1014 @@ const visualizer = new Visualizer();
 const runButton = document.getElementById('run-simulation');
 const pairwiseRadio = document.getElementById('mode-pairwise');
 const roundRobinRadio = document.getElementById('mode-roundrobin');
+const populationRadio = document.getElementById('mode-population');
+const moranRadio = document.getElementById('mode-moran');
+const geneticRadio = document.getElementById('mode-genetic');
+const spatialRadio = document.getElementById('mode-spatial');
+const sweepRadio = document.getElementById('mode-sweep');
+const playRadio = document.getElementById('mode-play');
+const groupRadio = document.getElementById('mode-group');
+const bracketRadio = document.getElementById('mode-bracket');
 const pairwiseSection = document.getElementById('pairwise-section');
+const rosterSection = document.getElementById('roster-section');
+const roundRobinSection = document.getElementById('round-robin-section');
+const populationSection = document.getElementById('population-section');
+const moranSection = document.getElementById('moran-section');
+const geneticSection = document.getElementById('genetic-section');
+const spatialSection = document.getElementById('spatial-section');
+const sweepSection = document.getElementById('sweep-section');
+const groupSection = document.getElementById('group-section');
+const bracketSection = document.getElementById('bracket-section');
+const spatialPlayButton = document.getElementById('spatial-play');
+const spatialStepButton = document.getElementById('spatial-step');
+
+// Spatial mode state (the lattice is animated generation by generation)
+let spatialGame = null;
+let spatialTimer = null;
+let spatialDelay = 300;
+
+// Replay of the last pairwise match ({ result, events }), the round it shows and its playback timer
+let replayMatch = null;
+let replayRound = 0;
+let replayTimer = null;
+const replayPlayButton = document.getElementById('replay-play');
+
+// Interactive match against a strategy ({ match, settings }), played a round per button press
+let playSession = null;
+const playCooperateButton = document.getElementById('play-cooperate');
+const playDefectButton = document.getElementById('play-defect');
+
+// Last genetic algorithm run ({ result, settings }), whose best genome can be saved or added as a strategy
+let geneticRun = null;
+
+// Parameter sweep state (grid points open as full tournaments when clicked)
+let currentSweep = null;
+let currentSweepResult = null;
+let selectedSweepPoint = null;
+
+// Simulations run in Web Workers (see runner.js) while the page shows their progress
+const simulationRunner = new SimulationRunner();
+const progressContainer = document.getElementById('progress-container');
 const durationFixedRadio = document.getElementById('duration-fixed');
 const durationIndefiniteRadio = document.getElementById('duration-indefinite');
 const fixedRoundsSection = document.getElementById('fixed-rounds-section');
 const indefiniteSection = document.getElementById('indefinite-section');
 
-// Show/hide pairwise strategy selection based on mode
+// Show/hide mode-specific settings based on mode
 function updateUIForMode() {
-    if (pairwiseRadio.checked) {
+    if (pairwiseRadio.checked || playRadio.checked) {
         pairwiseSection.style.display = 'block';
+        rosterSection.style.display = 'none';
+    } else if (groupRadio.checked) {
+        // The group is made up in its own section
+        pairwiseSection.style.display = 'none';
+        rosterSection.style.display = 'none';
     } else {
         pairwiseSection.style.display = 'none';
+        rosterSection.style.display = 'block';
+    }
+    
+    // Round-robin settings apply wherever a round-robin is played
+    roundRobinSection.style.display = roundRobinRadio.checked || populationRadio.checked || sweepRadio.checked ? 'block' : 'none';
+    
+    // Interactive play only picks the opponent; the person is the other player
+    document.getElementById('strategy1-slot').style.display = playRadio.checked ? 'none' : 'block';
+    document.getElementById('pairwise-section-title').textContent = playRadio.checked ? 'Select Opponent' : 'Select Strategies';
+    document.getElementById('strategy2-label').textContent = playRadio.checked ? 'Opponent:' : 'Strategy 2:';
+
+    if (populationRadio.checked) {
+        populationSection.style.display = 'block';
+    } else {
+        populationSection.style.display = 'none';
+    }
+    
+    if (moranRadio.checked) {
+        moranSection.style.display = 'block';
+    } else {
+        moranSection.style.display = 'none';
+    }
+    
+    if (geneticRadio.checked) {
+        geneticSection.style.display = 'block';
+    } else {
+        geneticSection.style.display = 'none';
+    }
+    
+    if (spatialRadio.checked) {
+        spatialSection.style.display = 'block';
+    } else {
+        spatialSection.style.display = 'none';
+    }
+    
+    if (sweepRadio.checked) {
+        sweepSection.style.display = 'block';
+    } else {
+        sweepSection.style.display = 'none';
+    }
+    
+    if (groupRadio.checked) {
+        groupSection.style.display = 'block';
+    } else {
+        groupSection.style.display = 'none';
+    }
+    
+    if (bracketRadio.checked) {
+        bracketSection.style.display = 'block';
+    } else {
+        bracketSection.style.display = 'none';
+    }
+}
+
+// Options for a strategy dropdown, one per available strategy
+function getStrategyOptionsHtml() {
+    let html = '';
+    StrategyFactory.getAllStrategyCodes().forEach(code => {
+        html += `<option value="${code}">${StrategyFactory.getStrategyLabel(code)}</option>`;
+    });
+    return html;
+}
+
+// Fill the pairwise strategy dropdowns with every available strategy
+function renderStrategySelects() {
+    const defaults = { strategy1: 'TFT', strategy2: 'ALLD' };
+    
+    Object.keys(defaults).forEach(selectId => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = getStrategyOptionsHtml();
+        select.value = defaults[selectId];
+    });
+}
+
+// Build one initial share input per roster entrant for population dynamics
+// (existing values are kept for entrants that are still in the roster)
+function renderPopulationShareInputs() {
+    const container = document.getElementById('population-shares');
+    const previousValues = {};
+    container.querySelectorAll('input').forEach(input => {
+        previousValues[input.dataset.rowId] = input.value;
+    });
+    
+    let html = '';
+    document.querySelectorAll('#roster-entries .roster-entry').forEach(row => {
+        const rowId = row.dataset.rowId;
+        const value = previousValues[rowId] !== undefined ? previousValues[rowId] : '1';
+        html += `
+            <div class="payoff-item">
+                <label for="share-${rowId}">${escapeHtml(getRosterRowTitle(row))}:</label>
+                <input type="number" id="share-${rowId}" data-row-id="${rowId}" value="${value}" min="0" step="0.1">
+            </div>
+        `;
+    });
+    
+    container.innerHTML = html;
+}
+
+// Build one member count input per group strategy for the N-player game
+function renderGroupCountInputs(counts) {
+    let html = '';
+    GroupStrategyFactory.getStrategyCodes().forEach(code => {
+        html += `
+            <div class="payoff-item">
+                <label for="group-count-${code}">${GroupStrategyFactory.createStrategy(code).name}:</label>
+                <input type="number" id="group-count-${code}" data-code="${code}" value="${counts[code] || 0}" min="0" max="100">
+            </div>
+        `;
+    });
+    document.getElementById('group-counts').innerHTML = html;
+}
+
+// The multiplication factor and contribution only apply to the public goods game
+function updateGroupPayoffSettings() {
+    const isPublicGoods = document.getElementById('group-payoff').value === 'publicGoods';
+    document.getElementById('group-public-goods-settings').style.display = isPublicGoods ? 'grid' : 'none';
+    document.getElementById('group-payoff-note').textContent = isPublicGoods
+        ? 'Each cooperator pays c into a pot that is multiplied by r and shared by the whole group; a dilemma when 1 < r < group size'
+        : 'Payoffs rise linearly with the fraction of the others who cooperate: from S to R for a cooperator, from P to T for a defector';
+}
+
+// Memory-one vector fields and their input labels
+const MEMORY_ONE_FIELDS = [
+    ['p0', 'First'],
+    ['pCC', 'CC'],
+    ['pCD', 'CD'],
+    ['pDC', 'DC'],
+    ['pDD', 'DD']
+];
+
+// Payoffs { T, R, P, S } entered for player 1 (prefix 'payoff') or player 2 (prefix 'payoff2')
+function readPlayerPayoffInputs(prefix) {
+    const payoffs = {};
+    ['T', 'R', 'P', 'S'].forEach(key => {
+        payoffs[key] = parseFloat(document.getElementById(`${prefix}-${key.toLowerCase()}`).value);
+    });
+    return payoffs;
+}
+
+function setPlayerPayoffInputs(prefix, payoffs) {
+    ['T', 'R', 'P', 'S'].forEach(key => {
+        document.getElementById(`${prefix}-${key.toLowerCase()}`).value = payoffs[key];
+    });
+}
+
+// Payoff matrix currently entered in the form
+function readPayoffMatrixInputs() {
+    const { T, R, P, S } = readPlayerPayoffInputs('payoff');
+    const asymmetric = document.getElementById('payoff-asymmetric').checked;
+    return new PayoffMatrix(T, R, P, S, asymmetric ? readPlayerPayoffInputs('payoff2') : null);
+}
+
+// Game presets, one per class of 2x2 game
+function renderGamePresetOptions() {
+    let html = '<option value="">Custom</option>';
+    Object.entries(GAME_CLASSES).forEach(([key, gameClass]) => {
+        html += `<option value="${key}">${gameClass.name}</option>`;
+    });
+    document.getElementById('game-preset').innerHTML = html;
+}
+
+// Fill the payoffs with a preset (a symmetric game)
+function applyGamePreset() {
+    const key = document.getElementById('game-preset').value;
+    if (!key) return;
+    setPlayerPayoffInputs('payoff', GAME_CLASSES[key].preset);
+    document.getElementById('payoff-asymmetric').checked = false;
+    updateGameClass();
+}
+
+// Start player 2 from player 1's payoffs when the game becomes asymmetric
+function toggleAsymmetricPayoffs() {
+    if (document.getElementById('payoff-asymmetric').checked) {
+        setPlayerPayoffInputs('payoff2', readPlayerPayoffInputs('payoff'));
+    }
+    updateGameClass();
+}
+
+// Show which class of game the payoffs make, in the T-S plane, and the preset they match (if any)
+function updateGameClass() {
+    const payoffMatrix = readPayoffMatrixInputs();
+    const asymmetric = !payoffMatrix.isSymmetric();
+    document.getElementById('payoff2-section').style.display = asymmetric ? 'block' : 'none';
+    document.getElementById('payoff-player1-title').style.display = asymmetric ? 'block' : 'none';
+    document.getElementById('payoff-asymmetric-note').style.display = asymmetric ? 'block' : 'none';
+    
+    const players = (asymmetric ? [1, 2] : [1]).map(player => {
+        const { T, R, P, S } = payoffMatrix.getPlayerPayoffs(player);
+        return {
+            label: asymmetric ? `Player ${player}` : '',
+            gameClass: payoffMatrix.getGameClass(player),
+            point: getTSPoint(T, R, P, S)
+        };
+    });
+    visualizer.displayGameClass(players);
+    visualizer.drawGameClassDiagram(players.map((player, index) => ({
+        label: asymmetric ? String(index + 1) : '',
+        t: player.point ? player.point.t : null,
+        s: player.point ? player.point.s : null
+    })));
+    
+    const matchingPreset = Object.keys(GAME_CLASSES).find(key => {
+        const preset = GAME_CLASSES[key].preset;
+        return !asymmetric && ['T', 'R', 'P', 'S'].every(field => payoffMatrix[field] === preset[field]);
+    });
+    document.getElementById('game-preset').value = matchingPreset || '';
+}
+
+// Build a memory-one editor: a preset selector plus the five cooperation probabilities
+function renderMemoryOneEditor(containerId, prefix) {
+    const container = document.getElementById(containerId);
+    const presetNames = Object.keys(MemoryOneStrategy.getPresets(new PayoffMatrix()));
+    
+    let html = `<select id="${prefix}-preset">`;
+    presetNames.forEach(name => {
+        html += `<option value="${name}">${name}</option>`;
+    });
+    html += `<option value="custom">Custom</option></select><div class="memory-one-grid">`;
+    
+    MEMORY_ONE_FIELDS.forEach(([field, label]) => {
+        html += `
+            <div class="payoff-item">
+                <label for="${prefix}-${field}">${label}</label>
+                <input type="number" id="${prefix}-${field}" min="0" max="1" step="0.05">
+            </div>
+        `;
+    });
+    html += `</div>
+        <small style="color: #6c757d; display: block; margin-top: 5px;">
+            Cooperation probability on the first move and after each outcome (own move, opponent move)
+        </small>
+    `;
+    container.innerHTML = html;
+    
+    // Selecting a preset fills in its vector; editing a value makes the vector custom
+    document.getElementById(`${prefix}-preset`).addEventListener('change', () => applyMemoryOnePreset(prefix));
+    MEMORY_ONE_FIELDS.forEach(([field]) => {
+        document.getElementById(`${prefix}-${field}`).addEventListener('input', () => {
+            document.getElementById(`${prefix}-preset`).value = 'custom';
+        });
+    });
+    applyMemoryOnePreset(prefix);
+}
+
+// Fill a memory-one editor with the selected preset for the current payoffs
+function applyMemoryOnePreset(prefix) {
+    const presetName = document.getElementById(`${prefix}-preset`).value;
+    if (presetName === 'custom') return;
+    
+    const forgiveness = parseFloat(document.getElementById('forgiveness-rate').value);
+    const presets = MemoryOneStrategy.getPresets(readPayoffMatrixInputs(), isNaN(forgiveness) ? 0.1 : forgiveness);
+    if (!presets[presetName]) {
+        throw new Error(`The ${presetName} preset is not available for the current payoff matrix`);
+    }
+    
+    MEMORY_ONE_FIELDS.forEach(([field]) => {
+        document.getElementById(`${prefix}-${field}`).value = parseFloat(presets[presetName][field].toFixed(4));
+    });
+}
+
+// Read a memory-one editor as strategy parameters ({ vector, label })
+function readMemoryOneParams(prefix) {
+    const presetName = document.getElementById(`${prefix}-preset`).value;
+    
+    // Presets depend on the payoffs and forgiveness rate, so refresh them before reading
+    applyMemoryOnePreset(prefix);
+    
+    const vector = {};
+    MEMORY_ONE_FIELDS.forEach(([field]) => {
+        vector[field] = parseFloat(document.getElementById(`${prefix}-${field}`).value);
+    });
+    
+    return {
+        vector: vector,
+        label: presetName === 'custom' ? null : presetName
+    };
+}
+
+// Show memory-one strategy parameters ({ vector, label }) in an editor
+function setMemoryOneEditor(prefix, memoryOne) {
+    const presetSelect = document.getElementById(`${prefix}-preset`);
+    const isPreset = Array.from(presetSelect.options).some(option => option.value === memoryOne.label);
+    presetSelect.value = isPreset ? memoryOne.label : 'custom';
+    MEMORY_ONE_FIELDS.forEach(([field]) => {
+        document.getElementById(`${prefix}-${field}`).value = memoryOne.vector[field];
+    });
+}
+
+function validateMemoryOneVector(vector) {
+    return MEMORY_ONE_FIELDS.every(([field]) => !isNaN(vector[field]) && vector[field] >= 0 && vector[field] <= 1);
+}
+
+// Show the memory-one editor of a pairwise slot only when that slot uses a memory-one strategy
+function updateMemoryOneEditors() {
+    ['strategy1', 'strategy2'].forEach(slot => {
+        const isMemoryOne = document.getElementById(slot).value === 'MEM1';
+        document.getElementById(`${slot}-memory-one`).style.display = isMemoryOne ? 'block' : 'none';
+    });
+}
+
+// Shared strategy parameter inputs that roster entrants fall back to
+const SHARED_PARAMETER_INPUTS = {
+    forgiveness: 'forgiveness-rate',
+    randomCoopProb: 'random-coop-prob',
+    jossDefectProb: 'joss-defect-prob',
+    learningRate: 'learning-rate',
+    explorationRate: 'exploration-rate',
+    discountFactor: 'learning-discount'
+};
+
+// Counter giving each roster row unique input ids
+let nextRosterRowId = 0;
+
+// Add a roster row for an entrant ({ code, params, label }), optionally right after another row
+function addRosterRow(entry, afterRow = null) {
+    const rowId = nextRosterRowId++;
+    const row = document.createElement('div');
+    row.className = 'roster-entry';
+    row.dataset.rowId = rowId;
+    
+    row.innerHTML = `
+        <div class="roster-entry-header">
+            <select class="roster-code">${getStrategyOptionsHtml()}</select>
+            <button class="control-btn roster-btn roster-duplicate" title="Duplicate entrant">Duplicate</button>
+            <button class="control-btn roster-btn roster-remove" title="Remove entrant">Remove</button>
+        </div>
+        <input type="text" class="roster-label" placeholder="Automatic name">
+        <div class="roster-params"></div>
+    `;
+    row.querySelector('.roster-code').value = entry.code;
+    row.querySelector('.roster-label').value = entry.label || '';
+    
+    const container = document.getElementById('roster-entries');
+    if (afterRow) {
+        afterRow.after(row);
+    } else {
+        container.appendChild(row);
+    }
+    renderRosterParams(row, entry.params || {});
+    
+    // Changing the strategy starts over from the shared parameters
+    row.querySelector('.roster-code').addEventListener('change', () => {
+        renderRosterParams(row, {});
+        renderPopulationShareInputs();
+    });
+    row.querySelector('.roster-label').addEventListener('input', renderPopulationShareInputs);
+    row.querySelector('.roster-duplicate').addEventListener('click', () => {
+        addRosterRow(readRosterRow(row), row);
+        renderPopulationShareInputs();
+    });
+    row.querySelector('.roster-remove').addEventListener('click', () => {
+        row.remove();
+        renderPopulationShareInputs();
+    });
+    
+    return row;
+}
+
+// Parameter inputs of a roster row: the strategy's tunable parameters, or a memory-one editor
+function renderRosterParams(row, params) {
+    const rowId = row.dataset.rowId;
+    const code = row.querySelector('.roster-code').value;
+    const container = row.querySelector('.roster-params');
+    
+    if (code === 'MEM1') {
+        const prefix = `roster-${rowId}-m1`;
+        container.innerHTML = `<div id="roster-${rowId}-memory-one" class="memory-one-editor"></div>`;
+        renderMemoryOneEditor(`roster-${rowId}-memory-one`, prefix);
+        
+        // New memory-one entrants start from the shared memory-one strategy
+        setMemoryOneEditor(prefix, params.memoryOne || readMemoryOneParams('default-m1'));
+        return;
     }
+    
+    let html = '';
+    StrategyFactory.getParameterSpecs(code).forEach(spec => {
+        const value = params[spec.key] !== undefined ? params[spec.key] : '';
+        html += `
+            <div class="roster-param">
+                <label for="roster-${rowId}-${spec.key}">${spec.label}</label>
+                <input type="number" id="roster-${rowId}-${spec.key}" data-param-key="${spec.key}"
+                       min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${value}" placeholder="Shared">
+            </div>
+        `;
+    });
+    container.innerHTML = html;
+    
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', renderPopulationShareInputs);
+    });
+}
+
+// Read a roster row as an entrant; blank parameters are left to the shared values
+function readRosterRow(row) {
+    const code = row.querySelector('.roster-code').value;
+    const params = {};
+    
+    if (code === 'MEM1') {
+        params.memoryOne = readMemoryOneParams(`roster-${row.dataset.rowId}-m1`);
+    } else {
+        row.querySelectorAll('.roster-params input').forEach(input => {
+            if (input.value !== '') {
+                params[input.dataset.paramKey] = parseFloat(input.value);
+            }
+        });
+    }
+    
+    return {
+        code: code,
+        params: params,
+        label: row.querySelector('.roster-label').value.trim() || null
+    };
+}
+
+// Title of a roster row shown next to its population share
+function getRosterRowTitle(row) {
+    const label = row.querySelector('.roster-label').value.trim();
+    return label || StrategyFactory.getStrategyLabel(row.querySelector('.roster-code').value);
+}
+
+// Replace the roster with one entrant per strategy
+function resetRoster() {
+    document.getElementById('roster-entries').innerHTML = '';
+    StrategyFactory.getDefaultRoster().forEach(entry => addRosterRow(entry));
+    renderPopulationShareInputs();
+}
+
+// Read the roster for a run, giving every entrant a unique display name
+function readRoster(tournament) {
+    const entries = Array.from(document.querySelectorAll('#roster-entries .roster-entry')).map(readRosterRow);
+    return tournament.labelRoster(entries);
+}
+
+// Check the parameters of every roster entrant; returns an error message or null
+function validateRoster(roster) {
+    if (roster.length === 0) {
+        return 'The roster must contain at least one entrant';
+    }
+    for (const entry of roster) {
+        if (entry.params.memoryOne && !validateMemoryOneVector(entry.params.memoryOne.vector)) {
+            return `Memory-one cooperation probabilities of ${entry.label} must be between 0.0 and 1.0`;
+        }
+        for (const spec of StrategyFactory.getParameterSpecs(entry.code)) {
+            const value = entry.params[spec.key];
+            if (value !== undefined && (isNaN(value) || value < spec.min || value > spec.max)) {
+                return `${spec.label} of ${entry.label} must be between ${spec.min} and ${spec.max}`;
+            }
+        }
+    }
+    return null;
+}
+
+// Custom strategies are kept in the browser between visits
+const CUSTOM_STRATEGY_STORAGE_KEY = 'pd-custom-strategies';
+const CUSTOM_STRATEGY_TEMPLATE = `# Lines starting with # are comments
+name: Cautious Retaliator
+if round == 1 then cooperate
+if opponent.last(2) == DD then defect
+if opponent.last == D and my.score < opponent.score then defect with 0.9
+otherwise copy
+`;
+
+// Rule source of each custom strategy, by strategy code
+const customStrategySources = {};
+
+// Rule source of each custom strategy kept in the browser, by strategy code: strategies that come with a
+// loaded configuration are only used for the session, and never replace a saved one
+const savedCustomStrategySources = {};
+
+// Compile a rule source and make it available as a strategy (and saved with storeCustomStrategies, unless
+// save is false); returns its code
+function registerCustomStrategy(source, save = true) {
+    const StrategyClass = compileRuleStrategy(source);
+    const code = getRuleStrategyCode(StrategyClass.definition.name);
+    StrategyFactory.registerStrategy(code, StrategyClass);
+    customStrategySources[code] = source;
+    if (save) {
+        savedCustomStrategySources[code] = source;
+    }
+    return code;
+}
+
+function unregisterCustomStrategy(code) {
+    StrategyFactory.unregisterStrategy(code);
+    delete customStrategySources[code];
+    delete savedCustomStrategySources[code];
+}
+
+function loadCustomStrategies() {
+    let sources = [];
+    try {
+        sources = JSON.parse(localStorage.getItem(CUSTOM_STRATEGY_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Could not read saved custom strategies:', error);
+    }
+    
+    sources.forEach(source => {
+        try {
+            registerCustomStrategy(source);
+        } catch (error) {
+            console.warn('Skipping saved custom strategy:', error.message);
+        }
+    });
+}
+
+function storeCustomStrategies() {
+    try {
+        localStorage.setItem(CUSTOM_STRATEGY_STORAGE_KEY, JSON.stringify(Object.values(savedCustomStrategySources)));
+    } catch (error) {
+        console.warn('Could not save custom strategies:', error);
+    }
+}
+
+// Refresh every strategy dropdown after strategies were added, renamed or deleted
+// (replacedCodes maps an old code to its new code, or to null if it was deleted)
+function refreshStrategyOptions(replacedCodes = {}) {
+    const options = getStrategyOptionsHtml();
+    
+    ['strategy1', 'strategy2'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        let value = select.value;
+        if (value in replacedCodes) {
+            value = replacedCodes[value] || 'TFT';
+        }
+        select.innerHTML = options;
+        select.value = value;
+    });
+    
+    // Roster entrants follow a renamed strategy and leave with a deleted one
+    document.querySelectorAll('#roster-entries .roster-entry').forEach(row => {
+        const select = row.querySelector('.roster-code');
+        let value = select.value;
+        if (value in replacedCodes) {
+            if (!replacedCodes[value]) {
+                row.remove();
+                return;
+            }
+            value = replacedCodes[value];
+        }
+        select.innerHTML = options;
+        select.value = value;
+    });
+    
+    updateMemoryOneEditors();
+    renderPopulationShareInputs();
+}
+
+// Fill the saved strategy dropdown of the custom strategy editor
+function renderCustomStrategySelect(selectedCode = '') {
+    const select = document.getElementById('custom-strategy-select');
+    let html = '<option value="">New strategy</option>';
+    Object.keys(customStrategySources).forEach(code => {
+        html += `<option value="${code}">${StrategyFactory.getStrategyLabel(code)}</option>`;
+    });
+    select.innerHTML = html;
+    select.value = selectedCode;
+}
+
+// Load the selected custom strategy (or a template for a new one) into the editor
+function showCustomStrategy() {
+    const code = document.getElementById('custom-strategy-select').value;
+    document.getElementById('custom-strategy-source').value = code ? customStrategySources[code] : CUSTOM_STRATEGY_TEMPLATE;
+    checkCustomStrategySource();
+}
+
+// Compile the editor contents and report the result inline; returns the compiled class or null
+function checkCustomStrategySource() {
+    const source = document.getElementById('custom-strategy-source').value;
+    const status = document.getElementById('custom-strategy-status');
+    
+    try {
+        const StrategyClass = compileRuleStrategy(source);
+        const ruleCount = StrategyClass.definition.rules.length;
+        status.className = 'rule-status valid';
+        status.textContent = `${StrategyClass.definition.name}: ${ruleCount} rule${ruleCount === 1 ? '' : 's'}, no errors`;
+        return StrategyClass;
+    } catch (error) {
+        if (!(error instanceof RuleSyntaxError)) throw error;
+        
+        // Show the message with the offending line and a marker under the error
+        const lineText = source.split('\n')[error.line - 1] || '';
+        const excerpt = document.createElement('pre');
+        excerpt.textContent = `${lineText}\n${' '.repeat(error.column - 1)}^`;
+        status.className = 'rule-status invalid';
+        status.textContent = error.message;
+        status.appendChild(excerpt);
+        return null;
+    }
+}
+
+function saveCustomStrategy() {
+    const previousCode = document.getElementById('custom-strategy-select').value;
+    const StrategyClass = checkCustomStrategySource();
+    if (!StrategyClass) {
+        alert('Fix the errors in the custom strategy before saving');
+        return;
+    }
+    
+    // Names must be unique so results can tell strategies apart
+    const name = StrategyClass.definition.name;
+    const code = getRuleStrategyCode(name);
+    const builtInNames = StrategyFactory.getBuiltInStrategyCodes().map(builtIn => StrategyFactory.getStrategyLabel(builtIn));
+    if (builtInNames.includes(name) || (code !== previousCode && customStrategySources[code])) {
+        alert(`A strategy named "${name}" already exists`);
+        return;
+    }
+    
+    const replacedCodes = {};
+    if (previousCode && previousCode !== code) {
+        unregisterCustomStrategy(previousCode);
+        replacedCodes[previousCode] = code;
+    }
+    registerCustomStrategy(document.getElementById('custom-strategy-source').value);
+    storeCustomStrategies();
+    
+    refreshStrategyOptions(replacedCodes);
+    renderCustomStrategySelect(code);
+    
+    // A new strategy also enters the roster
+    if (!previousCode) {
+        addRosterRow({ code: code, params: {}, label: null });
+        renderPopulationShareInputs();
+    }
+}
+
+function deleteCustomStrategy() {
+    const code = document.getElementById('custom-strategy-select').value;
+    if (!code) return;
+    if (!confirm(`Delete the custom strategy "${StrategyFactory.getStrategyLabel(code)}"?`)) return;
+    
+    unregisterCustomStrategy(code);
+    storeCustomStrategies();
+    refreshStrategyOptions({ [code]: null });
+    renderCustomStrategySelect();
+    showCustomStrategy();
+}
+
+// Fill the sweep parameter dropdowns (the y axis also offers no parameter)
+function renderSweepParameterSelects() {
+    let options = '';
+    Object.entries(SWEEP_PARAMETERS).forEach(([key, spec]) => {
+        options += `<option value="${key}">${spec.label}</option>`;
+    });
+    document.getElementById('sweep-x-parameter').innerHTML = options;
+    document.getElementById('sweep-y-parameter').innerHTML = '<option value="">None (sweep one parameter)</option>' + options;
+}
+
+// Sweep axis ({ parameter, min, max, steps }) of the form; parameter is null for no parameter
+function readSweepAxis(axis) {
+    return {
+        parameter: document.getElementById(`sweep-${axis}-parameter`).value || null,
+        min: parseFloat(document.getElementById(`sweep-${axis}-min`).value),
+        max: parseFloat(document.getElementById(`sweep-${axis}-max`).value),
+        steps: parseInt(document.getElementById(`sweep-${axis}-steps`).value)
+    };
+}
+
+function setSweepAxis(axis, settings) {
+    document.getElementById(`sweep-${axis}-parameter`).value = settings.parameter || '';
+    document.getElementById(`sweep-${axis}-min`).value = settings.min;
+    document.getElementById(`sweep-${axis}-max`).value = settings.max;
+    document.getElementById(`sweep-${axis}-steps`).value = settings.steps;
+}
+
+// Start a newly chosen sweep parameter from its usual range
+function applySweepParameterRange(axis) {
+    const parameter = document.getElementById(`sweep-${axis}-parameter`).value;
+    if (!parameter) return;
+    const [min, max] = SWEEP_PARAMETERS[parameter].range;
+    document.getElementById(`sweep-${axis}-min`).value = min;
+    document.getElementById(`sweep-${axis}-max`).value = max;
+}
+
+// Experiment configuration (see config.js) with the current settings of the form
+function readExperimentConfig() {
+    const number = id => parseFloat(document.getElementById(id).value);
+    const integer = id => parseInt(document.getElementById(id).value);
+    
+    const pairwise = ['strategy1', 'strategy2'].map(slot => {
+        const code = document.getElementById(slot).value;
+        return { code: code, params: code === 'MEM1' ? { memoryOne: readMemoryOneParams(`${slot}-m1`) } : {} };
+    });
+    const roster = Array.from(document.querySelectorAll('#roster-entries .roster-entry')).map(readRosterRow);
+    
+    // Only the custom strategies that take part travel with the configuration
+    const usedCodes = [...pairwise, ...roster].map(entry => entry.code);
+    const customStrategies = Object.keys(customStrategySources)
+        .filter(code => usedCodes.includes(code))
+        .map(code => customStrategySources[code]);
+    
+    return {
+        version: EXPERIMENT_CONFIG_VERSION,
+        mode: document.querySelector('input[name="tournament-mode"]:checked').value,
+        payoffs: readPlayerPayoffInputs('payoff'),
+        payoffs2: document.getElementById('payoff-asymmetric').checked ? readPlayerPayoffInputs('payoff2') : null,
+        duration: document.querySelector('input[name="game-duration"]:checked').value,
+        numRounds: integer('num-rounds'),
+        continuationProb: number('continuation-prob'),
+        seed: integer('random-seed'),
+        replications: integer('replications'),
+        scoring: {
+            scheme: document.getElementById('scoring-scheme').value,
+            discountFactor: number('discount-factor')
+        },
+        strategyParams: {
+            forgiveness: number('forgiveness-rate'),
+            randomCoopProb: number('random-coop-prob'),
+            jossDefectProb: number('joss-defect-prob'),
+            memoryOne: readMemoryOneParams('default-m1'),
+            learningRate: number('learning-rate'),
+            explorationRate: number('exploration-rate'),
+            discountFactor: number('learning-discount')
+        },
+        noise: {
+            implementationError: number('implementation-error'),
+            perceptionError: number('perception-error')
+        },
+        pairwise: pairwise,
+        roster: roster,
+        roundRobin: {
+            repetitions: integer('rr-repetitions'),
+            selfPlay: document.getElementById('rr-self-play').checked,
+            commonGameLength: document.getElementById('rr-common-length').checked,
+            carryLearning: document.getElementById('rr-carry-learning').checked
+        },
+        customStrategies: customStrategies,
+        population: {
+            numGenerations: integer('num-generations'),
+            shares: Array.from(document.querySelectorAll('#population-shares input')).map(input => parseFloat(input.value))
+        },
+        moran: {
+            populationSize: integer('moran-population-size'),
+            selectionIntensity: number('moran-selection'),
+            mutationRate: number('moran-mutation'),
+            opponentsPerGeneration: integer('moran-opponents'),
+            numGenerations: integer('moran-generations'),
+            fixationRuns: integer('moran-fixation-runs')
+        },
+        genetic: {
+            memory: integer('genetic-memory'),
+            populationSize: integer('genetic-population-size'),
+            numGenerations: integer('genetic-generations'),
+            crossoverRate: number('genetic-crossover'),
+            mutationRate: number('genetic-mutation'),
+            eliteCount: integer('genetic-elite'),
+            opponents: document.getElementById('genetic-opponents').value
+        },
+        spatial: {
+            gridSize: integer('spatial-grid-size'),
+            neighborhood: document.getElementById('spatial-neighborhood').value,
+            delay: integer('spatial-speed')
+        },
+        group: {
+            payoff: document.getElementById('group-payoff').value,
+            multiplicationFactor: number('group-multiplication'),
+            contribution: number('group-contribution'),
+            cooperationThreshold: number('group-threshold'),
+            counts: Object.fromEntries(Array.from(document.querySelectorAll('#group-counts input'))
+                .map(input => [input.dataset.code, parseInt(input.value)]))
+        },
+        bracket: {
+            format: document.getElementById('bracket-format').value,
+            swissRounds: integer('bracket-swiss-rounds'),
+            swissTieBreak: document.getElementById('bracket-swiss-tie-break').value,
+            eliminationTieBreak: document.getElementById('bracket-elimination-tie-break').value
+        },
+        sweep: {
+            x: readSweepAxis('x'),
+            y: readSweepAxis('y')
+        }
+    };
+}
+
+// Fill the form from an experiment configuration (checked with normalizeExperimentConfig)
+function applyExperimentConfig(config) {
+    // Check everything before changing the page, so a bad configuration leaves the form as it was
+    const customCodes = config.customStrategies.map(source => getRuleStrategyCode(compileRuleStrategy(source).definition.name));
+    const knownCodes = [...StrategyFactory.getBuiltInStrategyCodes(), ...customCodes, ...Object.keys(customStrategySources)];
+    [...config.pairwise, ...config.roster].forEach(entry => {
+        if (!knownCodes.includes(entry.code)) {
+            throw new Error(`Unknown strategy: ${entry.code}`);
+        }
+    });
+    
+    // Custom strategies come first so the dropdowns and roster can use them. They are registered for this
+    // session only: the configuration's version replaces a saved strategy of the same name until the page is
+    // reloaded, and Save Strategy in the editor keeps it
+    if (customCodes.length > 0) {
+        config.customStrategies.forEach(source => registerCustomStrategy(source, false));
+        refreshStrategyOptions();
+        renderCustomStrategySelect();
+        showCustomStrategy();
+    }
+    
+    const setValue = (id, value) => {
+        document.getElementById(id).value = value;
+    };
+    setPlayerPayoffInputs('payoff', config.payoffs);
+    document.getElementById('payoff-asymmetric').checked = config.payoffs2 !== null;
+    if (config.payoffs2) {
+        setPlayerPayoffInputs('payoff2', config.payoffs2);
+    }
+    document.getElementById(config.duration === 'fixed' ? 'duration-fixed' : 'duration-indefinite').checked = true;
+    setValue('num-rounds', config.numRounds);
+    setValue('continuation-prob', config.continuationProb);
+    setValue('random-seed', config.seed);
+    setValue('replications', config.replications);
+    setValue('scoring-scheme', config.scoring.scheme);
+    setValue('discount-factor', config.scoring.discountFactor);
+    setValue('forgiveness-rate', config.strategyParams.forgiveness);
+    setValue('random-coop-prob', config.strategyParams.randomCoopProb);
+    setValue('joss-defect-prob', config.strategyParams.jossDefectProb);
+    setMemoryOneEditor('default-m1', config.strategyParams.memoryOne);
+    setValue('learning-rate', config.strategyParams.learningRate);
+    setValue('exploration-rate', config.strategyParams.explorationRate);
+    setValue('learning-discount', config.strategyParams.discountFactor);
+    setValue('implementation-error', config.noise.implementationError);
+    setValue('perception-error', config.noise.perceptionError);
+    document.getElementById(`mode-${config.mode}`).checked = true;
+    
+    ['strategy1', 'strategy2'].forEach((slot, index) => {
+        const entry = config.pairwise[index];
+        setValue(slot, entry.code);
+        if (entry.params.memoryOne) {
+            setMemoryOneEditor(`${slot}-m1`, entry.params.memoryOne);
+        }
+    });
+    
+    document.getElementById('roster-entries').innerHTML = '';
+    config.roster.forEach(entry => addRosterRow(entry));
+    renderPopulationShareInputs();
+    setValue('rr-repetitions', config.roundRobin.repetitions);
+    document.getElementById('rr-self-play').checked = config.roundRobin.selfPlay;
+    document.getElementById('rr-common-length').checked = config.roundRobin.commonGameLength;
+    document.getElementById('rr-carry-learning').checked = config.roundRobin.carryLearning;
+    
+    setValue('num-generations', config.population.numGenerations);
+    document.querySelectorAll('#population-shares input').forEach((input, index) => {
+        const share = config.population.shares ? config.population.shares[index] : undefined;
+        input.value = share !== undefined ? share : 1;
+    });
+    setValue('moran-population-size', config.moran.populationSize);
+    setValue('moran-selection', config.moran.selectionIntensity);
+    setValue('moran-mutation', config.moran.mutationRate);
+    setValue('moran-opponents', config.moran.opponentsPerGeneration);
+    setValue('moran-generations', config.moran.numGenerations);
+    setValue('moran-fixation-runs', config.moran.fixationRuns);
+    setValue('genetic-memory', config.genetic.memory);
+    setValue('genetic-population-size', config.genetic.populationSize);
+    setValue('genetic-generations', config.genetic.numGenerations);
+    setValue('genetic-crossover', config.genetic.crossoverRate);
+    setValue('genetic-mutation', config.genetic.mutationRate);
+    setValue('genetic-elite', config.genetic.eliteCount);
+    setValue('genetic-opponents', config.genetic.opponents);
+    setValue('spatial-grid-size', config.spatial.gridSize);
+    setValue('spatial-neighborhood', config.spatial.neighborhood);
+    setValue('spatial-speed', config.spatial.delay);
+    setValue('group-payoff', config.group.payoff);
+    setValue('group-multiplication', config.group.multiplicationFactor);
+    setValue('group-contribution', config.group.contribution);
+    setValue('group-threshold', config.group.cooperationThreshold);
+    renderGroupCountInputs(config.group.counts);
+    setValue('bracket-format', config.bracket.format);
+    setValue('bracket-swiss-rounds', config.bracket.swissRounds);
+    setValue('bracket-swiss-tie-break', config.bracket.swissTieBreak);
+    setValue('bracket-elimination-tie-break', config.bracket.eliminationTieBreak);
+    setSweepAxis('x', config.sweep.x);
+    setSweepAxis('y', config.sweep.y);
+    
+    updateMemoryOneEditors();
+    updateGroupPayoffSettings();
+    updateGameClass();
+    updateUIForMode();
+    updateUIForDuration();
+    updateScoringSettings();
+    updateBracketSettings();
+}
+
+// Configurations travel in the URL hash as base64url-encoded JSON
+const CONFIG_HASH_PREFIX = '#config=';
+
+function encodeExperimentConfig(config) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(config)).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeExperimentConfig(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+    return normalizeExperimentConfig(JSON.parse(json));
+}
+
+// Put a configuration in the page address without adding a history entry
+function setConfigHash(config) {
+    const hash = CONFIG_HASH_PREFIX + encodeExperimentConfig(config);
+    history.replaceState(null, '', hash);
+    return location.href;
+}
+
+// Restore the form from a configuration in the URL hash, if there is one
+function loadConfigFromHash() {
+    if (!location.hash.startsWith(CONFIG_HASH_PREFIX)) return;
+    
+    try {
+        applyExperimentConfig(decodeExperimentConfig(location.hash.slice(CONFIG_HASH_PREFIX.length)));
+    } catch (error) {
+        alert('Could not load the configuration from the link: ' + error.message);
+    }
+}
+
+function copyConfigLink() {
+    const url = setConfigHash(readExperimentConfig());
+    const button = document.getElementById('config-copy-link');
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(() => {
+            button.textContent = 'Link Copied';
+            setTimeout(() => {
+                button.textContent = 'Copy Link';
+            }, 1500);
+        }, () => prompt('Copy this link:', url));
+    } else {
+        prompt('Copy this link:', url);
+    }
+}
+
+function saveConfigFile() {
+    const config = readExperimentConfig();
+    downloadFile(`pd-config-${config.mode}-seed${config.seed}.json`, JSON.stringify(config, null, 2), 'application/json');
+}
+
+function loadConfigFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            applyExperimentConfig(normalizeExperimentConfig(JSON.parse(reader.result)));
+        } catch (error) {
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
 }
 
 // Show/hide duration input fields based on game duration mode
@@ -31,46 +1026,319 @@ function updateUIForDuration() {
         fixedRoundsSection.style.display = 'none';
         indefiniteSection.style.display = 'block';
     }
-}
+}
+
+// What the genetic algorithm measures fitness against
+function renderGeneticOpponentOptions() {
+    let html = '';
+    Object.entries(GENETIC_OPPONENTS).forEach(([key, name]) => {
+        html += `<option value="${key}">${name}</option>`;
+    });
+    document.getElementById('genetic-opponents').innerHTML = html;
+}
+
+// Formats and tie-breaks of the Swiss and elimination tournaments
+function renderBracketOptions() {
+    [['bracket-format', TOURNAMENT_FORMATS], ['bracket-swiss-tie-break', SWISS_TIE_BREAKS],
+        ['bracket-elimination-tie-break', ELIMINATION_TIE_BREAKS]].forEach(([selectId, choices]) => {
+        let html = '';
+        Object.entries(choices).forEach(([key, name]) => {
+            html += `<option value="${key}">${name}</option>`;
+        });
+        document.getElementById(selectId).innerHTML = html;
+    });
+}
+
+// Swiss settings only apply to the Swiss system, the drawn game rule only to elimination
+function updateBracketSettings() {
+    const swiss = document.getElementById('bracket-format').value === 'swiss';
+    document.getElementById('bracket-swiss-settings').style.display = swiss ? 'block' : 'none';
+    document.getElementById('bracket-elimination-settings').style.display = swiss ? 'none' : 'block';
+}
+
+// Scoring schemes of the tournament
+function renderScoringSchemeOptions() {
+    let html = '';
+    Object.entries(SCORING_SCHEMES).forEach(([key, name]) => {
+        html += `<option value="${key}">${name}</option>`;
+    });
+    document.getElementById('scoring-scheme').innerHTML = html;
+}
+
+// The discount factor only applies to discounted scoring
+function updateScoringSettings() {
+    const discounted = document.getElementById('scoring-scheme').value === 'discounted';
+    document.getElementById('discount-section').style.display = discounted ? 'block' : 'none';
+}
+
+// Add event listeners for mode changes
+pairwiseRadio.addEventListener('change', updateUIForMode);
+roundRobinRadio.addEventListener('change', updateUIForMode);
+populationRadio.addEventListener('change', updateUIForMode);
+moranRadio.addEventListener('change', updateUIForMode);
+geneticRadio.addEventListener('change', updateUIForMode);
+spatialRadio.addEventListener('change', updateUIForMode);
+sweepRadio.addEventListener('change', updateUIForMode);
+playRadio.addEventListener('change', updateUIForMode);
+groupRadio.addEventListener('change', updateUIForMode);
+bracketRadio.addEventListener('change', updateUIForMode);
+durationFixedRadio.addEventListener('change', updateUIForDuration);
+durationIndefiniteRadio.addEventListener('change', updateUIForDuration);
+document.getElementById('scoring-scheme').addEventListener('change', updateScoringSettings);
+document.getElementById('bracket-format').addEventListener('change', updateBracketSettings);
+
+// Advance the spatial lattice by one generation and redraw it
+function stepSpatial() {
+    const changes = spatialGame.step();
+    visualizer.updateSpatialView(spatialGame);
+    
+    // Nothing left to animate once no cell changes strategy
+    if (changes === 0) {
+        stopSpatialAnimation();
+    }
+}
+
+function startSpatialAnimation() {
+    if (!spatialGame || spatialTimer !== null) return;
+    spatialTimer = setInterval(stepSpatial, spatialDelay);
+    spatialPlayButton.textContent = 'Pause';
+}
+
+function stopSpatialAnimation() {
+    if (spatialTimer !== null) {
+        clearInterval(spatialTimer);
+        spatialTimer = null;
+    }
+    spatialPlayButton.textContent = 'Play';
+}
+
+// Spatial animation controls
+spatialPlayButton.addEventListener('click', () => {
+    if (spatialTimer !== null) {
+        stopSpatialAnimation();
+    } else {
+        startSpatialAnimation();
+    }
+});
+spatialStepButton.addEventListener('click', () => {
+    if (!spatialGame) return;
+    stopSpatialAnimation();
+    stepSpatial();
+});
+
+// Show the replayed match as it stood after a round (0 = before the first round)
+function showReplayRound(round) {
+    replayRound = Math.max(0, Math.min(round, replayMatch.result.roundHistory.length));
+    visualizer.updateReplayView(replayMatch.result, replayMatch.events, replayRound);
+}
+
+function stepReplay() {
+    showReplayRound(replayRound + 1);
+    if (replayRound >= replayMatch.result.roundHistory.length) {
+        stopReplay();
+    }
+}
+
+function startReplay() {
+    if (!replayMatch || replayTimer !== null) return;
+    // Playing a finished replay starts it over
+    if (replayRound >= replayMatch.result.roundHistory.length) {
+        showReplayRound(0);
+    }
+    replayTimer = setInterval(stepReplay, parseInt(document.getElementById('replay-speed').value));
+    replayPlayButton.textContent = 'Pause';
+}
+
+function stopReplay() {
+    if (replayTimer !== null) {
+        clearInterval(replayTimer);
+        replayTimer = null;
+    }
+    replayPlayButton.textContent = 'Play';
+}
+
+// Jump to a round, pausing playback
+function seekReplay(round) {
+    if (!replayMatch) return;
+    stopReplay();
+    showReplayRound(round);
+}
+
+// Match replay controls
+replayPlayButton.addEventListener('click', () => {
+    if (replayTimer !== null) {
+        stopReplay();
+    } else {
+        startReplay();
+    }
+});
+document.getElementById('replay-step').addEventListener('click', () => seekReplay(replayRound + 1));
+document.getElementById('replay-back').addEventListener('click', () => seekReplay(replayRound - 1));
+document.getElementById('replay-scrubber').addEventListener('input', event => seekReplay(parseInt(event.target.value)));
+document.getElementById('replay-speed').addEventListener('change', () => {
+    // Restart the timer at the new speed
+    if (replayTimer !== null) {
+        stopReplay();
+        startReplay();
+    }
+});
+document.getElementById('replay-ribbon').addEventListener('click', event => {
+    const column = event.target.closest('.replay-column[data-round]');
+    if (column) seekReplay(parseInt(column.dataset.round));
+});
+document.getElementById('replay-events').addEventListener('click', event => {
+    const item = event.target.closest('.replay-event');
+    if (item) seekReplay(parseInt(item.dataset.round));
+});
+
+// Interactive play controls
+playCooperateButton.addEventListener('click', () => playMove(COOPERATE));
+playDefectButton.addEventListener('click', () => playMove(DEFECT));
+
+// Parameter sweep controls
+['x', 'y'].forEach(axis => {
+    document.getElementById(`sweep-${axis}-parameter`).addEventListener('change', () => applySweepParameterRange(axis));
+});
+document.getElementById('sweep-metric').addEventListener('change', showSweepHeatmap);
+document.getElementById('sweep-strategy').addEventListener('change', showSweepHeatmap);
+document.getElementById('sweep-heatmap').addEventListener('click', event => {
+    const cell = event.target.closest('.sweep-cell');
+    if (!cell || simulationRunner.isRunning()) return;
+    runWithProgress(() => openSweepPoint(parseInt(cell.dataset.x), parseInt(cell.dataset.y)));
+});
+document.getElementById('sweep-download').addEventListener('click', () => {
+    if (!currentSweepResult) return;
+    downloadFile(`pd-sweep-seed${currentSweep.config.seed}.csv`, sweepToCsv(currentSweepResult), 'text/csv');
+});
+
+// Roster editor controls
+document.getElementById('roster-add').addEventListener('click', () => {
+    addRosterRow({ code: 'TFT', params: {}, label: null });
+    renderPopulationShareInputs();
+});
+document.getElementById('roster-reset').addEventListener('click', resetRoster);
+
+// Configuration sharing controls
+document.getElementById('config-copy-link').addEventListener('click', () => {
+    try {
+        copyConfigLink();
+    } catch (error) {
+        alert('Could not create the link: ' + error.message);
+    }
+});
+document.getElementById('config-save').addEventListener('click', () => {
+    try {
+        saveConfigFile();
+    } catch (error) {
+        alert('Could not save the configuration: ' + error.message);
+    }
+});
+document.getElementById('config-load').addEventListener('click', () => document.getElementById('config-file').click());
+document.getElementById('config-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (file) {
+        loadConfigFile(file);
+    }
+    event.target.value = '';
+});
+window.addEventListener('hashchange', loadConfigFromHash);
 
-// Add event listeners for mode changes
-pairwiseRadio.addEventListener('change', updateUIForMode);
-roundRobinRadio.addEventListener('change', updateUIForMode);
-durationFixedRadio.addEventListener('change', updateUIForDuration);
-durationIndefiniteRadio.addEventListener('change', updateUIForDuration);
+// Custom strategy editor controls
+document.getElementById('custom-strategy-select').addEventListener('change', showCustomStrategy);
+document.getElementById('custom-strategy-source').addEventListener('input', checkCustomStrategySource);
+document.getElementById('custom-strategy-save').addEventListener('click', saveCustomStrategy);
+document.getElementById('custom-strategy-delete').addEventListener('click', deleteCustomStrategy);
+
+document.getElementById('strategy1').addEventListener('change', updateMemoryOneEditors);
+document.getElementById('strategy2').addEventListener('change', updateMemoryOneEditors);
+document.getElementById('group-payoff').addEventListener('change', updateGroupPayoffSettings);
+document.getElementById('genetic-register').addEventListener('click', registerEvolvedStrategy);
+document.getElementById('genetic-download').addEventListener('click', downloadEvolvedGenome);
+document.getElementById('game-preset').addEventListener('change', applyGamePreset);
+document.getElementById('payoff-asymmetric').addEventListener('change', toggleAsymmetricPayoffs);
+['payoff', 'payoff2'].forEach(prefix => {
+    ['t', 'r', 'p', 's'].forEach(key => {
+        document.getElementById(`${prefix}-${key}`).addEventListener('input', updateGameClass);
+    });
+});
 
 // Initialize UI
+loadCustomStrategies();
+renderStrategySelects();
+renderCustomStrategySelect();
+showCustomStrategy();
+renderMemoryOneEditor('default-memory-one', 'default-m1');
+renderMemoryOneEditor('strategy1-memory-one', 'strategy1-m1');
+renderMemoryOneEditor('strategy2-memory-one', 'strategy2-m1');
+renderSweepParameterSelects();
+setSweepAxis('x', createDefaultExperimentConfig().sweep.x);
+setSweepAxis('y', createDefaultExperimentConfig().sweep.y);
+resetRoster();
+renderGroupCountInputs(createDefaultExperimentConfig().group.counts);
+renderGamePresetOptions();
+renderScoringSchemeOptions();
+renderBracketOptions();
+renderGeneticOpponentOptions();
+updateMemoryOneEditors();
+updateGroupPayoffSettings();
+updateGameClass();
 updateUIForMode();
 updateUIForDuration();
+updateScoringSettings();
+updateBracketSettings();
+loadConfigFromHash();
 
 // Main simulation runner
-runButton.addEventListener('click', () => {
-    // Disable button during simulation
+runButton.addEventListener('click', () => runWithProgress(runSimulation));
+document.getElementById('cancel-simulation').addEventListener('click', () => simulationRunner.cancel());
+
+// Run an asynchronous task with the run button disabled and the progress bar shown
+function runWithProgress(task) {
     runButton.disabled = true;
     runButton.textContent = 'Running...';
-
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-        try {
-            runSimulation();
-        } catch (error) {
+    updateProgress(0, 'Starting...');
+    progressContainer.style.display = 'block';
+    
+    return task()
+        .catch(error => {
+            // Cancelling is not an error
+            if (error instanceof SimulationCancelledError) return;
             alert('Error running simulation: ' + error.message);
             console.error(error);
-        } finally {
+        })
+        .finally(() => {
             runButton.disabled = false;
             runButton.textContent = 'Run Simulation';
-        }
-    }, 100);
-});
+            progressContainer.style.display = 'none';
+        });
+}
+
+function updateProgress(fraction, text) {
+    document.getElementById('progress-fill').style.width = `${(fraction * 100).toFixed(1)}%`;
+    document.getElementById('progress-text').textContent = text;
+}
+
+// Run a single job in a worker, showing its progress
+async function runJob(job) {
+    const [result] = await simulationRunner.run([job], updateProgress);
+    return result;
+}
 
-function runSimulation() {
+async function runSimulation() {
     // Get configuration values
-    const T = parseFloat(document.getElementById('payoff-t').value);
-    const R = parseFloat(document.getElementById('payoff-r').value);
-    const P = parseFloat(document.getElementById('payoff-p').value);
-    const S = parseFloat(document.getElementById('payoff-s').value);
+    const payoffMatrix = readPayoffMatrixInputs();
     const seed = parseInt(document.getElementById('random-seed').value);
+    const replications = parseInt(document.getElementById('replications').value);
     const forgivenessRate = parseFloat(document.getElementById('forgiveness-rate').value);
+    const randomCoopProb = parseFloat(document.getElementById('random-coop-prob').value);
+    const jossDefectProb = parseFloat(document.getElementById('joss-defect-prob').value);
+    const learningRate = parseFloat(document.getElementById('learning-rate').value);
+    const explorationRate = parseFloat(document.getElementById('exploration-rate').value);
+    const learningDiscount = parseFloat(document.getElementById('learning-discount').value);
+    const implementationError = parseFloat(document.getElementById('implementation-error').value);
+    const perceptionError = parseFloat(document.getElementById('perception-error').value);
+    const scoringScheme = document.getElementById('scoring-scheme').value;
+    const discountFactor = parseFloat(document.getElementById('discount-factor').value);
     
     // Get game duration settings
     const durationType = document.querySelector('input[name="game-duration"]:checked').value;
@@ -88,12 +1356,15 @@ function runSimulation() {
     console.log(`Running simulation with seed: ${seed}`);
     console.log(`Generous TFT forgiveness rate: ${forgivenessRate}`);
     console.log(`Game duration type: ${durationType}`);
+    console.log(`Noise: implementation error ${implementationError}, perception error ${perceptionError}`);
     
-    // Validate payoff matrix
-    if (!validatePayoffMatrix(T, R, P, S)) {
-        alert('Warning: Payoff matrix does not satisfy standard Prisoner\'s Dilemma conditions (T > R > P > S). Continuing anyway...');
+    // Validate payoff matrix (any 2x2 game can be played; the T-S plane shows which kind it is)
+    const payoffValues = [1, 2].flatMap(player => Object.values(payoffMatrix.getPlayerPayoffs(player)));
+    if (payoffValues.some(value => isNaN(value))) {
+        alert('Payoffs must be numbers');
+        return;
     }
-    
+
     // Validate based on duration type
     if (durationType === 'fixed') {
         if (numRounds < 1 || numRounds > 1000) {
@@ -117,40 +1388,185 @@ function runSimulation() {
         return;
     }
     
+    // Validate replications
+    if (isNaN(replications) || replications < 1 || replications > 1000) {
+        alert('Replications must be between 1 and 1000');
+        return;
+    }
+    
     // Validate forgiveness rate
     if (forgivenessRate < 0 || forgivenessRate > 1) {
         alert('Forgiveness rate must be between 0.0 and 1.0');
         return;
     }
     
-    // Create payoff matrix
-    const payoffMatrix = new PayoffMatrix(T, R, P, S);
+    // Validate Random and Joss probabilities
+    if (isNaN(randomCoopProb) || randomCoopProb < 0 || randomCoopProb > 1) {
+        alert('Random cooperation probability must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(jossDefectProb) || jossDefectProb < 0 || jossDefectProb > 1) {
+        alert('Joss sneaky defection rate must be between 0.0 and 1.0');
+        return;
+    }
+    
+    // Validate the parameters of the learning strategies
+    if (isNaN(learningRate) || learningRate < 0 || learningRate > 1) {
+        alert('Learning rate must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(explorationRate) || explorationRate < 0 || explorationRate > 1) {
+        alert('Exploration rate must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(learningDiscount) || learningDiscount < 0 || learningDiscount > 0.99) {
+        alert('Q-Learning discount factor must be between 0.0 and 0.99');
+        return;
+    }
+    
+    // Validate memory-one strategy vector
+    const memoryOne = readMemoryOneParams('default-m1');
+    if (!validateMemoryOneVector(memoryOne.vector)) {
+        alert('Memory-one cooperation probabilities must be between 0.0 and 1.0');
+        return;
+    }
+    
+    // Validate noise rates
+    if (isNaN(implementationError) || implementationError < 0 || implementationError > 1) {
+        alert('Implementation error must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(perceptionError) || perceptionError < 0 || perceptionError > 1) {
+        alert('Perception error must be between 0.0 and 1.0');
+        return;
+    }
     
     // Create strategy parameters
     const strategyParams = {
-        forgiveness: forgivenessRate
+        forgiveness: forgivenessRate,
+        randomCoopProb: randomCoopProb,
+        jossDefectProb: jossDefectProb,
+        memoryOne: memoryOne,
+        learningRate: learningRate,
+        explorationRate: explorationRate,
+        discountFactor: learningDiscount
     };
     
+    // Create noise settings
+    const noise = {
+        implementationError: implementationError,
+        perceptionError: perceptionError
+    };
+    
+    // Validate discount factor (only used by discounted scoring)
+    if (scoringScheme === 'discounted' && (isNaN(discountFactor) || discountFactor < 0 || discountFactor > 1)) {
+        alert('Discount factor must be between 0.0 and 1.0');
+        return;
+    }
+    
     // Create tournament with appropriate parameters
-    const tournament = new Tournament(payoffMatrix, numRounds, strategyParams, continuationProb);
+    const scoring = { scheme: scoringScheme, discountFactor: discountFactor };
+    const tournament = new Tournament(payoffMatrix, numRounds, strategyParams, continuationProb, noise, seed, scoring);
     
     // Check mode
     const mode = document.querySelector('input[name="tournament-mode"]:checked').value;
     
+    // The page address and exported results carry the configuration of this run
+    const settings = readExperimentConfig();
+    setConfigHash(settings);
+    
+    // Players of the Moran process, the lattice and the linear group game have no fixed seats, and a Swiss or
+    // elimination pairing is played once, in fixed seats
+    const needsSymmetricGame = mode === 'moran' || mode === 'spatial' || mode === 'bracket' ||
+        (mode === 'group' && settings.group.payoff === 'linear');
+    if (!payoffMatrix.isSymmetric() && needsSymmetricGame) {
+        alert('Asymmetric payoffs cannot be used in Moran, spatial, Swiss, elimination or linear N-player games');
+        return;
+    }
+    
+    // Validate round-robin repetitions (where a round-robin is played)
+    const repetitions = settings.roundRobin.repetitions;
+    const playsRoundRobin = mode === 'roundrobin' || mode === 'population' || mode === 'sweep';
+    if (playsRoundRobin && (isNaN(repetitions) || repetitions < 1 || repetitions > 100)) {
+        alert('Repetitions per pairing must be between 1 and 100');
+        return;
+    }
+
+    // Stop any running lattice animation or replay (only spatial mode shows the lattice, only pairwise
+    // and interactive play the replay) and end any interactive match
+    stopSpatialAnimation();
+    stopReplay();
+    playSession = null;
+    document.getElementById('spatial-container').style.display = 'none';
+    document.getElementById('replay-container').style.display = 'none';
+    document.getElementById('sweep-container').style.display = 'none';
+    document.getElementById('play-container').style.display = 'none';
+    document.getElementById('bracket-container').style.display = 'none';
+    document.getElementById('genetic-container').style.display = 'none';
+    document.getElementById('learning-chart-container').style.display = 'none';
+    document.getElementById('analytical-container').style.display = 'none';
+    
+    // Only pairwise, round-robin, Swiss / elimination, genetic algorithm and interactive play results can be downloaded
+    document.getElementById('export-container').style.display = 'none';
+    
     if (mode === 'pairwise') {
-        runPairwiseMode(tournament);
+        await runPairwiseMode(tournament, settings);
+        return;
+    }
+    if (mode === 'play') {
+        runPlayMode(tournament, settings);
+        return;
+    }
+    if (mode === 'group') {
+        await runGroupMode(settings);
+        return;
+    }
+
+    // Every other mode plays the entrants of the roster
+    const roster = readRoster(tournament);
+    const rosterError = validateRoster(roster);
+    if (rosterError) {
+        alert(rosterError);
+        return;
+    }
+    
+    if (mode === 'population') {
+        await runPopulationMode(settings);
+    } else if (mode === 'moran') {
+        await runMoranMode(settings);
+    } else if (mode === 'genetic') {
+        await runGeneticMode(settings);
+    } else if (mode === 'spatial') {
+        // The lattice is animated on the page, one generation at a time
+        runSpatialMode(tournament, roster);
+    } else if (mode === 'sweep') {
+        await runSweepMode(settings);
+    } else if (mode === 'bracket') {
+        await runBracketMode(settings);
     } else {
-        runRoundRobinMode(tournament);
+        await runRoundRobinMode(settings);
     }
 }
 
-function runPairwiseMode(tournament) {
-    // Get selected strategies
-    const strategy1Code = document.getElementById('strategy1').value;
-    const strategy2Code = document.getElementById('strategy2').value;
+async function runPairwiseMode(tournament, settings) {
+    // Selected strategies; each memory-one player has its own vector
+    const [{ code: strategy1Code, params: params1 }, { code: strategy2Code, params: params2 }] = settings.pairwise;
+    if ((params1.memoryOne && !validateMemoryOneVector(params1.memoryOne.vector)) ||
+        (params2.memoryOne && !validateMemoryOneVector(params2.memoryOne.vector))) {
+        alert('Memory-one cooperation probabilities must be between 0.0 and 1.0');
+        return;
+    }
     
-    // Run tournament
-    const result = tournament.runPairwise(strategy1Code, strategy2Code);
+    // Run tournament (with replications, charts and tables show the first one, which uses the seed itself)
+    const { result, replication, analytical } = await runJob({ kind: 'pairwise', config: settings });
+
+    // Matches between memory-one strategies also get the stationary payoff of their Markov chain
+    const vector1 = StrategyFactory.createStrategy(strategy1Code, { ...tournament.strategyParams, ...params1 }).getMemoryOneVector();
+    const vector2 = StrategyFactory.createStrategy(strategy2Code, { ...tournament.strategyParams, ...params2 }).getMemoryOneVector();
+    let stationary = null;
+    if (vector1 && vector2) {
+        stationary = new MemoryOneAnalysis(tournament.payoffMatrix, tournament.noise).getStationaryPayoffs(vector1, vector2);
+    }
     
     // Update chart titles
     document.getElementById('cooperation-chart-title').textContent = 'Cooperation Rate Over Time';
@@ -160,40 +1576,558 @@ function runPairwiseMode(tournament) {
     document.getElementById('payoff-matrix-container').style.display = 'none';
     
     // Display results
-    visualizer.displayPairwiseSummary(result);
+    visualizer.displayPairwiseSummary(result, stationary, replication, settings.scoring);
     visualizer.createCooperationChart(result.roundHistory, result.strategy1Name, result.strategy2Name);
     visualizer.createPayoffChart(result.roundHistory, result.strategy1Name, result.strategy2Name);
+    visualizer.createLearningChart(result);
     visualizer.displayPairwiseTable(result);
+    visualizer.displayAnalytical(analytical);
+    
+    // Replay the match round by round, starting from its end
+    replayMatch = { result: result, events: findMatchEvents(result, [strategy1Code, strategy2Code]) };
+    visualizer.displayReplay(result, replayMatch.events);
+    document.getElementById('replay-container').style.display = 'block';
+    showReplayRound(result.roundHistory.length);
+    
+    showExportButtons(settings, result, replication, analytical);
+}
+
+// Start an interactive match against the selected opponent; it is played on the page, a round per move
+function runPlayMode(tournament, settings) {
+    const opponent = settings.pairwise[1];
+    if (opponent.params.memoryOne && !validateMemoryOneVector(opponent.params.memoryOne.vector)) {
+        alert('Memory-one cooperation probabilities must be between 0.0 and 1.0');
+        return;
+    }
+    
+    playSession = { match: new InteractiveMatch(tournament, opponent), settings: settings };
+    
+    // Charts and tables fill in as the match is played
+    visualizer.clear();
+    document.getElementById('cooperation-chart-title').textContent = 'Cooperation Rate Over Time';
+    document.getElementById('payoff-chart-title').textContent = 'Cumulative Payoffs';
+    document.getElementById('payoff-matrix-container').style.display = 'none';
+    document.getElementById('summary-stats').innerHTML = '<p>Choose Cooperate or Defect to play the first round</p>';
+    document.getElementById('play-comparison').style.display = 'none';
+    document.getElementById('play-container').style.display = 'block';
+    showPlayState();
+}
+
+// Play a round of the interactive match with the person's move
+function playMove(move) {
+    if (!playSession || playSession.match.finished) return;
+    playSession.match.play(move);
+    showPlayState();
+    if (playSession.match.finished) {
+        finishPlayMode();
+    }
+}
+
+// Show the interactive match after the rounds played so far
+function showPlayState() {
+    const { match } = playSession;
+    const result = match.getResult();
+    const roundsPlayed = result.roundHistory.length;
+    
+    document.getElementById('play-title').textContent = match.finished ? 'Match Over' : 'Your Move';
+    const tournament = match.tournament;
+    if (match.finished) {
+        document.getElementById('play-round').textContent = `Played ${roundsPlayed} rounds`;
+    } else if (tournament.continuationProb !== null) {
+        // The length of an indefinite game is not known in advance
+        document.getElementById('play-round').textContent =
+            `Round ${roundsPlayed + 1} (the game continues after each round with probability ${tournament.continuationProb})`;
+    } else {
+        document.getElementById('play-round').textContent = `Round ${roundsPlayed + 1} of ${tournament.numRounds}`;
+    }
+    playCooperateButton.disabled = match.finished;
+    playDefectButton.disabled = match.finished;
+    
+    visualizer.displayPlayView(result, tournament.payoffMatrix);
+    if (roundsPlayed > 0) {
+        visualizer.displayPairwiseSummary(result);
+        visualizer.createCooperationChart(result.roundHistory, result.strategy1Name, result.strategy2Name);
+        visualizer.createPayoffChart(result.roundHistory, result.strategy1Name, result.strategy2Name);
+        visualizer.createLearningChart(result);
+        visualizer.displayPairwiseTable(result);
+    }
+}
+
+// At the end of an interactive match: compare the person to the built-in strategies, replay the match
+// and offer it for download like a pairwise match
+function finishPlayMode() {
+    const { match, settings } = playSession;
+    const result = match.getResult();
+    const comparison = match.compareStrategies();
+    visualizer.displayPlayComparison(comparison, result.strategy2Name);
+    
+    replayMatch = { result: result, events: findMatchEvents(result, [null, match.opponentEntry.code]) };
+    visualizer.displayReplay(result, replayMatch.events);
+    document.getElementById('replay-container').style.display = 'block';
+    showReplayRound(result.roundHistory.length);
+    
+    showExportButtons(settings, { ...result, comparison: comparison });
 }
 
-function runRoundRobinMode(tournament) {
-    // Run tournament
-    const { matchResults, aggregated, payoffMatrix, strategyNames } = tournament.runRoundRobin();
+async function runRoundRobinMode(settings) {
+    // Run tournament (with replications, the payoff matrix and match table show the first one)
+    const { result, replication, analytical } = await runJob({ kind: 'roundrobin', config: settings });
+    const { matchResults, aggregated, payoffMatrix, strategyNames, scoring, roundRobin, gameLengths } = result;
     
     // Update chart titles
+    const scoringName = visualizer.describeScoring(scoring);
     document.getElementById('cooperation-chart-title').textContent = 'Average Cooperation Rate by Strategy';
-    document.getElementById('payoff-chart-title').textContent = 'Average Score per Match';
+    document.getElementById('payoff-chart-title').textContent = scoringName ? `Average Points per Match: ${scoringName}` : 'Average Score per Match';
     
     // Show payoff matrix container
     document.getElementById('payoff-matrix-container').style.display = 'block';
     
     // Display aggregated charts for all strategies
-    visualizer.createRoundRobinCooperationChart(aggregated);
-    visualizer.createRoundRobinPayoffChart(aggregated);
+    visualizer.createRoundRobinCooperationChart(aggregated, replication);
+    visualizer.createRoundRobinPayoffChart(aggregated, replication);
     
     // Display payoff matrix
     visualizer.displayPayoffMatrix(payoffMatrix, strategyNames);
     
     // Display summary and table
-    visualizer.displayRoundRobinSummary(aggregated);
-    visualizer.displayRoundRobinTable(matchResults, aggregated);
+    visualizer.displayRoundRobinSummary(aggregated, replication, scoring, roundRobin, gameLengths);
+    visualizer.displayRoundRobinTable(matchResults, aggregated, scoring);
+    visualizer.displayAnalytical(analytical);
+    
+    showExportButtons(settings, result, replication, analytical);
+}
+
+async function runPopulationMode(settings) {
+    // Population settings (shares follow the order of the roster)
+    const { numGenerations, shares } = settings.population;
+    
+    // Validate population settings
+    if (isNaN(numGenerations) || numGenerations < 1 || numGenerations > 10000) {
+        alert('Number of generations must be between 1 and 10000');
+        return;
+    }
+    if (shares.some(share => isNaN(share) || share < 0)) {
+        alert('Initial population shares must be non-negative numbers');
+        return;
+    }
+    if (shares.every(share => share === 0)) {
+        alert('At least one strategy must have a positive initial share');
+        return;
+    }
+    
+    // Run round-robin to get the payoff matrix, then evolve the population
+    const { payoffMatrix, strategyNames, dynamics: result } = await runJob({ kind: 'population', config: settings });
+
+    // Update chart titles
+    document.getElementById('cooperation-chart-title').textContent = 'Population Shares Over Generations';
+    document.getElementById('payoff-chart-title').textContent = 'Average Population Fitness';
+    
+    // Show payoff matrix the dynamics are based on
+    document.getElementById('payoff-matrix-container').style.display = 'block';
+    visualizer.displayPayoffMatrix(payoffMatrix, strategyNames);
+    
+    // Display results
+    visualizer.displayPopulationSummary(result);
+    visualizer.createPopulationShareChart(result);
+    visualizer.createPopulationFitnessChart(result);
+    visualizer.displayPopulationTable(result);
+}
+
+async function runMoranMode(config) {
+    // Moran process settings
+    const settings = config.moran;
+    const { numGenerations, fixationRuns } = settings;
+
+    // Validate Moran process settings
+    if (isNaN(settings.populationSize) || settings.populationSize < 2 || settings.populationSize > 200) {
+        alert('Population size must be between 2 and 200');
+        return;
+    }
+    if (isNaN(settings.selectionIntensity) || settings.selectionIntensity < 0 || settings.selectionIntensity > 10) {
+        alert('Selection intensity must be between 0 and 10');
+        return;
+    }
+    if (isNaN(settings.mutationRate) || settings.mutationRate < 0 || settings.mutationRate > 1) {
+        alert('Mutation rate must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(settings.opponentsPerGeneration) || settings.opponentsPerGeneration < 1 || settings.opponentsPerGeneration > 50) {
+        alert('Opponents sampled per individual must be between 1 and 50');
+        return;
+    }
+    if (isNaN(numGenerations) || numGenerations < 1 || numGenerations > 100000) {
+        alert('Number of generations must be between 1 and 100000');
+        return;
+    }
+    if (isNaN(fixationRuns) || fixationRuns < 1 || fixationRuns > 1000) {
+        alert('Fixation runs per pair must be between 1 and 1000');
+        return;
+    }
+    
+    // Run the time series, then the invasion experiments
+    const { result, fixation } = await runJob({ kind: 'moran', config: config });
+
+    // Update chart titles
+    document.getElementById('cooperation-chart-title').textContent = 'Strategy Counts Over Generations';
+    document.getElementById('payoff-chart-title').textContent = 'Average Fixation Probability as Invader';
+    
+    // Show fixation probability matrix
+    document.getElementById('payoff-matrix-container').style.display = 'block';
+    visualizer.displayFixationMatrix(fixation);
+    
+    // Display results
+    visualizer.displayMoranSummary(result, fixation);
+    visualizer.createMoranCountChart(result);
+    visualizer.createFixationChart(fixation);
+    visualizer.displayMoranTable(result, fixation);
+}
+
+async function runGeneticMode(config) {
+    // Genetic algorithm settings
+    const settings = config.genetic;
+    
+    // Validate genetic algorithm settings
+    if (isNaN(settings.populationSize) || settings.populationSize < 2 || settings.populationSize > 200) {
+        alert('Population size must be between 2 and 200');
+        return;
+    }
+    if (isNaN(settings.numGenerations) || settings.numGenerations < 1 || settings.numGenerations > 1000) {
+        alert('Number of generations must be between 1 and 1000');
+        return;
+    }
+    if (isNaN(settings.crossoverRate) || settings.crossoverRate < 0 || settings.crossoverRate > 1) {
+        alert('Crossover rate must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(settings.mutationRate) || settings.mutationRate < 0 || settings.mutationRate > 1) {
+        alert('Mutation rate must be between 0.0 and 1.0');
+        return;
+    }
+    if (isNaN(settings.eliteCount) || settings.eliteCount < 0 || settings.eliteCount >= settings.populationSize) {
+        alert('The elite must be smaller than the population');
+        return;
+    }
+    
+    // Evolve the population
+    const { result } = await runJob({ kind: 'genetic', config: config });
+    geneticRun = { result: result, settings: config };
+    
+    // Update chart titles
+    document.getElementById('cooperation-chart-title').textContent = 'Best and Mean Fitness per Generation';
+    document.getElementById('payoff-chart-title').textContent = 'Cooperation Rate of the Population';
+    
+    // Hide payoff matrix (only for round-robin)
+    document.getElementById('payoff-matrix-container').style.display = 'none';
+    
+    // Display results
+    visualizer.displayGeneticSummary(result);
+    visualizer.displayGenome(result.best, result.memory);
+    visualizer.createFitnessChart(result);
+    visualizer.createGeneticCooperationChart(result);
+    visualizer.displayGeneticTable(result);
+    
+    showExportButtons(config, result);
+}
+
+// Add the best evolved genome as a custom strategy (saved in the browser like any other), so it can be
+// played and entered in the roster; its rule source opens in the custom strategy editor
+function registerEvolvedStrategy() {
+    if (!geneticRun) return;
+    const { memory, best } = geneticRun.result;
+    const name = document.getElementById('genetic-strategy-name').value.trim();
+    if (!name) {
+        alert('Enter a name for the evolved strategy');
+        return;
+    }
+    const builtInNames = StrategyFactory.getBuiltInStrategyCodes().map(code => StrategyFactory.getStrategyLabel(code));
+    if (builtInNames.includes(name) || customStrategySources[getRuleStrategyCode(name)]) {
+        alert(`A strategy named "${name}" already exists`);
+        return;
+    }
+    
+    let code;
+    try {
+        code = registerCustomStrategy(lookupTableToRuleSource(memory, best.genome, name));
+    } catch (error) {
+        alert(`Could not add the strategy: ${error.message}`);
+        return;
+    }
+    storeCustomStrategies();
+    refreshStrategyOptions();
+    renderCustomStrategySelect(code);
+    showCustomStrategy();
+    alert(`"${name}" was added to the strategies`);
+}
+
+// Save the best evolved genome with the settings that produced it
+function downloadEvolvedGenome() {
+    if (!geneticRun) return;
+    const { result, settings } = geneticRun;
+    const genome = {
+        memory: result.memory,
+        genome: result.best.genome,
+        fitness: result.best.fitness,
+        generation: result.best.generation,
+        ruleSource: lookupTableToRuleSource(result.memory, result.best.genome, document.getElementById('genetic-strategy-name').value.trim() || 'Evolved Strategy'),
+        config: settings
+    };
+    downloadFile(`pd-genome-seed${settings.seed}.json`, JSON.stringify(genome, null, 2), 'application/json');
+}
+
+function runSpatialMode(tournament, roster) {
+    // Get lattice settings
+    const gridSize = parseInt(document.getElementById('spatial-grid-size').value);
+    const neighborhood = document.getElementById('spatial-neighborhood').value;
+    const delay = parseInt(document.getElementById('spatial-speed').value);
+    
+    // Validate lattice settings
+    if (isNaN(gridSize) || gridSize < 5 || gridSize > 100) {
+        alert('Grid size must be between 5 and 100');
+        return;
+    }
+    if (isNaN(delay) || delay < 0 || delay > 5000) {
+        alert('Animation delay must be between 0 and 5000 ms');
+        return;
+    }
+    
+    // Create lattice with random initial strategies
+    spatialGame = new SpatialGame(tournament, roster, {
+        width: gridSize,
+        height: gridSize,
+        neighborhood: neighborhood
+    });
+    spatialGame.initialize();
+    spatialDelay = delay;
+    
+    // Update chart titles
+    document.getElementById('cooperation-chart-title').textContent = 'Strategy Frequencies Over Generations';
+    document.getElementById('payoff-chart-title').textContent = 'Average Payoff per Game';
+    
+    // Show lattice, hide payoff matrix
+    document.getElementById('payoff-matrix-container').style.display = 'none';
+    document.getElementById('spatial-container').style.display = 'block';
+    
+    // Display initial lattice and start animating
+    visualizer.createSpatialCharts(spatialGame);
+    visualizer.updateSpatialView(spatialGame);
+    startSpatialAnimation();
+}
+
+async function runGroupMode(settings) {
+    const { multiplicationFactor, contribution, cooperationThreshold, counts } = settings.group;
+    const groupSize = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    
+    // Validate group settings
+    if (Object.values(counts).some(count => isNaN(count) || count < 0)) {
+        alert('Group member counts must be non-negative whole numbers');
+        return;
+    }
+    if (groupSize < 2 || groupSize > 100) {
+        alert('The group must have between 2 and 100 members');
+        return;
+    }
+    if (isNaN(multiplicationFactor) || multiplicationFactor < 0) {
+        alert('Multiplication factor must be a non-negative number');
+        return;
+    }
+    if (isNaN(contribution) || contribution <= 0) {
+        alert('Contribution must be a positive number');
+        return;
+    }
+    if (isNaN(cooperationThreshold) || cooperationThreshold < 0 || cooperationThreshold > 1) {
+        alert('Conditional cooperator threshold must be between 0.0 and 1.0');
+        return;
+    }
+    
+    // Play the group game
+    const { result } = await runJob({ kind: 'group', config: settings });
+    
+    // Update chart titles
+    document.getElementById('cooperation-chart-title').textContent = 'Group Cooperation Over Time';
+    document.getElementById('payoff-chart-title').textContent = 'Cumulative Payoffs of the Members';
+    
+    // Hide payoff matrix (only for round-robin)
+    document.getElementById('payoff-matrix-container').style.display = 'none';
+    
+    // Display results
+    visualizer.displayGroupSummary(result, GROUP_PAYOFF_TYPES[settings.group.payoff]);
+    visualizer.createGroupCooperationChart(result);
+    visualizer.createGroupPayoffChart(result);
+    visualizer.displayGroupTable(result);
+}
+
+async function runBracketMode(settings) {
+    const { format, swissRounds } = settings.bracket;
+    
+    // Validate bracket settings
+    if (settings.roster.length < 2) {
+        alert('A Swiss or elimination tournament needs at least 2 entrants');
+        return;
+    }
+    if (format === 'swiss' && (isNaN(swissRounds) || swissRounds < 1 || swissRounds > 50)) {
+        alert('Swiss rounds must be between 1 and 50');
+        return;
+    }
+    
+    // Play the tournament
+    const { result } = await runJob({ kind: 'bracket', config: settings });
+    const { matchResults, aggregated, scoring } = result;
+    
+    // Update chart titles
+    const scoringName = visualizer.describeScoring(scoring);
+    document.getElementById('cooperation-chart-title').textContent = 'Average Cooperation Rate by Strategy';
+    document.getElementById('payoff-chart-title').textContent = scoringName ? `Average Points per Match: ${scoringName}` : 'Average Score per Match';
+    
+    // Not every pair meets, so there is no score matrix
+    document.getElementById('payoff-matrix-container').style.display = 'none';
+    
+    // Display summary, bracket, charts and table
+    visualizer.displayBracketSummary(result, settings.bracket);
+    visualizer.displayBracket(result);
+    visualizer.createRoundRobinCooperationChart(aggregated);
+    visualizer.createRoundRobinPayoffChart(aggregated);
+    visualizer.displayRoundRobinTable(matchResults, aggregated, scoring);
+    
+    showExportButtons(settings, result);
+}
+
+async function runSweepMode(settings) {
+    // Validate the grid
+    const { x: xAxis, y: yAxis } = settings.sweep;
+    const axisError = validateSweepAxis(xAxis, 'x axis') || (yAxis.parameter ? validateSweepAxis(yAxis, 'y axis') : null);
+    if (axisError) {
+        alert(axisError);
+        return;
+    }
+    if (xAxis.parameter === yAxis.parameter) {
+        alert('The x and y axes must sweep different parameters');
+        return;
+    }
+    const numPoints = getSweepValues(xAxis).length * (yAxis.parameter ? getSweepValues(yAxis).length : 1);
+    if (numPoints > MAX_SWEEP_POINTS) {
+        alert(`The grid has ${numPoints} points; a sweep can have at most ${MAX_SWEEP_POINTS}`);
+        return;
+    }
+    
+    // Run the round-robin at every grid point, spread over several workers
+    // (interleaved, so the slow end of an axis such as the number of rounds is shared out)
+    const sweep = new ParameterSweep(settings);
+    const gridPoints = sweep.getGridPoints();
+    const numJobs = Math.min(simulationRunner.getParallelJobCount(), gridPoints.length);
+    const chunks = Array.from({ length: numJobs }, (_, job) => gridPoints.filter((_, index) => index % numJobs === job));
+    const results = await simulationRunner.run(
+        chunks.map(points => ({ kind: 'sweep', config: settings, points: points })),
+        (fraction, text, jobFractions) => {
+            const pointsDone = jobFractions.reduce((sum, jobFraction, job) => sum + Math.round(jobFraction * chunks[job].length), 0);
+            updateProgress(pointsDone / gridPoints.length, `Grid point ${pointsDone} of ${gridPoints.length}`);
+        }
+    );
+    const points = sweep.yValues.map(() => []);
+    results.flat().forEach(({ xIndex, yIndex, point }) => {
+        points[yIndex][xIndex] = point;
+    });
+    currentSweep = sweep;
+    currentSweepResult = sweep.createResult(points);
+
+    // Per-strategy metrics can show any entrant
+    const strategySelect = document.getElementById('sweep-strategy');
+    strategySelect.innerHTML = currentSweepResult.strategyNames.map((name, index) =>
+        `<option value="${index}">${escapeHtml(name)}</option>`).join('');
+    
+    // The sweep does not reach entrants with their own value of a swept strategy parameter
+    const warning = document.getElementById('sweep-warning');
+    const { unsweptEntrants } = currentSweepResult;
+    warning.textContent = unsweptEntrants.length > 0
+        ? `Not swept: ${unsweptEntrants.join(', ')} ` +
+          '(these entrants set their own value of the swept parameter in the roster and keep it at every grid point)'
+        : '';
+    warning.style.display = unsweptEntrants.length > 0 ? 'block' : 'none';
+    document.getElementById('sweep-container').style.display = 'block';
+    
+    // Show the full tournament at the first grid point below the heatmap
+    await openSweepPoint(0, 0);
+}
+
+// Redraw the sweep heatmap for the chosen metric
+function showSweepHeatmap() {
+    if (!currentSweepResult) return;
+    const metric = document.getElementById('sweep-metric').value;
+    const strategySelect = document.getElementById('sweep-strategy');
+    strategySelect.style.display = metric === 'winner' ? 'none' : 'inline-block';
+    const strategyName = currentSweepResult.strategyNames[parseInt(strategySelect.value)];
+    visualizer.displaySweepHeatmap(currentSweepResult, metric, strategyName, selectedSweepPoint);
+}
+
+// Show the round-robin tournament of a grid point in the regular result views
+async function openSweepPoint(xIndex, yIndex) {
+    const config = currentSweep.getPointConfig(xIndex, yIndex);
+    await runRoundRobinMode(config);
+
+    selectedSweepPoint = { x: xIndex, y: yIndex };
+    showSweepHeatmap();
+    
+    const point = currentSweepResult.points[yIndex][xIndex];
+    const values = [`${SWEEP_PARAMETERS[currentSweepResult.xAxis.parameter].label} = ${point.x}`];
+    if (currentSweepResult.yAxis) {
+        values.push(`${SWEEP_PARAMETERS[currentSweepResult.yAxis.parameter].label} = ${point.y}`);
+    }
+    const selection = document.getElementById('sweep-selection');
+    selection.innerHTML = `Showing the tournament at ${values.join(', ')} below (click another cell to switch). 
+        <button class="control-btn" id="sweep-use-point">Load these settings</button>`;
+    document.getElementById('sweep-use-point').addEventListener('click', () => applyExperimentConfig(config));
+}
+
+// Offer the results of a pairwise, round-robin or interactive run as CSV and JSON downloads
+// (analytical: the check of a pairwise or round-robin run against its expected payoffs)
+function showExportButtons(settings, result, replication = null, analytical = null) {
+    const baseName = `pd-${settings.mode}-seed${settings.seed}`;
+    
+    // [button label, file name, content builder, MIME type]
+    const files = settings.mode === 'pairwise' || settings.mode === 'play' ? [
+        ['Rounds (CSV)', `${baseName}-rounds.csv`, () => roundHistoryToCsv(result.roundHistory, result.learningCurve1, result.learningCurve2), 'text/csv']
+    ] : settings.mode === 'genetic' ? [
+        ['Generations (CSV)', `${baseName}-generations.csv`, () => geneticToCsv(result), 'text/csv']
+    ] : [
+        ['Standings (CSV)', `${baseName}-standings.csv`, () => standingsToCsv(result.aggregated), 'text/csv'],
+        ['Matches (CSV)', `${baseName}-matches.csv`, () => matchResultsToCsv(result.matchResults), 'text/csv'],
+        ['Score Matrix (CSV)', `${baseName}-matrix.csv`, () => scoreMatrixToCsv(result.payoffMatrix, result.strategyNames), 'text/csv']
+    ];
+    if (settings.mode === 'bracket') {
+        // Not every pair meets in a Swiss or elimination tournament
+        files.pop();
+    }
+    if (replication) {
+        files.push(['Replications (CSV)', `${baseName}-replications.csv`, () => replicationToCsv(replication), 'text/csv']);
+    }
+    if (analytical) {
+        files.push(['Analytical Check (CSV)', `${baseName}-analytical.csv`, () => analyticalToCsv(analytical), 'text/csv']);
+    }
+    files.push(['Everything (JSON)', `${baseName}.json`,
+        () => JSON.stringify(createResultsDocument(settings, result, replication, analytical), null, 2), 'application/json']);
+    
+    const container = document.getElementById('export-buttons');
+    container.innerHTML = '';
+    files.forEach(([label, filename, buildContent, type]) => {
+        const button = document.createElement('button');
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.addEventListener('click', () => downloadFile(filename, buildContent(), type));
+        container.appendChild(button);
+    });
+    
+    document.getElementById('export-container').style.display = 'flex';
 }
 
-function validatePayoffMatrix(T, R, P, S) {
-    // Standard Prisoner's Dilemma requires: T > R > P > S and 2R > T + S
-    const condition1 = T > R && R > P && P > S;
-    const condition2 = 2 * R > T + S;
-    return condition1 && condition2;
+// Save text as a file through a temporary download link
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 // Add some helpful tooltips and information
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+// pd-sim - Run Prisoner's Dilemma tournaments from the command line
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const engine = require('../engine');
+
+const USAGE = `Usage:
+  pd-sim run [options]     Run a pairwise game or a round-robin tournament
+  pd-sim strategies        List the available strategy codes
+
+Options for run (defaults match the web page; options override the configuration file):
+  --config <file>               Experiment configuration saved from the page (or a results JSON file)
+  --mode <mode>                 pairwise or roundrobin (default: roundrobin)
+  --strategies <codes>          Comma-separated strategy codes; pairwise needs exactly two
+                                (default: TFT,ALLD for pairwise, every strategy for roundrobin)
+  --rounds <n>                  Rounds per game (default: 100)
+  --continuation <p>            Play an indefinite game that continues with probability p instead
+  --seed <n>                    Random seed (default: 42)
+  --replications <n>            Repeat the run with seeds derived from the seed and report means with
+                                95% confidence intervals (default: 1)
+  --repetitions <n>             Times every round-robin pairing is played (default: 1)
+  --self-play                   Count each entrant's game against itself toward its round-robin totals
+  --common-length               Play every round-robin pairing of a repetition with the same game length,
+                                sampled once per repetition (indefinite games only)
+  --carry-learning              Learning strategies take what they learned into their next round-robin game
+  --payoff <T,R,P,S>            Payoff matrix (default: 5,3,1,0)
+  --payoff2 <T,R,P,S>           Player 2's payoffs for an asymmetric game (default: same as --payoff)
+  --scoring <scheme>            How games are scored for the standings: total, discounted, perRound
+                                or winLossDraw (default: total)
+  --discount <d>                Discount factor per round for discounted scoring (default: 0.95)
+  --forgiveness <p>             Generous TFT forgiveness rate (default: 0.1)
+  --random-coop <p>             Random strategy cooperation probability (default: 0.5)
+  --joss-defect <p>             Joss sneaky defection rate (default: 0.1)
+  --memory-one <vector>         Memory-one preset name or p0,pCC,pCD,pDC,pDD (default: WSLS)
+  --learning-rate <r>           Q-Learning and Bush-Mosteller learning rate (default: 0.1)
+  --exploration <p>             Learning strategies' probability of a random move (default: 0.05)
+  --learning-discount <d>       Q-Learning discount factor of future payoffs (default: 0.9)
+  --implementation-error <p>    Probability a move is executed as its opposite (default: 0)
+  --perception-error <p>        Probability a move is misread by the opponent (default: 0)
+  --rules <file>                Load a custom strategy written in the rule language (repeatable)
+  --format <format>             table, csv or json (default: table)
+  --table <table>               Table to print for table/csv output: rounds (pairwise),
+                                standings, matches or matrix (roundrobin; default: standings),
+                                analytical (expected against simulated payoffs, both modes),
+                                or replications (default with more than one replication)
+  --output <file>               Write to a file instead of standard output`;
+
+const OPTIONS = {
+    'config': { type: 'string' },
+    'mode': { type: 'string' },
+    'strategies': { type: 'string' },
+    'rounds': { type: 'string' },
+    'continuation': { type: 'string' },
+    'seed': { type: 'string' },
+    'replications': { type: 'string' },
+    'repetitions': { type: 'string' },
+    'self-play': { type: 'boolean' },
+    'common-length': { type: 'boolean' },
+    'carry-learning': { type: 'boolean' },
+    'payoff': { type: 'string' },
+    'payoff2': { type: 'string' },
+    'scoring': { type: 'string' },
+    'discount': { type: 'string' },
+    'forgiveness': { type: 'string' },
+    'random-coop': { type: 'string' },
+    'joss-defect': { type: 'string' },
+    'memory-one': { type: 'string' },
+    'learning-rate': { type: 'string' },
+    'exploration': { type: 'string' },
+    'learning-discount': { type: 'string' },
+    'implementation-error': { type: 'string' },
+    'perception-error': { type: 'string' },
+    'rules': { type: 'string', multiple: true, default: [] },
+    'format': { type: 'string', default: 'table' },
+    'table': { type: 'string' },
+    'output': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+// Check that a number lies within [min, max]
+function checkRange(value, name, min, max, integer = false) {
+    if (typeof value !== 'number' || isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        const kind = integer ? 'an integer' : 'a number';
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        throw new Error(`${name} must be ${kind} ${range}`);
+    }
+    return value;
+}
+
+// Parse a number option
+function readNumber(options, name) {
+    return options[name] === '' ? NaN : Number(options[name]);
+}
+
+// Payoffs ({ T, R, P, S }) from four comma-separated numbers
+function readPayoffs(options, name) {
+    const payoffs = options[name].split(',').map(Number);
+    if (payoffs.length !== 4 || payoffs.some(isNaN)) {
+        throw new Error(`--${name} must be four numbers T,R,P,S`);
+    }
+    const [T, R, P, S] = payoffs;
+    return { T: T, R: R, P: P, S: S };
+}
+
+// Memory-one strategy parameters ({ vector, label }) from a preset name or five probabilities
+function readMemoryOne(value, payoffMatrix, forgiveness) {
+    const presets = engine.MemoryOneStrategy.getPresets(payoffMatrix, forgiveness);
+    if (Object.prototype.hasOwnProperty.call(presets, value)) {
+        // Rounded like the page's memory-one editor, so the vectors are the same
+        const vector = {};
+        Object.keys(presets[value]).forEach(field => {
+            vector[field] = parseFloat(presets[value][field].toFixed(4));
+        });
+        return { vector: vector, label: value };
+    }
+
+    const probabilities = value.split(',').map(Number);
+    if (probabilities.length !== 5 || probabilities.some(p => isNaN(p) || p < 0 || p > 1)) {
+        throw new Error(`--memory-one must be one of ${Object.keys(presets).join(', ')} or five probabilities p0,pCC,pCD,pDC,pDD`);
+    }
+    const [p0, pCC, pCD, pDC, pDD] = probabilities;
+    return { vector: { p0: p0, pCC: pCC, pCD: pCD, pDC: pDC, pDD: pDD }, label: null };
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+}
+
+// Experiment configuration from the configuration file (if any) and the command-line options
+function readConfig(options) {
+    let config;
+    if (options.config !== undefined) {
+        try {
+            config = engine.normalizeExperimentConfig(JSON.parse(readFile(options.config)));
+        } catch (error) {
+            throw new Error(`${options.config}: ${error.message}`);
+        }
+    } else {
+        config = engine.createDefaultExperimentConfig();
+        config.mode = 'roundrobin';
+    }
+
+    if (options.mode !== undefined) {
+        config.mode = options.mode;
+    }
+    if (config.mode !== 'pairwise' && config.mode !== 'roundrobin') {
+        throw new Error(`pd-sim runs pairwise and roundrobin experiments, not ${config.mode}`);
+    }
+
+    if (options.payoff !== undefined) {
+        config.payoffs = readPayoffs(options, 'payoff');
+    }
+    if (options.payoff2 !== undefined) {
+        config.payoffs2 = readPayoffs(options, 'payoff2');
+    }
+
+    if (options.continuation !== undefined) {
+        config.duration = 'indefinite';
+        config.continuationProb = readNumber(options, 'continuation');
+    } else if (options.rounds !== undefined) {
+        config.duration = 'fixed';
+        config.numRounds = readNumber(options, 'rounds');
+    }
+    if (options.scoring !== undefined) config.scoring.scheme = options.scoring;
+    if (options.discount !== undefined) config.scoring.discountFactor = readNumber(options, 'discount');
+    if (options.seed !== undefined) config.seed = readNumber(options, 'seed');
+    if (options.replications !== undefined) config.replications = readNumber(options, 'replications');
+    if (options.repetitions !== undefined) config.roundRobin.repetitions = readNumber(options, 'repetitions');
+    if (options['self-play']) config.roundRobin.selfPlay = true;
+    if (options['common-length']) config.roundRobin.commonGameLength = true;
+    if (options['carry-learning']) config.roundRobin.carryLearning = true;
+    if (options.forgiveness !== undefined) config.strategyParams.forgiveness = readNumber(options, 'forgiveness');
+    if (options['random-coop'] !== undefined) config.strategyParams.randomCoopProb = readNumber(options, 'random-coop');
+    if (options['joss-defect'] !== undefined) config.strategyParams.jossDefectProb = readNumber(options, 'joss-defect');
+    if (options['learning-rate'] !== undefined) config.strategyParams.learningRate = readNumber(options, 'learning-rate');
+    if (options.exploration !== undefined) config.strategyParams.explorationRate = readNumber(options, 'exploration');
+    if (options['learning-discount'] !== undefined) config.strategyParams.discountFactor = readNumber(options, 'learning-discount');
+    if (options['implementation-error'] !== undefined) config.noise.implementationError = readNumber(options, 'implementation-error');
+    if (options['perception-error'] !== undefined) config.noise.perceptionError = readNumber(options, 'perception-error');
+    if (options['memory-one'] !== undefined) {
+        const { T, R, P, S } = config.payoffs;
+        config.strategyParams.memoryOne = readMemoryOne(options['memory-one'], new engine.PayoffMatrix(T, R, P, S),
+            config.strategyParams.forgiveness);
+    }
+
+    // Custom strategies join the list of strategies before the roster is chosen
+    const sources = [
+        ...config.customStrategies.map(source => ['Custom strategy in configuration', source]),
+        ...options.rules.map(file => [file, readFile(file)])
+    ];
+    sources.forEach(([origin, source]) => {
+        let StrategyClass;
+        try {
+            StrategyClass = engine.compileRuleStrategy(source);
+        } catch (error) {
+            throw new Error(`${origin}: ${error.message}`);
+        }
+        engine.StrategyFactory.registerStrategy(engine.getRuleStrategyCode(StrategyClass.definition.name), StrategyClass);
+    });
+    config.customStrategies = sources.map(([, source]) => source);
+
+    if (options.strategies !== undefined) {
+        const entrants = options.strategies.split(',').map(code => ({ code: code.trim(), params: {}, label: null }));
+        if (config.mode === 'pairwise') {
+            config.pairwise = entrants;
+        } else {
+            config.roster = entrants;
+        }
+    } else if (options.config === undefined) {
+        config.roster = engine.StrategyFactory.getDefaultRoster();
+    }
+
+    checkConfig(config);
+    return config;
+}
+
+// Reject settings the page would not run with
+function checkConfig(config) {
+    if (config.duration === 'fixed') {
+        checkRange(config.numRounds, 'Number of rounds', 1, Infinity, true);
+    } else if (checkRange(config.continuationProb, 'Continuation probability', 0, 1) === 0) {
+        throw new Error('Continuation probability cannot be 0 (game would never start)');
+    }
+    checkRange(config.seed, 'Random seed', 1, Infinity, true);
+    checkRange(config.replications, 'Replications', 1, Infinity, true);
+    checkRange(config.roundRobin.repetitions, 'Repetitions', 1, Infinity, true);
+    checkRange(config.strategyParams.forgiveness, 'Forgiveness rate', 0, 1);
+    checkRange(config.strategyParams.randomCoopProb, 'Random cooperation probability', 0, 1);
+    checkRange(config.strategyParams.jossDefectProb, 'Joss sneaky defection rate', 0, 1);
+    checkRange(config.strategyParams.learningRate, 'Learning rate', 0, 1);
+    checkRange(config.strategyParams.explorationRate, 'Exploration rate', 0, 1);
+    checkRange(config.strategyParams.discountFactor, 'Q-Learning discount factor', 0, 0.99);
+    checkRange(config.noise.implementationError, 'Implementation error', 0, 1);
+    checkRange(config.noise.perceptionError, 'Perception error', 0, 1);
+    if (!Object.prototype.hasOwnProperty.call(engine.SCORING_SCHEMES, config.scoring.scheme)) {
+        throw new Error(`Unknown scoring scheme: ${config.scoring.scheme} (use ${Object.keys(engine.SCORING_SCHEMES).join(', ')})`);
+    }
+    checkRange(config.scoring.discountFactor, 'Discount factor', 0, 1);
+
+    const entrants = config.mode === 'pairwise' ? config.pairwise : config.roster;
+    if (config.mode === 'pairwise' && entrants.length !== 2) {
+        throw new Error('--strategies must name exactly two strategies in pairwise mode');
+    }
+    if (entrants.length === 0) {
+        throw new Error('The roster must contain at least one entrant');
+    }
+    const knownCodes = engine.StrategyFactory.getAllStrategyCodes();
+    entrants.forEach(entry => {
+        if (!knownCodes.includes(entry.code)) {
+            throw new Error(`Unknown strategy: ${entry.code} (see pd-sim strategies)`);
+        }
+    });
+}
+
+// Output format and table from the command-line options
+function readOutputOptions(options, config) {
+    const format = options.format;
+    if (!['table', 'csv', 'json'].includes(format)) {
+        throw new Error('--format must be table, csv or json');
+    }
+    const tables = config.mode === 'pairwise' ? ['rounds', 'analytical'] : ['standings', 'matches', 'matrix', 'analytical'];
+    if (config.replications > 1) {
+        tables.unshift('replications');
+    }
+    const table = options.table !== undefined ? options.table : tables[0];
+    if (!tables.includes(table)) {
+        throw new Error(`--table must be ${tables.join(', ')} in ${config.mode} mode`);
+    }
+    return { format: format, table: table };
+}
+
+// Run the simulation the same way the page does (jobs.js)
+// (with replications, result is the first replication, which uses the seed itself)
+function runConfig(config) {
+    return engine.runExperimentJob({ kind: config.mode, config: config });
+}
+
+// Pad columns so the table lines up in a terminal
+function formatTable(headers, rows) {
+    const cells = [headers, ...rows].map(row => row.map(String));
+    const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+    const lines = cells.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+    return lines.join('\n') + '\n';
+}
+
+// Scoring scheme as shown in the output
+function describeScoring(scoring) {
+    const name = engine.SCORING_SCHEMES[scoring.scheme];
+    return scoring.scheme === 'discounted' ? `${name} (discount factor ${scoring.discountFactor})` : name;
+}
+
+// Mean, standard deviation and 95% confidence interval of each entrant across replications
+function formatReplicationTable(config, replication, duration) {
+    const formatSummary = (summary, scale, digits) =>
+        `${(summary.mean * scale).toFixed(digits)} ± ${(summary.sd * scale).toFixed(digits)} `
+        + `[${(summary.ciLow * scale).toFixed(digits)}, ${(summary.ciHigh * scale).toFixed(digits)}]`;
+    const rows = [...replication.entrants]
+        .sort((a, b) => a.rank.mean - b.rank.mean)
+        .map(entrant => [
+            entrant.name,
+            formatSummary(entrant.averageScore, 1, 2),
+            formatSummary(entrant.cooperationRate, 100, 1),
+            formatSummary(entrant.rank, 1, 2),
+            `${entrant.firstPlaces}/${replication.numReplications}`
+        ]);
+    const scored = config.scoring.scheme !== 'total';
+    const score = config.mode === 'pairwise' ? (scored ? 'Points' : 'Final Score') : (scored ? 'Average Points' : 'Average Score');
+    return `${config.mode === 'pairwise' ? 'Pairwise game' : 'Round-robin tournament'} (${duration}, `
+        + `${replication.numReplications} replications from seed ${config.seed})\n`
+        + 'Mean ± standard deviation [95% confidence interval of the mean]\n\n'
+        + formatTable(['Strategy', score, 'Cooperation Rate (%)', 'Rank', 'Finished First'], rows);
+}
+
+// Expected payoffs of every pairing next to the simulated ones (see PayoffCalculator), deviations first
+function formatAnalyticalTable(analytical) {
+    const pair = values => values ? `${values[0].toFixed(2)} - ${values[1].toFixed(2)}` : '-';
+    const formatDeviation = pairing => {
+        if (pairing.deviation === null) return '-';
+        if (pairing.method === 'exact') return pairing.deviates ? 'differs' : 'none';
+        return pairing.deviation.map(value => value === null ? 'differs' : value.toFixed(1)).join(' / ');
+    };
+    const pairings = analytical.pairings.filter(pairing => pairing.deviates)
+        .concat(analytical.pairings.filter(pairing => !pairing.deviates));
+    const rows = pairings.map(pairing => [
+        `${pairing.strategy1Name} vs ${pairing.strategy2Name}`,
+        pairing.method ? engine.PAYOFF_CALCULATION_METHODS[pairing.method] : `- (${pairing.reason})`,
+        pairing.rounds.toFixed(pairing.games > 1 ? 1 : 0),
+        pair(pairing.expected),
+        pairing.method === 'markov' ? pairing.standardError.map(value => value.toFixed(2)).join(' / ') : '-',
+        pair(pairing.simulated),
+        formatDeviation(pairing),
+        pairing.deviates ? 'yes' : ''
+    ]);
+    return `${analytical.analyzed} of ${analytical.pairings.length} pairings computed analytically; `
+        + `${analytical.deviations} deviate by more than ${analytical.threshold} standard errors (or at all, when exact)\n\n`
+        + formatTable(['Pairing', 'Method', 'Rounds', 'Expected', 'Standard Error', 'Simulated', 'Deviation', 'Deviates'], rows);
+}
+
+function formatTableOutput(config, output, { result, replication, analytical }) {
+    const duration = config.duration === 'fixed'
+        ? `${config.numRounds} rounds`
+        : `continuation probability ${config.continuationProb}`;
+    const scoring = config.scoring.scheme === 'total' ? '' : `Scoring: ${describeScoring(config.scoring)}\n`;
+
+    if (output.table === 'replications') {
+        return formatReplicationTable(config, replication, duration);
+    }
+    if (output.table === 'analytical') {
+        return `Analytical check (${duration}, seed ${config.seed})\n` + formatAnalyticalTable(analytical);
+    }
+
+    if (config.mode === 'pairwise') {
+        const rows = result.roundHistory.map(round => [
+            round.round, round.move1, round.move2, round.payoff1, round.payoff2, round.cumScore1, round.cumScore2
+        ]);
+        return `${result.strategy1Name} vs ${result.strategy2Name} (${duration}, seed ${config.seed})\n`
+            + `Final score: ${result.finalScore1.toFixed(2)} - ${result.finalScore2.toFixed(2)}\n`
+            + (scoring ? `Points: ${result.points1.toFixed(2)} - ${result.points2.toFixed(2)} (${describeScoring(config.scoring)})\n` : '')
+            + `Cooperation rate: ${(result.cooperationRate1 * 100).toFixed(1)}% - ${(result.cooperationRate2 * 100).toFixed(1)}%\n\n`
+            + formatTable(['Round', 'Move 1', 'Move 2', 'Payoff 1', 'Payoff 2', 'Score 1', 'Score 2'], rows);
+    }
+
+    const repeated = result.roundRobin.repetitions > 1;
+    const notes = (repeated ? `Every pairing played ${result.roundRobin.repetitions} times\n` : '')
+        + (result.roundRobin.selfPlay ? 'Games against itself count toward each total\n' : '')
+        + (result.roundRobin.carryLearning ? 'Learning strategies carry what they learn from game to game\n' : '')
+        + (result.gameLengths ? `Game length of every pairing, by repetition: ${result.gameLengths.join(', ')}\n` : '');
+    const title = `Round-robin tournament (${result.strategyNames.length} strategies, ${duration}, seed ${config.seed})\n`
+        + scoring + notes + '\n';
+    if (output.table === 'matches') {
+        const rows = result.matchResults.map((match, index) => [
+            index + 1, ...(repeated ? [match.repetition] : []), match.strategy1Name, match.strategy2Name,
+            match.finalScore1.toFixed(2), match.finalScore2.toFixed(2),
+            ...(scoring ? [match.points1.toFixed(2), match.points2.toFixed(2)] : [])
+        ]);
+        return title + formatTable(['Match', ...(repeated ? ['Repetition'] : []), 'Strategy 1', 'Strategy 2', 'Score 1', 'Score 2',
+            ...(scoring ? ['Points 1', 'Points 2'] : [])], rows);
+    }
+    if (output.table === 'matrix') {
+        // Points other than total payoffs, and means over repetitions, are mostly fractions
+        const digits = scoring || repeated ? 2 : 0;
+        const rows = result.strategyNames.map((name, index) => [
+            index + 1, ...result.strategyNames.map(opponent => result.payoffMatrix[name][opponent].toFixed(digits))
+        ]);
+        const key = result.strategyNames.map((name, index) => `${index + 1}: ${name}`).join('\n');
+        return title + formatTable(['Row vs column', ...result.strategyNames.map((_, index) => String(index + 1))], rows)
+            + '\n' + key + '\n';
+    }
+    const rows = engine.getStandings(result.aggregated).map(row => [
+        row.rank, row.strategy, row.averageScore.toFixed(2), row.totalScore.toFixed(2), row.gamesPlayed,
+        `${(row.cooperationRate * 100).toFixed(1)}%`
+    ]);
+    return title + formatTable(['Rank', 'Strategy', 'Average Score', 'Total Score', 'Games', 'Cooperation Rate'], rows);
+}
+
+function formatCsvOutput(config, output, { result, replication, analytical }) {
+    if (output.table === 'replications') {
+        return engine.replicationToCsv(replication);
+    }
+    if (output.table === 'analytical') {
+        return engine.analyticalToCsv(analytical);
+    }
+    if (config.mode === 'pairwise') {
+        return engine.roundHistoryToCsv(result.roundHistory, result.learningCurve1, result.learningCurve2);
+    }
+    if (output.table === 'matches') {
+        return engine.matchResultsToCsv(result.matchResults);
+    }
+    if (output.table === 'matrix') {
+        return engine.scoreMatrixToCsv(result.payoffMatrix, result.strategyNames);
+    }
+    return engine.standingsToCsv(result.aggregated);
+}
+
+// Full results with the configuration that produced them (the same document the page exports)
+function formatJsonOutput(config, { result, replication, analytical }) {
+    return JSON.stringify(engine.createResultsDocument(config, result, replication, analytical), null, 2) + '\n';
+}
+
+function listStrategies() {
+    const rows = engine.StrategyFactory.getAllStrategyCodes().map(code => [code, engine.StrategyFactory.getStrategyLabel(code)]);
+    return formatTable(['Code', 'Strategy'], rows);
+}
+
+function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const command = positionals[0];
+
+    if (options.help || command === undefined || command === 'help') {
+        return USAGE + '\n';
+    }
+    if (command === 'strategies') {
+        return listStrategies();
+    }
+    if (command !== 'run') {
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    const config = readConfig(options);
+    const output = readOutputOptions(options, config);
+    const outcome = runConfig(config);
+    let text;
+    if (output.format === 'json') {
+        text = formatJsonOutput(config, outcome);
+    } else if (output.format === 'csv') {
+        text = formatCsvOutput(config, output, outcome);
+    } else {
+        text = formatTableOutput(config, output, outcome);
+    }
+
+    if (options.output !== undefined) {
+        fs.writeFileSync(path.resolve(options.output), text);
+        return '';
+    }
+    return text;
+}
+
+try {
+    process.stdout.write(main(process.argv.slice(2)));
+} catch (error) {
+    process.stderr.write(`pd-sim: ${error.message}\n`);
+    process.exitCode = 1;
+}
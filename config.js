@@ -0,0 +1,294 @@
+// Experiment Configuration - Everything needed to reproduce a run, as a plain object that can be saved as JSON
+
+const EXPERIMENT_CONFIG_VERSION = 1;
+const EXPERIMENT_MODES = ['pairwise', 'roundrobin', 'population', 'moran', 'spatial', 'sweep', 'play', 'group', 'bracket', 'genetic'];
+
+// Settings of the page when it is first opened
+function createDefaultExperimentConfig() {
+    return {
+        version: EXPERIMENT_CONFIG_VERSION,
+        mode: 'pairwise',
+        payoffs: { T: 5, R: 3, P: 1, S: 0 },
+        payoffs2: null, // The column player's own { T, R, P, S } in an asymmetric game (null = same as payoffs)
+        duration: 'fixed', // 'fixed' uses numRounds, 'indefinite' uses continuationProb
+        numRounds: 100,
+        continuationProb: 0.9,
+        seed: 42,
+        replications: 1, // Pairwise and round-robin runs repeated with seeds derived from seed
+        scoring: { scheme: 'total', discountFactor: 0.95 }, // scheme: a key of SCORING_SCHEMES
+        strategyParams: {
+            forgiveness: 0.1,
+            randomCoopProb: 0.5,
+            jossDefectProb: 0.1,
+            memoryOne: { vector: { ...MemoryOneStrategy.WSLS }, label: 'WSLS' },
+            learningRate: 0.1, // Learning strategies (Q-Learning, Bush-Mosteller, Fictitious Play)
+            explorationRate: 0.05,
+            discountFactor: 0.9 // Q-Learning's weight of future payoffs
+        },
+        noise: { implementationError: 0, perceptionError: 0 },
+        pairwise: [{ code: 'TFT', params: {} }, { code: 'ALLD', params: {} }], // Interactive play uses the second as the opponent
+        roster: StrategyFactory.getDefaultRoster(),
+        roundRobin: { repetitions: 1, selfPlay: false, commonGameLength: false, carryLearning: false }, // See Tournament.runRoundRobin
+        bracket: { // format: a key of TOURNAMENT_FORMATS; tie-breaks: keys of SWISS_TIE_BREAKS and ELIMINATION_TIE_BREAKS
+            format: 'swiss',
+            swissRounds: 5,
+            swissTieBreak: 'buchholz',
+            eliminationTieBreak: 'replay'
+        },
+        customStrategies: [], // Rule language sources of the custom strategies used
+        population: { numGenerations: 100, shares: null }, // shares: one weight per roster entrant (null = equal)
+        moran: {
+            populationSize: 20,
+            selectionIntensity: 1,
+            mutationRate: 0.01,
+            opponentsPerGeneration: 1,
+            numGenerations: 500,
+            fixationRuns: 10
+        },
+        spatial: { gridSize: 30, neighborhood: 'moore', delay: 300 },
+        genetic: { // memory: rounds of history of the lookup tables (1 to 3); opponents: a key of GENETIC_OPPONENTS
+            memory: 1,
+            populationSize: 20,
+            numGenerations: 50,
+            crossoverRate: 0.7,
+            mutationRate: 0.01,
+            eliteCount: 2,
+            opponents: 'roster'
+        },
+        group: { // payoff: a key of GROUP_PAYOFF_TYPES; counts: members per group strategy code
+            payoff: 'publicGoods',
+            multiplicationFactor: 3,
+            contribution: 1,
+            cooperationThreshold: 0.5,
+            counts: { ALLC: 1, ALLD: 1, COND: 2, GRIM: 1, PROP: 1, AON: 1, RAND: 0 }
+        },
+        sweep: { // parameter: a key of SWEEP_PARAMETERS (null leaves out the y axis)
+            x: { parameter: 'forgiveness', min: 0, max: 0.5, steps: 6 },
+            y: { parameter: null, min: 0.5, max: 0.99, steps: 5 }
+        }
+    };
+}
+
+function checkNumber(value, path) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`Configuration field ${path} must be a number`);
+    }
+    return value;
+}
+
+// Copy the numeric fields of a section over its defaults
+function mergeNumbers(defaults, section, path) {
+    if (section === undefined) return defaults;
+    if (section === null || typeof section !== 'object') {
+        throw new Error(`Configuration field ${path} must be an object`);
+    }
+    Object.keys(defaults).forEach(key => {
+        if (section[key] !== undefined && typeof defaults[key] === 'number') {
+            defaults[key] = checkNumber(section[key], `${path}.${key}`);
+        }
+    });
+    return defaults;
+}
+
+function checkMemoryOne(memoryOne, path) {
+    if (!memoryOne || typeof memoryOne !== 'object' || !memoryOne.vector || typeof memoryOne.vector !== 'object') {
+        throw new Error(`Configuration field ${path} must have a vector`);
+    }
+    const vector = {};
+    ['p0', 'pCC', 'pCD', 'pDC', 'pDD'].forEach(field => {
+        vector[field] = checkNumber(memoryOne.vector[field], `${path}.vector.${field}`);
+    });
+    return { vector: vector, label: typeof memoryOne.label === 'string' ? memoryOne.label : null };
+}
+
+function checkEntrant(entry, path) {
+    if (!entry || typeof entry !== 'object' || typeof entry.code !== 'string') {
+        throw new Error(`Configuration field ${path} must have a strategy code`);
+    }
+    const params = {};
+    Object.entries(entry.params || {}).forEach(([key, value]) => {
+        params[key] = key === 'memoryOne' ? checkMemoryOne(value, `${path}.params.memoryOne`) : checkNumber(value, `${path}.params.${key}`);
+    });
+    return {
+        code: entry.code,
+        params: params,
+        label: typeof entry.label === 'string' && entry.label !== '' ? entry.label : null
+    };
+}
+
+// Check a configuration read from JSON and fill in missing fields with the defaults
+// (an exported results document is accepted too, and its configuration is used)
+function normalizeExperimentConfig(raw) {
+    if (raw && typeof raw === 'object' && raw.config && raw.results) {
+        raw = raw.config;
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Configuration must be a JSON object');
+    }
+    if (raw.version !== undefined && raw.version > EXPERIMENT_CONFIG_VERSION) {
+        throw new Error(`Configuration version ${raw.version} is newer than this simulation supports`);
+    }
+
+    const config = createDefaultExperimentConfig();
+
+    if (raw.mode !== undefined) {
+        if (!EXPERIMENT_MODES.includes(raw.mode)) {
+            throw new Error(`Unknown mode in configuration: ${raw.mode}`);
+        }
+        config.mode = raw.mode;
+    }
+    if (raw.duration !== undefined) {
+        if (raw.duration !== 'fixed' && raw.duration !== 'indefinite') {
+            throw new Error('Configuration field duration must be fixed or indefinite');
+        }
+        config.duration = raw.duration;
+    }
+    ['numRounds', 'continuationProb', 'seed', 'replications'].forEach(key => {
+        if (raw[key] !== undefined && raw[key] !== null) {
+            config[key] = checkNumber(raw[key], key);
+        }
+    });
+
+    mergeNumbers(config.payoffs, raw.payoffs, 'payoffs');
+    if (raw.payoffs2 !== undefined && raw.payoffs2 !== null) {
+        config.payoffs2 = mergeNumbers({ ...config.payoffs }, raw.payoffs2, 'payoffs2');
+    }
+    mergeNumbers(config.strategyParams, raw.strategyParams, 'strategyParams');
+    if (raw.strategyParams && raw.strategyParams.memoryOne !== undefined) {
+        config.strategyParams.memoryOne = checkMemoryOne(raw.strategyParams.memoryOne, 'strategyParams.memoryOne');
+    }
+    mergeNumbers(config.noise, raw.noise, 'noise');
+    mergeNumbers(config.scoring, raw.scoring, 'scoring');
+    if (raw.scoring && raw.scoring.scheme !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(SCORING_SCHEMES, raw.scoring.scheme)) {
+            throw new Error(`Unknown scoring scheme in configuration: ${raw.scoring.scheme}`);
+        }
+        config.scoring.scheme = raw.scoring.scheme;
+    }
+    mergeNumbers(config.moran, raw.moran, 'moran');
+    mergeNumbers(config.spatial, raw.spatial, 'spatial');
+    mergeNumbers(config.genetic, raw.genetic, 'genetic');
+    if (raw.genetic && raw.genetic.opponents !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(GENETIC_OPPONENTS, raw.genetic.opponents)) {
+            throw new Error(`Unknown genetic algorithm opponents in configuration: ${raw.genetic.opponents}`);
+        }
+        config.genetic.opponents = raw.genetic.opponents;
+    }
+    mergeNumbers(config.population, raw.population, 'population');
+    mergeNumbers(config.roundRobin, raw.roundRobin, 'roundRobin');
+    ['selfPlay', 'commonGameLength', 'carryLearning'].forEach(key => {
+        if (raw.roundRobin && raw.roundRobin[key] !== undefined) {
+            if (typeof raw.roundRobin[key] !== 'boolean') {
+                throw new Error(`Configuration field roundRobin.${key} must be true or false`);
+            }
+            config.roundRobin[key] = raw.roundRobin[key];
+        }
+    });
+
+    mergeNumbers(config.group, raw.group, 'group');
+    mergeNumbers(config.group.counts, raw.group ? raw.group.counts : undefined, 'group.counts');
+
+    if (raw.spatial && raw.spatial.neighborhood !== undefined) {
+        if (!NEIGHBORHOODS[raw.spatial.neighborhood]) {
+            throw new Error(`Unknown neighborhood in configuration: ${raw.spatial.neighborhood}`);
+        }
+        config.spatial.neighborhood = raw.spatial.neighborhood;
+    }
+
+    if (raw.group && raw.group.payoff !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(GROUP_PAYOFF_TYPES, raw.group.payoff)) {
+            throw new Error(`Unknown group payoff in configuration: ${raw.group.payoff}`);
+        }
+        config.group.payoff = raw.group.payoff;
+    }
+
+    mergeNumbers(config.bracket, raw.bracket, 'bracket');
+    [['format', TOURNAMENT_FORMATS], ['swissTieBreak', SWISS_TIE_BREAKS], ['eliminationTieBreak', ELIMINATION_TIE_BREAKS]].forEach(([key, choices]) => {
+        if (raw.bracket && raw.bracket[key] !== undefined) {
+            if (!Object.prototype.hasOwnProperty.call(choices, raw.bracket[key])) {
+                throw new Error(`Unknown bracket.${key} in configuration: ${raw.bracket[key]}`);
+            }
+            config.bracket[key] = raw.bracket[key];
+        }
+    });
+
+    if (raw.sweep !== undefined) {
+        if (raw.sweep === null || typeof raw.sweep !== 'object') {
+            throw new Error('Configuration field sweep must be an object');
+        }
+        ['x', 'y'].forEach(axis => {
+            const section = raw.sweep[axis];
+            mergeNumbers(config.sweep[axis], section, `sweep.${axis}`);
+            if (section && section.parameter !== undefined) {
+                const allowed = section.parameter === null ? axis === 'y'
+                    : Object.prototype.hasOwnProperty.call(SWEEP_PARAMETERS, section.parameter);
+                if (!allowed) {
+                    throw new Error(`Unknown sweep parameter in configuration: ${section.parameter}`);
+                }
+                config.sweep[axis].parameter = section.parameter;
+            }
+        });
+    }
+
+    if (raw.pairwise !== undefined) {
+        if (!Array.isArray(raw.pairwise) || raw.pairwise.length !== 2) {
+            throw new Error('Configuration field pairwise must list two strategies');
+        }
+        config.pairwise = raw.pairwise.map((entry, index) => checkEntrant(entry, `pairwise[${index}]`));
+    }
+    if (raw.roster !== undefined) {
+        if (!Array.isArray(raw.roster)) {
+            throw new Error('Configuration field roster must be a list');
+        }
+        config.roster = raw.roster.map((entry, index) => checkEntrant(entry, `roster[${index}]`));
+    }
+    if (raw.population && raw.population.shares !== undefined && raw.population.shares !== null) {
+        if (!Array.isArray(raw.population.shares)) {
+            throw new Error('Configuration field population.shares must be a list');
+        }
+        config.population.shares = raw.population.shares.map((share, index) => checkNumber(share, `population.shares[${index}]`));
+    }
+    if (raw.customStrategies !== undefined) {
+        if (!Array.isArray(raw.customStrategies) || raw.customStrategies.some(source => typeof source !== 'string')) {
+            throw new Error('Configuration field customStrategies must be a list of strategy definitions');
+        }
+        config.customStrategies = [...raw.customStrategies];
+    }
+
+    return config;
+}
+
+// Tournament with the payoffs, game length, strategy parameters, noise and scoring of a configuration
+function createExperimentTournament(config) {
+    const { T, R, P, S } = config.payoffs;
+    return new Tournament(
+        new PayoffMatrix(T, R, P, S, config.payoffs2),
+        config.duration === 'fixed' ? config.numRounds : null,
+        config.strategyParams,
+        config.duration === 'indefinite' ? config.continuationProb : null,
+        config.noise,
+        config.seed,
+        config.scoring
+    );
+}
+
+// Group game with the group, payoffs, game length, noise and seed of a configuration
+function createExperimentGroupGame(config) {
+    const settings = config.group;
+    const members = GroupStrategyFactory.createGroup(settings.counts, {
+        cooperationThreshold: settings.cooperationThreshold,
+        randomCoopProb: config.strategyParams.randomCoopProb
+    });
+    const { T, R, P, S } = config.payoffs;
+    const groupPayoff = settings.payoff === 'linear'
+        ? new LinearGroupPayoff(members.length, new PayoffMatrix(T, R, P, S))
+        : new PublicGoodsPayoff(members.length, settings.multiplicationFactor, settings.contribution);
+    return new GroupGame(
+        members,
+        groupPayoff,
+        config.duration === 'fixed' ? config.numRounds : null,
+        config.duration === 'indefinite' ? config.continuationProb : null,
+        config.noise,
+        config.seed
+    );
+}
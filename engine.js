@@ -0,0 +1,39 @@
+// Engine Module - Makes the simulation scripts available to Node.js
+// The browser scripts are run unchanged in one shared context, so a seed gives the same results as in the page.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts that make up the engine, in load order (the page-only scripts are left out)
+const ENGINE_SCRIPTS = ['simulation.js', 'rules.js', 'evolution.js', 'genetic.js', 'spatial.js', 'group.js', 'analysis.js', 'replication.js', 'formats.js', 'sweep.js', 'config.js', 'export.js', 'jobs.js'];
+
+// Declarations of those scripts that the module exports
+const ENGINE_EXPORTS = [
+    'COOPERATE', 'DEFECT', 'SeededRandom', 'globalRandom', 'deriveSeed', 'flipMove',
+    'GAME_CLASSES', 'SCORING_SCHEMES', 'getTSPoint', 'classifyGame',
+    'PayoffMatrix', 'Strategy', 'MemoryOneStrategy', 'LearningStrategy', 'QLearning', 'BushMosteller', 'FictitiousPlay',
+    'StrategyFactory', 'Game', 'Tournament',
+    'RuleSyntaxError', 'RuleStrategy', 'compileRuleStrategy', 'getRuleStrategyCode',
+    'ReplicatorDynamics', 'MoranProcess', 'GENETIC_OPPONENTS', 'LookupTableStrategy', 'lookupTableToRuleSource', 'GeneticAlgorithm',
+    'NEIGHBORHOODS', 'SpatialGame',
+    'GROUP_PAYOFF_TYPES', 'PublicGoodsPayoff', 'LinearGroupPayoff', 'GroupStrategy', 'GroupStrategyFactory', 'GroupGame',
+    'MemoryOneAnalysis', 'PAYOFF_CALCULATION_METHODS', 'PayoffCalculator',
+    'summarizeSample', 'deriveReplicationSeed', 'ReplicatedTournament',
+    'TOURNAMENT_FORMATS', 'SWISS_TIE_BREAKS', 'ELIMINATION_TIE_BREAKS', 'FormatTournament', 'SwissTournament',
+    'EliminationTournament', 'createFormatTournament',
+    'SWEEP_PARAMETERS', 'getSweepValues', 'validateSweepAxis', 'ParameterSweep',
+    'toCsv', 'getStandings', 'roundHistoryToCsv', 'matchResultsToCsv', 'standingsToCsv', 'analyticalToCsv', 'scoreMatrixToCsv',
+    'replicationToCsv', 'sweepToCsv', 'geneticToCsv', 'createResultsDocument',
+    'EXPERIMENT_CONFIG_VERSION', 'createDefaultExperimentConfig', 'normalizeExperimentConfig', 'createExperimentTournament',
+    'createExperimentGroupGame', 'registerConfigStrategies', 'runExperimentJob'
+];
+
+const context = vm.createContext({ console: console });
+ENGINE_SCRIPTS.forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+});
+
+// Top-level classes and constants are not properties of the context, so collect them from inside it
+module.exports = vm.runInContext(`({ ${ENGINE_EXPORTS.join(', ')} })`, context);
@@ -0,0 +1,312 @@
+// Evolutionary Dynamics - Population models built on top of tournament results
+
+// Replicator Dynamics Class - evolves population shares using a round-robin payoff matrix
+class ReplicatorDynamics {
+    constructor(payoffMatrix, strategyNames, extinctionThreshold = 1e-6) {
+        this.payoffMatrix = payoffMatrix; // strategy name -> strategy name -> score (from Tournament.runRoundRobin)
+        this.strategyNames = strategyNames;
+        this.extinctionThreshold = extinctionThreshold; // Shares below this are treated as extinct
+    }
+
+    // Normalize share weights so they sum to 1 (missing strategies get 0)
+    normalizeShares(initialShares) {
+        const total = this.strategyNames.reduce((sum, name) => sum + (initialShares[name] || 0), 0);
+        if (total <= 0) {
+            throw new Error('Initial population shares must not all be zero');
+        }
+
+        const shares = {};
+        this.strategyNames.forEach(name => {
+            shares[name] = (initialShares[name] || 0) / total;
+        });
+        return shares;
+    }
+
+    // Fitness of each strategy against the current population
+    computeFitness(shares, offset) {
+        const fitness = {};
+        this.strategyNames.forEach(name1 => {
+            fitness[name1] = 0;
+            this.strategyNames.forEach(name2 => {
+                fitness[name1] += shares[name2] * (this.payoffMatrix[name1][name2] + offset);
+            });
+        });
+        return fitness;
+    }
+
+    // Iterate discrete replicator dynamics: x_i' = x_i * f_i / average fitness
+    run(initialShares, numGenerations) {
+        let shares = this.normalizeShares(initialShares);
+
+        // Shift payoffs so that fitness is never negative
+        let minPayoff = Infinity;
+        this.strategyNames.forEach(name1 => {
+            this.strategyNames.forEach(name2 => {
+                minPayoff = Math.min(minPayoff, this.payoffMatrix[name1][name2]);
+            });
+        });
+        const offset = minPayoff < 0 ? -minPayoff : 0;
+
+        const shareHistory = {};
+        this.strategyNames.forEach(name => {
+            shareHistory[name] = [shares[name]];
+        });
+        const averageFitnessHistory = [];
+        const extinctions = [];
+
+        // Strategies that start at zero never enter the population
+        this.strategyNames.forEach(name => {
+            if (shares[name] === 0) {
+                extinctions.push({ name: name, generation: 0 });
+            }
+        });
+
+        for (let generation = 1; generation <= numGenerations; generation++) {
+            const fitness = this.computeFitness(shares, offset);
+            const averageFitness = this.strategyNames.reduce((sum, name) => sum + shares[name] * fitness[name], 0);
+            averageFitnessHistory.push(averageFitness - offset);
+
+            // Population is stuck if nobody earns anything
+            if (averageFitness <= 0) {
+                break;
+            }
+
+            const nextShares = {};
+            this.strategyNames.forEach(name => {
+                nextShares[name] = shares[name] * fitness[name] / averageFitness;
+            });
+
+            // Remove strategies that dropped below the extinction threshold
+            this.strategyNames.forEach(name => {
+                if (shares[name] > 0 && nextShares[name] < this.extinctionThreshold) {
+                    nextShares[name] = 0;
+                    extinctions.push({ name: name, generation: generation });
+                }
+            });
+            shares = this.normalizeShares(nextShares);
+
+            this.strategyNames.forEach(name => {
+                shareHistory[name].push(shares[name]);
+            });
+        }
+
+        return {
+            strategyNames: this.strategyNames,
+            generations: shareHistory[this.strategyNames[0]].length - 1,
+            shareHistory: shareHistory,
+            averageFitnessHistory: averageFitnessHistory,
+            finalShares: shares,
+            extinctions: extinctions,
+            survivors: this.strategyNames.filter(name => shares[name] > 0)
+        };
+    }
+}
+
+// Moran Process Class - stochastic evolution of a finite population with birth-death selection
+class MoranProcess {
+    constructor(tournament, roster, settings = {}) {
+        this.tournament = tournament; // Provides payoff matrix, game length, strategy parameters and noise
+        this.roster = roster; // Entrants { code, params, label } that make up the strategy types
+        this.populationSize = settings.populationSize !== undefined ? settings.populationSize : 20;
+        this.selectionIntensity = settings.selectionIntensity !== undefined ? settings.selectionIntensity : 1; // 0 = neutral drift
+        this.mutationRate = settings.mutationRate !== undefined ? settings.mutationRate : 0;
+        this.opponentsPerGeneration = settings.opponentsPerGeneration !== undefined ? settings.opponentsPerGeneration : 1;
+        this.maxFixationSteps = settings.maxFixationSteps !== undefined ? settings.maxFixationSteps : 10 * this.populationSize * this.populationSize;
+        this.strategyNames = roster.map((_, type) => this.createIndividual(type).strategy.name);
+        this.stream = this.createStream(); // Draws and game keys of the evolution under way (see createStream)
+        this.onProgress = null; // Optional callback (done, total) for generations run or fixation runs finished
+    }
+
+    // Source of the selection, death and mutation draws, with the keys and count of the games played: run()
+    // uses globalRandom, while each fixation run (keys: invader, resident, run) has a stream of its own
+    // derived from the tournament seed, so its estimate does not depend on the runs before it
+    createStream(...keys) {
+        const seeded = keys.length > 0 && this.tournament.seed !== null;
+        return {
+            random: seeded ? new SeededRandom(deriveSeed(this.tournament.seed, 'moran', ...keys)) : globalRandom,
+            keys: keys,
+            gamesPlayed: 0 // Numbers the games, so each gets its own random streams
+        };
+    }
+
+    // Create a new individual of the given strategy type (index into roster)
+    createIndividual(type) {
+        return {
+            type: type,
+            strategy: this.tournament.createEntrant(this.roster[type])
+        };
+    }
+
+    // Pick a random index with probability proportional to its weight
+    sampleProportional(weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let threshold = this.stream.random.random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) {
+                return i;
+            }
+        }
+        return weights.length - 1;
+    }
+
+    // Average payoff per round of each individual against randomly sampled opponents
+    computePayoffs(population) {
+        return population.map((individual, i) => {
+            let totalScore = 0;
+            let totalRounds = 0;
+
+            for (let k = 0; k < this.opponentsPerGeneration; k++) {
+                // Sample an opponent other than the individual itself
+                let j = Math.floor(this.stream.random.random() * (population.length - 1));
+                if (j >= i) j++;
+
+                const result = this.tournament.createGame(individual.strategy, population[j].strategy, 'moran',
+                    ...this.stream.keys, this.stream.gamesPlayed++).play();
+                totalScore += result.finalScore1;
+                totalRounds += result.roundHistory.length;
+            }
+
+            return totalScore / totalRounds;
+        });
+    }
+
+    // One birth-death event: fitness-proportional birth, uniformly random death
+    step(population, mutationRate) {
+        const payoffs = this.computePayoffs(population);
+        const fitness = payoffs.map(payoff => Math.exp(this.selectionIntensity * payoff));
+
+        const parent = this.sampleProportional(fitness);
+        const dying = Math.floor(this.stream.random.random() * population.length);
+
+        // Offspring copies the parent's strategy unless it mutates to a random one
+        let type = population[parent].type;
+        if (mutationRate > 0 && this.stream.random.random() < mutationRate) {
+            type = Math.floor(this.stream.random.random() * this.roster.length);
+        }
+        population[dying] = this.createIndividual(type);
+    }
+
+    // Count individuals of each strategy type
+    countTypes(population) {
+        const counts = this.roster.map(() => 0);
+        population.forEach(individual => counts[individual.type]++);
+        return counts;
+    }
+
+    // Evolve an evenly mixed population and record strategy counts every generation
+    run(numGenerations) {
+        const population = [];
+        for (let i = 0; i < this.populationSize; i++) {
+            population.push(this.createIndividual(i % this.roster.length));
+        }
+
+        const countHistory = {};
+        this.strategyNames.forEach(name => {
+            countHistory[name] = [];
+        });
+        const recordCounts = () => {
+            this.countTypes(population).forEach((count, type) => {
+                countHistory[this.strategyNames[type]].push(count);
+            });
+        };
+
+        recordCounts();
+        for (let generation = 1; generation <= numGenerations; generation++) {
+            this.step(population, this.mutationRate);
+            recordCounts();
+            if (this.onProgress) {
+                this.onProgress(generation, numGenerations);
+            }
+        }
+
+        const finalCounts = {};
+        this.strategyNames.forEach(name => {
+            finalCounts[name] = countHistory[name][numGenerations];
+        });
+
+        return {
+            strategyNames: this.strategyNames,
+            generations: numGenerations,
+            countHistory: countHistory,
+            finalCounts: finalCounts
+        };
+    }
+
+    // Run one invasion attempt (the run-th of the pair) without mutation; returns true if the invader takes
+    // over, false if it dies out and null if neither happens within the step limit
+    runFixation(invaderType, residentType, run) {
+        const previousStream = this.stream;
+        this.stream = this.createStream(this.strategyNames[invaderType], this.strategyNames[residentType], run);
+        const population = [this.createIndividual(invaderType)];
+        for (let i = 1; i < this.populationSize; i++) {
+            population.push(this.createIndividual(residentType));
+        }
+
+        let invaders = 1;
+        for (let steps = 0; steps < this.maxFixationSteps; steps++) {
+            this.step(population, 0);
+            invaders = this.countTypes(population)[invaderType];
+            if (invaders === 0 || invaders === this.populationSize) {
+                break;
+            }
+        }
+
+        this.stream = previousStream;
+        if (invaders !== 0 && invaders !== this.populationSize) {
+            return null; // Neither fixation nor extinction within the step limit
+        }
+        return invaders === this.populationSize;
+    }
+
+    // Estimate the fixation probability of a single invader for every invader/resident pair, from the runs
+    // that ended in fixation or extinction (NaN if none did; null for a strategy against itself)
+    estimateFixationProbabilities(runsPerPair) {
+        const fixationProbabilities = {};
+        const pairUnresolvedRuns = {}; // Runs of each pair that hit the step limit
+        let unresolvedRuns = 0;
+        const totalRuns = this.strategyNames.length * (this.strategyNames.length - 1) * runsPerPair;
+        let runsDone = 0;
+
+        this.strategyNames.forEach((invaderName, invaderType) => {
+            fixationProbabilities[invaderName] = {};
+            pairUnresolvedRuns[invaderName] = {};
+
+            this.strategyNames.forEach((residentName, residentType) => {
+                if (invaderType === residentType) {
+                    fixationProbabilities[invaderName][residentName] = null; // No invasion against itself
+                    pairUnresolvedRuns[invaderName][residentName] = 0;
+                    return;
+                }
+
+                let fixations = 0;
+                let unresolved = 0;
+                for (let run = 0; run < runsPerPair; run++) {
+                    const fixed = this.runFixation(invaderType, residentType, run);
+                    if (fixed === null) {
+                        unresolved++;
+                    } else if (fixed) {
+                        fixations++;
+                    }
+                    runsDone++;
+                    if (this.onProgress) {
+                        this.onProgress(runsDone, totalRuns);
+                    }
+                }
+                const resolved = runsPerPair - unresolved;
+                fixationProbabilities[invaderName][residentName] = resolved > 0 ? fixations / resolved : NaN;
+                pairUnresolvedRuns[invaderName][residentName] = unresolved;
+                unresolvedRuns += unresolved;
+            });
+        });
+
+        return {
+            strategyNames: this.strategyNames,
+            runsPerPair: runsPerPair,
+            neutralProbability: 1 / this.populationSize, // Fixation probability under neutral drift
+            fixationProbabilities: fixationProbabilities,
+            pairUnresolvedRuns: pairUnresolvedRuns,
+            unresolvedRuns: unresolvedRuns
+        };
+    }
+}
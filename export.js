@@ -0,0 +1,204 @@
+// Data Export - CSV and JSON versions of simulation results (shared by the page and the command-line runner)
+
+// Quote a CSV field if it contains a separator, quote or line break
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(formatCsvField).join(',')).join('\n') + '\n';
+}
+
+// Round-robin standings sorted by average score (best first); Swiss and elimination standings are ranked
+// by placing (entrants knocked out in the same round share it, listed by seed) and also have each
+// entrant's seed, record and match points
+function getStandings(aggregated) {
+    const entries = Object.entries(aggregated);
+    const placed = entries.length > 0 && entries[0][1].placing !== undefined;
+    if (placed) {
+        return entries
+            .sort((a, b) => a[1].placing - b[1].placing || a[1].seed - b[1].seed)
+            .map(([name, data]) => ({
+                rank: data.placing,
+                strategy: name,
+                seed: data.seed,
+                wins: data.wins,
+                draws: data.draws,
+                losses: data.losses,
+                matchPoints: data.matchPoints,
+                averageScore: data.averageScore,
+                totalScore: data.totalScore,
+                gamesPlayed: data.gamesPlayed,
+                cooperationRate: data.cooperationRate
+            }));
+    }
+    return entries
+        .sort((a, b) => b[1].averageScore - a[1].averageScore)
+        .map(([name, data], index) => ({
+            rank: index + 1,
+            strategy: name,
+            averageScore: data.averageScore,
+            totalScore: data.totalScore,
+            gamesPlayed: data.gamesPlayed,
+            cooperationRate: data.cooperationRate
+        }));
+}
+
+// Every round of a single game; with the learning curves of a game with a learning strategy (see
+// Game.getResult), also each player's cooperation probability (blank for one that does not learn)
+function roundHistoryToCsv(roundHistory, learningCurve1 = null, learningCurve2 = null) {
+    const headers = ['round', 'intendedMove1', 'intendedMove2', 'move1', 'move2', 'perceived1', 'perceived2',
+        'payoff1', 'payoff2', 'cumScore1', 'cumScore2'];
+    const rows = roundHistory.map(round => headers.map(header => round[header]));
+    if (!learningCurve1 && !learningCurve2) {
+        return toCsv(headers, rows);
+    }
+    rows.forEach((row, index) => {
+        row.push(learningCurve1 ? learningCurve1[index] : '', learningCurve2 ? learningCurve2[index] : '');
+    });
+    return toCsv([...headers, 'cooperationProbability1', 'cooperationProbability2'], rows);
+}
+
+// One row per round-robin match (scores are total payoffs, points those of the tournament's scoring scheme);
+// Swiss and elimination games have the round they were played in as their stage
+function matchResultsToCsv(matchResults) {
+    const staged = matchResults.some(result => result.stage !== undefined);
+    const headers = ['match', 'repetition', ...(staged ? ['stage'] : []), 'strategy1', 'strategy2', 'score1', 'score2',
+        'points1', 'points2', 'cooperationRate1', 'cooperationRate2', 'rounds'];
+    const rows = matchResults.map((result, index) => [
+        index + 1,
+        result.repetition,
+        ...(staged ? [result.stage] : []),
+        result.strategy1Name,
+        result.strategy2Name,
+        result.finalScore1,
+        result.finalScore2,
+        result.points1,
+        result.points2,
+        result.cooperationRate1,
+        result.cooperationRate2,
+        result.roundHistory.length
+    ]);
+    return toCsv(headers, rows);
+}
+
+function standingsToCsv(aggregated) {
+    const standings = getStandings(aggregated);
+    const headers = standings.length > 0 ? Object.keys(standings[0])
+        : ['rank', 'strategy', 'averageScore', 'totalScore', 'gamesPlayed', 'cooperationRate'];
+    return toCsv(headers, standings.map(row => headers.map(header => row[header])));
+}
+
+// Score of the row strategy against the column strategy
+function scoreMatrixToCsv(payoffMatrix, strategyNames) {
+    const rows = strategyNames.map(name1 => [name1, ...strategyNames.map(name2 => payoffMatrix[name1][name2])]);
+    return toCsv(['strategy', ...strategyNames], rows);
+}
+
+// Statistics of each entrant across the replications of a run (see ReplicatedTournament)
+function replicationToCsv(replication) {
+    const headers = ['strategy', 'replications', 'meanScore', 'sdScore', 'scoreCiLow', 'scoreCiHigh',
+        'meanCooperationRate', 'sdCooperationRate', 'cooperationCiLow', 'cooperationCiHigh',
+        'meanRank', 'sdRank', 'rankCiLow', 'rankCiHigh', 'firstPlaces'];
+    const rows = replication.entrants.map(entrant => [
+        entrant.name,
+        replication.numReplications,
+        ...['averageScore', 'cooperationRate', 'rank'].flatMap(key => {
+            const summary = entrant[key];
+            return [summary.mean, summary.sd, summary.ciLow, summary.ciHigh];
+        }),
+        entrant.firstPlaces
+    ]);
+    return toCsv(headers, rows);
+}
+
+// One row per grid point and entrant of a parameter sweep (see ParameterSweep)
+function sweepToCsv(sweep) {
+    const headers = [sweep.xAxis.parameter];
+    if (sweep.yAxis) {
+        headers.push(sweep.yAxis.parameter);
+    }
+    headers.push('strategy', 'averageScore', 'cooperationRate', 'rank', 'winner');
+
+    const rows = [];
+    sweep.points.forEach(row => row.forEach(point => {
+        sweep.strategyNames.forEach(name => {
+            const metrics = point.metrics[name];
+            rows.push([
+                point.x,
+                ...(sweep.yAxis ? [point.y] : []),
+                name,
+                metrics.averageScore,
+                metrics.cooperationRate,
+                metrics.rank,
+                point.winners.includes(name) ? 1 : 0
+            ]);
+        });
+    }));
+    return toCsv(headers, rows);
+}
+
+// Best and mean fitness of every generation of a genetic algorithm, with its fittest genome
+function geneticToCsv(result) {
+    const headers = ['generation', 'bestFitness', 'meanFitness', 'cooperationRate', 'bestGenome'];
+    return toCsv(headers, result.generations.map(generation => headers.map(header => generation[header])));
+}
+
+// Expected and simulated scores of every pairing of a run, as means per game (see PayoffCalculator)
+function analyticalToCsv(analytical) {
+    const headers = ['strategy1', 'strategy2', 'method', 'games', 'rounds', 'expected1', 'expected2',
+        'standardError1', 'standardError2', 'simulated1', 'simulated2', 'deviation1', 'deviation2', 'deviates', 'reason'];
+    const rows = analytical.pairings.map(pairing => {
+        const pair = values => values ? values : ['', ''];
+        return [
+            pairing.strategy1Name,
+            pairing.strategy2Name,
+            pairing.method || '',
+            pairing.games,
+            pairing.rounds,
+            ...pair(pairing.expected),
+            ...pair(pairing.standardError),
+            ...pairing.simulated,
+            ...pair(pairing.deviation),
+            pairing.deviates ? 1 : 0,
+            pairing.reason || ''
+        ];
+    });
+    return toCsv(headers, rows);
+}
+
+// JSON document with every result of a run and the settings that produced it
+// (with replications, the results are those of the first replication, which the analytical check covers)
+function createResultsDocument(settings, result, replication = null, analytical = null) {
+    let results = result;
+    if (settings.mode === 'roundrobin') {
+        results = {
+            standings: getStandings(result.aggregated),
+            scoreMatrix: result.payoffMatrix,
+            matchResults: result.matchResults
+        };
+    } else if (settings.mode === 'bracket') {
+        results = {
+            format: result.format,
+            champion: result.champion,
+            standings: getStandings(result.aggregated),
+            rounds: result.sections,
+            matchResults: result.matchResults
+        };
+    }
+    const resultsDocument = { config: settings, results: results };
+    if (replication) {
+        resultsDocument.replication = {
+            seeds: replication.seeds,
+            entrants: replication.entrants
+        };
+    }
+    if (analytical) {
+        resultsDocument.analytical = analytical;
+    }
+    return resultsDocument;
+}
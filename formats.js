@@ -0,0 +1,396 @@
+// Tournament Formats - Swiss-system and elimination tournaments for rosters too large to play in full,
+// built on the games and scoring scheme of a Tournament
+
+// Formats and their display names
+const TOURNAMENT_FORMATS = {
+    swiss: 'Swiss System',
+    single: 'Single Elimination',
+    double: 'Double Elimination'
+};
+
+// Tie-breaks of the Swiss standings: after match points, the chosen one decides, then the others in this
+// order, then the seed (roster order)
+const SWISS_TIE_BREAKS = {
+    buchholz: 'Buchholz (opponents\' match points)',
+    points: 'Total points scored',
+    cooperation: 'Cooperation rate'
+};
+
+// How an elimination match whose game is drawn on points is decided
+const ELIMINATION_TIE_BREAKS = {
+    replay: 'Replay the game (then the higher seed)',
+    cooperation: 'Higher cooperation rate (then the higher seed)',
+    seed: 'Higher seed'
+};
+
+// Base Format Class - the players of a format with their running record, and the games between them.
+// A match is won on the points of the tournament's scoring scheme (an elimination match may take several
+// games); the standings have the fields of the round-robin aggregated results, so the same summaries,
+// charts and exports apply
+class FormatTournament {
+    constructor(tournament, roster, settings = {}) {
+        this.tournament = tournament; // Provides game length, strategy parameters, noise, seed and scoring
+        this.roster = roster; // Entrants { code, params, label } in seed order, with unique labels
+        this.settings = settings;
+        this.players = roster.map((entry, index) => ({
+            name: tournament.createEntrant(entry).name,
+            entry: entry,
+            seed: index + 1,
+            matchPoints: 0, // 1 per win, 1/2 per draw (and 1 per Swiss bye)
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            byes: 0,
+            totalScore: 0,
+            gamesPlayed: 0,
+            cooperationCount: 0,
+            opponents: []
+        }));
+        this.matchResults = [];
+        this.sections = []; // Rounds of matches to show: [{ name, rounds: [{ name, matches }] }]
+        this.totalMatches = 0; // Expected number of games, for progress
+        this.onProgress = null; // Optional callback (gamesPlayed, totalGames)
+    }
+
+    // Play a game between two players (matchKey tells apart games of the same pair) and add it to their
+    // scores and cooperation rates
+    playGame(player1, player2, stage, ...matchKey) {
+        const strategy1 = this.tournament.createEntrant(player1.entry);
+        const strategy2 = this.tournament.createEntrant(player2.entry);
+        const result = this.tournament.scoreResult(this.tournament.createGame(strategy1, strategy2, stage, ...matchKey).play());
+        result.stage = stage;
+        this.matchResults.push(result);
+
+        [[player1, result.points1, result.cooperationRate1], [player2, result.points2, result.cooperationRate2]].forEach(([player, points, cooperationRate]) => {
+            player.totalScore += points;
+            player.gamesPlayed++;
+            player.cooperationCount += cooperationRate;
+        });
+
+        if (this.onProgress) {
+            this.onProgress(this.matchResults.length, Math.max(this.totalMatches, this.matchResults.length));
+        }
+        return result;
+    }
+
+    // Add the outcome of a match to both players' records (winner null for a draw)
+    recordMatch(player1, player2, winner) {
+        [[player1, player2], [player2, player1]].forEach(([player, opponent]) => {
+            player.opponents.push(opponent);
+            if (winner === null) {
+                player.draws++;
+                player.matchPoints += 0.5;
+            } else if (winner === player) {
+                player.wins++;
+                player.matchPoints += 1;
+            } else {
+                player.losses++;
+            }
+        });
+    }
+
+    // A match for the rounds shown: { player1, player2 (null for a bye), points1, points2, games, winner, decidedBy }
+    describeMatch(player1, player2, result, winner, decidedBy, games = 1) {
+        return {
+            player1: player1.name,
+            player2: player2 ? player2.name : null,
+            points1: result ? result.points1 : null,
+            points2: result ? result.points2 : null,
+            games: result ? games : 0,
+            winner: winner ? winner.name : null,
+            decidedBy: decidedBy
+        };
+    }
+
+    // Results in the format of a round-robin (aggregated is keyed by name and also has each player's record
+    // and final placing), with the rounds of matches and the champion
+    getResult(placings) {
+        const aggregated = {};
+        this.players.forEach((player, index) => {
+            aggregated[player.name] = {
+                totalScore: player.totalScore,
+                gamesPlayed: player.gamesPlayed,
+                cooperationCount: player.cooperationCount,
+                averageScore: player.gamesPlayed > 0 ? player.totalScore / player.gamesPlayed : 0,
+                cooperationRate: player.gamesPlayed > 0 ? player.cooperationCount / player.gamesPlayed : 0,
+                seed: player.seed,
+                wins: player.wins,
+                draws: player.draws,
+                losses: player.losses,
+                byes: player.byes,
+                matchPoints: player.matchPoints,
+                placing: placings[index]
+            };
+        });
+        const champion = this.players.find((player, index) => placings[index] === 1);
+
+        return {
+            format: this.settings.format,
+            matchResults: this.matchResults,
+            aggregated: aggregated,
+            strategyNames: this.players.map(player => player.name),
+            sections: this.sections,
+            champion: champion.name,
+            scoring: { ...this.tournament.scoring }
+        };
+    }
+}
+
+// Swiss-System Class - a fixed number of rounds in which players with the same running match points meet,
+// avoiding rematches where possible; with an odd number of players the lowest-placed one without a bye
+// sits out and scores a win
+class SwissTournament extends FormatTournament {
+    constructor(tournament, roster, settings = {}) {
+        super(tournament, roster, { format: 'swiss', ...settings });
+        this.numRounds = settings.rounds !== undefined ? settings.rounds : Math.ceil(Math.log2(roster.length));
+        this.tieBreak = settings.tieBreak || 'buchholz';
+        this.totalMatches = this.numRounds * Math.floor(roster.length / 2);
+    }
+
+    // Tie-break values of a player, in the order they are applied (higher is better)
+    getTieBreaks(player) {
+        const values = {
+            buchholz: player.opponents.reduce((sum, opponent) => sum + opponent.matchPoints, 0),
+            points: player.totalScore,
+            cooperation: player.gamesPlayed > 0 ? player.cooperationCount / player.gamesPlayed : 0
+        };
+        const order = [this.tieBreak, ...Object.keys(SWISS_TIE_BREAKS).filter(key => key !== this.tieBreak)];
+        return order.map(key => values[key]);
+    }
+
+    // Players from first to last place: match points, then the tie-breaks, then the seed
+    rankPlayers() {
+        const tieBreaks = new Map(this.players.map(player => [player, this.getTieBreaks(player)]));
+        return [...this.players].sort((a, b) => {
+            if (a.matchPoints !== b.matchPoints) return b.matchPoints - a.matchPoints;
+            const valuesA = tieBreaks.get(a);
+            const valuesB = tieBreaks.get(b);
+            for (let i = 0; i < valuesA.length; i++) {
+                if (valuesA[i] !== valuesB[i]) return valuesB[i] - valuesA[i];
+            }
+            return a.seed - b.seed;
+        });
+    }
+
+    // Pair the players of a round: each in turn, from the top of the standings, meets the highest-placed
+    // player left that it has not met yet (or the highest-placed left, if it has met them all)
+    pairRound() {
+        let pool = this.rankPlayers();
+        let bye = null;
+        if (pool.length % 2 === 1) {
+            bye = [...pool].reverse().find(player => player.byes === 0) || pool[pool.length - 1];
+            pool = pool.filter(player => player !== bye);
+        }
+
+        const pairs = [];
+        while (pool.length > 0) {
+            const player = pool.shift();
+            const index = Math.max(0, pool.findIndex(opponent => !player.opponents.includes(opponent)));
+            pairs.push([player, pool.splice(index, 1)[0]]);
+        }
+        return { pairs: pairs, bye: bye };
+    }
+
+    run() {
+        const rounds = [];
+        for (let round = 1; round <= this.numRounds; round++) {
+            const stage = `Round ${round}`;
+            const { pairs, bye } = this.pairRound();
+            const matches = pairs.map(([player1, player2]) => {
+                const result = this.playGame(player1, player2, stage);
+                const winner = result.points1 > result.points2 ? player1 : result.points2 > result.points1 ? player2 : null;
+                this.recordMatch(player1, player2, winner);
+                return this.describeMatch(player1, player2, result, winner, winner ? 'points' : 'draw');
+            });
+            if (bye) {
+                bye.byes++;
+                bye.matchPoints += 1;
+                matches.push(this.describeMatch(bye, null, null, bye, 'bye'));
+            }
+            rounds.push({ name: stage, matches: matches });
+        }
+        this.sections = [{ name: 'Swiss Rounds', rounds: rounds }];
+
+        const ranking = this.rankPlayers();
+        return this.getResult(this.players.map(player => ranking.indexOf(player) + 1));
+    }
+}
+
+// Elimination Class - a seeded bracket in which the top seeds get the byes when the roster is not a power of
+// two. Single elimination knocks a player out at its first loss; double elimination drops it to a losers
+// bracket and knocks it out at its second, and the losers bracket winner must beat the winners bracket
+// winner twice in the grand final
+class EliminationTournament extends FormatTournament {
+    constructor(tournament, roster, settings = {}) {
+        super(tournament, roster, { format: 'single', ...settings });
+        this.double = this.settings.format === 'double';
+        this.tieBreak = settings.tieBreak || 'replay';
+        this.totalMatches = this.double ? 2 * roster.length - 2 : roster.length - 1;
+        this.exits = this.players.map(() => Infinity); // Order in which players were knocked out (Infinity = champion)
+        this.roundsPlayed = 0;
+    }
+
+    // Replays of a drawn game before the higher seed goes through (fewer if a replay repeats the drawn game)
+    static get MAX_REPLAYS() {
+        return 5;
+    }
+
+    // Seeds in bracket order for a bracket of the given size (a power of two): seed 1 meets the lowest seed,
+    // and the top two seeds can only meet in the final
+    static getBracketOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const sum = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, sum - seed]);
+        }
+        return order;
+    }
+
+    // Whether two games were played move for move the same
+    static isSameGame(result1, result2) {
+        return result1.roundHistory.length === result2.roundHistory.length &&
+            result1.roundHistory.every((round, index) =>
+                round.move1 === result2.roundHistory[index].move1 && round.move2 === result2.roundHistory[index].move2);
+    }
+
+    // Decide a match between two bracket slots (null is an empty slot, which the other player passes
+    // through without playing); returns the match with its winner and loser players. Replays stop early when
+    // one repeats the drawn game, as between deterministic strategies without noise, since the rest would too
+    playMatch(player1, player2, stage) {
+        if (!player1 || !player2) {
+            const player = player1 || player2;
+            return { match: player ? this.describeMatch(player, null, null, player, 'bye') : null, winner: player, loser: null };
+        }
+
+        const first = this.playGame(player1, player2, stage);
+        let result = first;
+        let games = 1;
+        let decidedBy = 'points';
+        while (result.points1 === result.points2 && this.tieBreak === 'replay' && games <= EliminationTournament.MAX_REPLAYS) {
+            this.totalMatches++;
+            result = this.playGame(player1, player2, stage, 'replay', games);
+            games++;
+            decidedBy = 'replay';
+            if (EliminationTournament.isSameGame(result, first)) break;
+        }
+
+        let winner;
+        if (result.points1 !== result.points2) {
+            winner = result.points1 > result.points2 ? player1 : player2;
+        } else if (this.tieBreak === 'cooperation' && result.cooperationRate1 !== result.cooperationRate2) {
+            winner = result.cooperationRate1 > result.cooperationRate2 ? player1 : player2;
+            decidedBy = 'cooperation';
+        } else {
+            winner = player1.seed < player2.seed ? player1 : player2;
+            decidedBy = 'seed';
+        }
+        const loser = winner === player1 ? player2 : player1;
+        this.recordMatch(player1, player2, winner);
+        return { match: this.describeMatch(player1, player2, result, winner, decidedBy, games), winner: winner, loser: loser };
+    }
+
+    // Play the slots pairwise: returns the round to show and the winners and losers in bracket order
+    playRound(slots, stage) {
+        const matches = [];
+        const winners = [];
+        const losers = [];
+        for (let i = 0; i < slots.length; i += 2) {
+            const { match, winner, loser } = this.playMatch(slots[i], slots[i + 1], stage);
+            if (match) matches.push(match);
+            winners.push(winner);
+            losers.push(loser);
+        }
+        return { round: { name: stage, matches: matches }, winners: winners, losers: losers };
+    }
+
+    // Knock out the losers of a round (players knocked out in the same round share a placing)
+    knockOut(losers) {
+        this.roundsPlayed++;
+        losers.forEach(player => {
+            if (player) this.exits[player.seed - 1] = this.roundsPlayed;
+        });
+    }
+
+    // Name of a round of a single-elimination bracket from the number of slots it starts with
+    getRoundName(slots, round) {
+        const names = { 2: 'Final', 4: 'Semifinals', 8: 'Quarterfinals' };
+        return names[slots] || `Round ${round}`;
+    }
+
+    run() {
+        const size = Math.pow(2, Math.ceil(Math.log2(Math.max(this.players.length, 2))));
+        let winners = EliminationTournament.getBracketOrder(size).map(seed => this.players[seed - 1] || null);
+        const winnerRounds = [];
+        const loserRounds = [];
+        let losers = [];
+        let round = 1;
+
+        while (winners.length > 1) {
+            const stage = this.double
+                ? (winners.length === 2 ? 'Winners Final' : `Winners Round ${round}`)
+                : this.getRoundName(winners.length, round);
+            const played = this.playRound(winners, stage);
+            winnerRounds.push(played.round);
+            winners = played.winners;
+
+            if (!this.double) {
+                this.knockOut(played.losers);
+            } else if (round === 1) {
+                // The first losers round pairs the players who lost their first game
+                losers = this.playLosersRound(played.losers, loserRounds);
+            } else {
+                // The next losers round meets those who just dropped, in reverse order to avoid rematches,
+                // then the survivors play each other while more than one is left of this stage
+                const dropped = [...played.losers].reverse();
+                losers = this.playLosersRound(losers.flatMap((player, index) => [player, dropped[index]]), loserRounds);
+                if (losers.length > 1 && winners.length > 1) {
+                    losers = this.playLosersRound(losers, loserRounds);
+                }
+            }
+            round++;
+        }
+
+        const sections = [{ name: this.double ? 'Winners Bracket' : 'Bracket', rounds: winnerRounds }];
+        if (this.double) {
+            sections.push({ name: 'Losers Bracket', rounds: loserRounds });
+            const finalRounds = [];
+            const [winnersChampion, losersChampion] = [winners[0], losers[0]];
+            if (winnersChampion && losersChampion) {
+                let final = this.playRound([winnersChampion, losersChampion], 'Grand Final');
+                finalRounds.push(final.round);
+                if (final.winners[0] === losersChampion) {
+                    // Both players have now lost once
+                    final = this.playRound([winnersChampion, losersChampion], 'Grand Final Reset');
+                    finalRounds.push(final.round);
+                }
+                this.knockOut(final.losers);
+            }
+            sections.push({ name: 'Grand Final', rounds: finalRounds });
+        }
+        this.sections = sections;
+
+        // Placing: one more than the number of players who went out later
+        return this.getResult(this.exits.map(exit => 1 + this.exits.filter(other => other > exit).length));
+    }
+
+    // Play a round of the losers bracket (a single slot goes through unplayed; a round of byes only is not shown)
+    // and knock out its losers
+    playLosersRound(slots, loserRounds) {
+        if (slots.length < 2) return slots;
+        const played = this.playRound(slots, `Losers Round ${loserRounds.length + 1}`);
+        if (played.round.matches.some(match => match.player2 !== null)) {
+            loserRounds.push(played.round);
+        }
+        this.knockOut(played.losers);
+        return played.winners;
+    }
+}
+
+// Tournament of the given format (a key of TOURNAMENT_FORMATS) for a labelled roster;
+// settings: swissRounds, swissTieBreak and eliminationTieBreak
+function createFormatTournament(tournament, roster, format, settings = {}) {
+    if (format === 'swiss') {
+        return new SwissTournament(tournament, roster, { rounds: settings.swissRounds, tieBreak: settings.swissTieBreak });
+    }
+    return new EliminationTournament(tournament, roster, { format: format, tieBreak: settings.eliminationTieBreak });
+}
@@ -0,0 +1,244 @@
+// Genetic Algorithm - Evolves lookup-table strategies by selection, crossover and mutation, after Axelrod's
+// experiment (The Evolution of Strategies in the Iterated Prisoner's Dilemma, 1987)
+
+// What the genomes play to measure their fitness, and the display names
+const GENETIC_OPPONENTS = {
+    roster: 'The tournament roster',
+    population: 'The evolving population'
+};
+
+// Lookup Table Strategy - plays the move its genome lists for what happened in the last `memory` rounds.
+// The genome is a string of moves: first one for each of the opening rounds (before there is enough
+// history), then one per history (see getStateHistories for their order)
+class LookupTableStrategy extends Strategy {
+    constructor(memory, genome, name = 'Lookup Table') {
+        super(name);
+        this.memory = memory; // Rounds of history the table looks back on (1 to 3)
+        this.genome = genome;
+    }
+
+    // Number of moves in a genome: the opening moves and one per history of the last `memory` rounds
+    static getGenomeLength(memory) {
+        return memory + Math.pow(4, memory);
+    }
+
+    // Histories of the table in genome order, as [my moves, opponent's moves] (oldest first): each round is
+    // CC, CD, DC or DD from the player's side, and the oldest round varies slowest, so memory 1 has the
+    // order CC, CD, DC, DD of a memory-one vector
+    static getStateHistories(memory) {
+        const histories = [];
+        for (let index = 0; index < Math.pow(4, memory); index++) {
+            let my = '';
+            let opponent = '';
+            for (let round = memory - 1; round >= 0; round--) {
+                const outcome = Math.floor(index / Math.pow(4, round)) % 4;
+                my += outcome >= 2 ? DEFECT : COOPERATE;
+                opponent += outcome % 2 === 1 ? DEFECT : COOPERATE;
+            }
+            histories.push([my, opponent]);
+        }
+        return histories;
+    }
+
+    makeMove() {
+        const round = this.history.length;
+        if (round < this.memory) {
+            return this.genome[round];
+        }
+
+        // Position of the last rounds in the table, reading each round as a base-4 digit
+        let index = 0;
+        for (let i = round - this.memory; i < round; i++) {
+            index = index * 4 + (this.history[i] === DEFECT ? 2 : 0) + (this.opponentHistory[i] === DEFECT ? 1 : 0);
+        }
+        return this.genome[this.memory + index];
+    }
+}
+
+// Rule language source of a lookup table (see rules.js), so an evolved genome can be saved and played like
+// any custom strategy: the opening moves by round, then the histories whose move is not the most common one,
+// then that move for every other history
+function lookupTableToRuleSource(memory, genome, name) {
+    const lines = [
+        `name: ${name}`,
+        `# Lookup table over the last ${memory} round${memory > 1 ? 's' : ''} (genome ${genome})`
+    ];
+    const moveName = move => move === COOPERATE ? 'cooperate' : 'defect';
+    for (let round = 1; round <= memory; round++) {
+        lines.push(`if round == ${round} then ${moveName(genome[round - 1])}`);
+    }
+
+    const table = genome.slice(memory);
+    const defections = table.split('').filter(move => move === DEFECT).length;
+    const usual = defections > table.length / 2 ? DEFECT : COOPERATE;
+    LookupTableStrategy.getStateHistories(memory).forEach(([my, opponent], index) => {
+        if (table[index] !== usual) {
+            lines.push(`if my.last(${memory}) == ${my} and opponent.last(${memory}) == ${opponent} then ${moveName(table[index])}`);
+        }
+    });
+    lines.push(`otherwise ${moveName(usual)}`);
+    return lines.join('\n') + '\n';
+}
+
+// Genetic Algorithm Class - a population of lookup-table genomes, each generation scored by the points per
+// game it earns against the opponents, then replaced by the fittest genomes (the elite) and the offspring of
+// parents chosen by sigma scaling: an average genome expects one mating, one a standard deviation better
+// two, and one a standard deviation worse none
+class GeneticAlgorithm {
+    constructor(tournament, roster, settings = {}) {
+        this.tournament = tournament; // Provides payoff matrix, game length, strategy parameters, noise and scoring
+        this.roster = roster; // Entrants { code, params, label } played when the opponents are the roster
+        this.memory = settings.memory !== undefined ? settings.memory : 1;
+        this.populationSize = settings.populationSize !== undefined ? settings.populationSize : 20;
+        this.crossoverRate = settings.crossoverRate !== undefined ? settings.crossoverRate : 0.7; // Chance offspring mix both parents
+        this.mutationRate = settings.mutationRate !== undefined ? settings.mutationRate : 0.01; // Chance per move of flipping
+        this.eliteCount = settings.eliteCount !== undefined ? settings.eliteCount : 2; // Fittest genomes kept unchanged
+        this.opponents = settings.opponents || 'roster';
+        this.genomeLength = LookupTableStrategy.getGenomeLength(this.memory);
+        this.gamesPlayed = 0; // Numbers the games, so each gets its own random streams
+        this.onProgress = null; // Optional callback (generationsDone, numGenerations)
+    }
+
+    randomGenome() {
+        let genome = '';
+        for (let i = 0; i < this.genomeLength; i++) {
+            genome += globalRandom.random() < 0.5 ? COOPERATE : DEFECT;
+        }
+        return genome;
+    }
+
+    createPlayer(genome, index) {
+        return new LookupTableStrategy(this.memory, genome, `Genome #${index + 1}`);
+    }
+
+    // Play a game and return the points and cooperation rates of both players
+    playGame(strategy1, strategy2) {
+        const result = this.tournament.scoreResult(this.tournament.createGame(strategy1, strategy2, 'genetic', this.gamesPlayed++).play());
+        return { points: [result.points1, result.points2], cooperation: [result.cooperationRate1, result.cooperationRate2] };
+    }
+
+    // Fitness (average points per game) and cooperation rate of each genome, against every roster entrant
+    // or every other genome of the population. In an asymmetric game each pairing is played in both seats,
+    // as in a round-robin
+    evaluate(population) {
+        const seatings = this.tournament.payoffMatrix.isSymmetric() ? 1 : 2;
+        const totals = population.map(() => ({ points: 0, cooperation: 0, games: 0 }));
+        const add = (index, points, cooperation) => {
+            totals[index].points += points;
+            totals[index].cooperation += cooperation;
+            totals[index].games++;
+        };
+
+        if (this.opponents === 'population') {
+            for (let i = 0; i < population.length; i++) {
+                for (let j = i + 1; j < population.length; j++) {
+                    [[i, j], [j, i]].slice(0, seatings).forEach(([first, second]) => {
+                        const { points, cooperation } = this.playGame(this.createPlayer(population[first], first), this.createPlayer(population[second], second));
+                        add(first, points[0], cooperation[0]);
+                        add(second, points[1], cooperation[1]);
+                    });
+                }
+            }
+        } else {
+            population.forEach((genome, i) => {
+                this.roster.forEach(entry => {
+                    const { points, cooperation } = this.playGame(this.createPlayer(genome, i), this.tournament.createEntrant(entry));
+                    add(i, points[0], cooperation[0]);
+                    if (seatings === 2) {
+                        const second = this.playGame(this.tournament.createEntrant(entry), this.createPlayer(genome, i));
+                        add(i, second.points[1], second.cooperation[1]);
+                    }
+                });
+            });
+        }
+
+        return totals.map(total => ({
+            fitness: total.games > 0 ? total.points / total.games : 0,
+            cooperationRate: total.games > 0 ? total.cooperation / total.games : 0
+        }));
+    }
+
+    // Pick a parent index by sigma scaling (uniformly if every genome is equally fit)
+    selectParent(fitness) {
+        const mean = fitness.reduce((sum, value) => sum + value, 0) / fitness.length;
+        const sd = Math.sqrt(fitness.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / fitness.length);
+        const weights = fitness.map(value => sd > 0 ? Math.max(0, 1 + (value - mean) / sd) : 1);
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let threshold = globalRandom.random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) {
+                return i;
+            }
+        }
+        return weights.length - 1;
+    }
+
+    // Offspring of two genomes: one-point crossover (or a copy of the first), then mutation of each move
+    breed(genome1, genome2) {
+        let child = genome1;
+        if (globalRandom.random() < this.crossoverRate) {
+            const point = 1 + Math.floor(globalRandom.random() * (this.genomeLength - 1));
+            child = genome1.slice(0, point) + genome2.slice(point);
+        }
+
+        let mutated = '';
+        for (let i = 0; i < child.length; i++) {
+            mutated += this.mutationRate > 0 && globalRandom.random() < this.mutationRate ? flipMove(child[i]) : child[i];
+        }
+        return mutated;
+    }
+
+    // Evolve a random population and record its best and mean fitness every generation, with the fittest
+    // genome seen in any generation
+    run(numGenerations) {
+        let population = [];
+        for (let i = 0; i < this.populationSize; i++) {
+            population.push(this.randomGenome());
+        }
+
+        const generations = [];
+        let best = null;
+        let scores = [];
+        for (let generation = 1; generation <= numGenerations; generation++) {
+            scores = this.evaluate(population);
+            const fitness = scores.map(score => score.fitness);
+            const ranking = population.map((_, index) => index).sort((a, b) => fitness[b] - fitness[a]);
+            const fittest = ranking[0];
+
+            generations.push({
+                generation: generation,
+                bestFitness: fitness[fittest],
+                meanFitness: fitness.reduce((sum, value) => sum + value, 0) / fitness.length,
+                cooperationRate: scores.reduce((sum, score) => sum + score.cooperationRate, 0) / scores.length,
+                bestGenome: population[fittest]
+            });
+            if (best === null || fitness[fittest] > best.fitness) {
+                best = { genome: population[fittest], fitness: fitness[fittest], generation: generation };
+            }
+
+            if (this.onProgress) {
+                this.onProgress(generation, numGenerations);
+            }
+            if (generation === numGenerations) break;
+
+            const next = ranking.slice(0, Math.min(this.eliteCount, population.length)).map(index => population[index]);
+            while (next.length < this.populationSize) {
+                next.push(this.breed(population[this.selectParent(fitness)], population[this.selectParent(fitness)]));
+            }
+            population = next;
+        }
+
+        return {
+            memory: this.memory,
+            opponents: this.opponents,
+            opponentNames: this.opponents === 'roster' ? this.roster.map(entry => this.tournament.createEntrant(entry).name) : [],
+            generations: generations,
+            best: best,
+            finalPopulation: population
+                .map((genome, index) => ({ genome: genome, fitness: scores[index].fitness }))
+                .sort((a, b) => b.fitness - a.fitness)
+        };
+    }
+}
@@ -0,0 +1,351 @@
+// N-Player Prisoner's Dilemma - A group whose members all move at once each round, playing a public goods
+// game or an N-person Prisoner's Dilemma with linear payoff functions
+
+// Group payoff types and their display names
+const GROUP_PAYOFF_TYPES = {
+    publicGoods: 'Public Goods Game',
+    linear: 'N-Person Prisoner\'s Dilemma (Linear)'
+};
+
+// Public Goods Payoff Class - every cooperator pays the contribution into a pot that is multiplied and shared
+// equally by the whole group, defectors included (payoffs are net of the contribution). Defecting always pays
+// more, yet everyone is better off cooperating when the multiplication factor is between 1 and the group size
+class PublicGoodsPayoff {
+    constructor(groupSize, multiplicationFactor = 3, contribution = 1) {
+        this.groupSize = groupSize;
+        this.multiplicationFactor = multiplicationFactor;
+        this.contribution = contribution;
+    }
+
+    // Payoff of a member making a move while otherCooperators of the other members cooperate
+    getPayoff(move, otherCooperators) {
+        const cooperators = otherCooperators + (move === COOPERATE ? 1 : 0);
+        const share = this.multiplicationFactor * this.contribution * cooperators / this.groupSize;
+        return move === COOPERATE ? share - this.contribution : share;
+    }
+}
+
+// Linear Group Payoff Class - N-person Prisoner's Dilemma in which a member's payoff grows linearly with the
+// fraction of the others who cooperate: from S to R for a cooperator and from P to T for a defector, so a
+// group of two plays the usual payoff matrix
+class LinearGroupPayoff {
+    constructor(groupSize, payoffMatrix) {
+        this.groupSize = groupSize;
+        this.payoffMatrix = payoffMatrix;
+    }
+
+    getPayoff(move, otherCooperators) {
+        const { T, R, P, S } = this.payoffMatrix;
+        const fraction = this.groupSize > 1 ? otherCooperators / (this.groupSize - 1) : 0;
+        return move === COOPERATE ? S + (R - S) * fraction : P + (T - P) * fraction;
+    }
+}
+
+// Base Group Strategy Class - sees its own moves and, for each round, the fraction of the other members it
+// saw cooperating
+class GroupStrategy {
+    constructor(name) {
+        this.name = name;
+        this.history = [];
+        this.othersCooperation = [];
+        this.score = 0;
+        this.randomStream = globalRandom; // Source of random moves (a group game gives each member its own)
+    }
+
+    // Random number between 0 and 1 for a stochastic move
+    random() {
+        return this.randomStream.random();
+    }
+
+    // To be implemented by subclasses
+    makeMove() {
+        throw new Error('makeMove() must be implemented');
+    }
+
+    // Record the move made this round and the fraction of the others seen cooperating
+    recordRound(myMove, othersCooperation) {
+        this.history.push(myMove);
+        this.othersCooperation.push(othersCooperation);
+    }
+
+    updateScore(payoff) {
+        this.score += payoff;
+    }
+
+    // Reset for a new game
+    reset() {
+        this.history = [];
+        this.othersCooperation = [];
+        this.score = 0;
+    }
+
+    // Fraction of the others seen cooperating in the last round (null before the first round)
+    getLastOthersCooperation() {
+        return this.othersCooperation.length > 0 ? this.othersCooperation[this.othersCooperation.length - 1] : null;
+    }
+
+    getCooperationRate() {
+        if (this.history.length === 0) return 0;
+        return this.history.filter(move => move === COOPERATE).length / this.history.length;
+    }
+}
+
+// Always Cooperate in a group
+class GroupAlwaysCooperate extends GroupStrategy {
+    constructor() {
+        super('Always Cooperate');
+    }
+
+    makeMove() {
+        return COOPERATE;
+    }
+}
+
+// Always Defect in a group (the free rider)
+class GroupAlwaysDefect extends GroupStrategy {
+    constructor() {
+        super('Always Defect');
+    }
+
+    makeMove() {
+        return DEFECT;
+    }
+}
+
+// Conditional Cooperator - Cooperates first, then whenever at least a threshold fraction of the others
+// cooperated in the previous round
+class ConditionalCooperator extends GroupStrategy {
+    constructor(threshold = 0.5) {
+        super('Conditional Cooperator');
+        this.threshold = threshold;
+    }
+
+    makeMove() {
+        const last = this.getLastOthersCooperation();
+        if (last === null) return COOPERATE;
+        return last >= this.threshold ? COOPERATE : DEFECT;
+    }
+}
+
+// Group Grim Trigger - Cooperates until it sees any other member defect, then defects for good
+class GroupGrimTrigger extends GroupStrategy {
+    constructor() {
+        super('Grim Trigger');
+    }
+
+    makeMove() {
+        return this.othersCooperation.every(fraction => fraction === 1) ? COOPERATE : DEFECT;
+    }
+}
+
+// Proportional Cooperator - Cooperates first, then with probability equal to the fraction of the others
+// who cooperated in the previous round
+class ProportionalCooperator extends GroupStrategy {
+    constructor() {
+        super('Proportional Cooperator');
+    }
+
+    makeMove() {
+        const last = this.getLastOthersCooperation();
+        if (last === null) return COOPERATE;
+        return this.random() < last ? COOPERATE : DEFECT;
+    }
+}
+
+// All-or-None - Cooperates first, then only if the whole group, itself included, made the same move in the
+// previous round (the group version of Win-Stay-Lose-Shift)
+class AllOrNone extends GroupStrategy {
+    constructor() {
+        super('All-or-None');
+    }
+
+    makeMove() {
+        const last = this.getLastOthersCooperation();
+        if (last === null) return COOPERATE;
+        const myLast = this.history[this.history.length - 1];
+        return (myLast === COOPERATE && last === 1) || (myLast === DEFECT && last === 0) ? COOPERATE : DEFECT;
+    }
+}
+
+// Random in a group - Cooperates with a fixed probability
+class GroupRandom extends GroupStrategy {
+    constructor(cooperationProb = 0.5) {
+        super('Random');
+        this.cooperationProb = cooperationProb;
+    }
+
+    makeMove() {
+        return this.random() < this.cooperationProb ? COOPERATE : DEFECT;
+    }
+}
+
+// Group Strategy Factory
+class GroupStrategyFactory {
+    // params: cooperationThreshold (Conditional Cooperator) and randomCoopProb (Random)
+    static createStrategy(strategyCode, params = {}) {
+        switch(strategyCode) {
+            case 'ALLC':
+                return new GroupAlwaysCooperate();
+            case 'ALLD':
+                return new GroupAlwaysDefect();
+            case 'COND':
+                return new ConditionalCooperator(params.cooperationThreshold !== undefined ? params.cooperationThreshold : 0.5);
+            case 'GRIM':
+                return new GroupGrimTrigger();
+            case 'PROP':
+                return new ProportionalCooperator();
+            case 'AON':
+                return new AllOrNone();
+            case 'RAND':
+                return new GroupRandom(params.randomCoopProb !== undefined ? params.randomCoopProb : 0.5);
+            default:
+                throw new Error(`Unknown group strategy: ${strategyCode}`);
+        }
+    }
+
+    static getStrategyCodes() {
+        return ['ALLC', 'ALLD', 'COND', 'GRIM', 'PROP', 'AON', 'RAND'];
+    }
+
+    // Members of a group with counts[code] members per strategy, in the order of the strategy codes;
+    // members sharing a strategy are numbered
+    static createGroup(counts, params = {}) {
+        const members = [];
+        GroupStrategyFactory.getStrategyCodes().forEach(code => {
+            const count = counts[code] || 0;
+            for (let i = 1; i <= count; i++) {
+                const strategy = GroupStrategyFactory.createStrategy(code, params);
+                if (count > 1) {
+                    strategy.name = `${strategy.name} #${i}`;
+                }
+                members.push(strategy);
+            }
+        });
+        return members;
+    }
+}
+
+// Group Game Class - a repeated game in which every member of a group moves at once each round and is paid
+// according to its own move and the number of other members who cooperated
+class GroupGame {
+    constructor(strategies, groupPayoff, numRounds, continuationProb = null, noise = {}, seed = null) {
+        this.strategies = strategies;
+        this.groupPayoff = groupPayoff; // PublicGoodsPayoff or LinearGroupPayoff
+        this.numRounds = numRounds;
+        this.continuationProb = continuationProb; // For indefinite horizon
+        this.implementationError = noise.implementationError || 0; // Probability a move is executed as its opposite
+        this.perceptionError = noise.perceptionError || 0; // Probability a member misreads another member's move
+        this.seed = seed; // Seed of the game's random streams (null = everything draws from globalRandom)
+        this.roundHistory = [];
+        this.onProgress = null; // Optional callback (roundsPlayed, numRounds) during a game of fixed length
+    }
+
+    // Give the game and each member fresh random streams, as Game does; members are keyed by seat, since
+    // the group is played as a whole
+    assignRandomStreams() {
+        if (this.seed === null) {
+            this.random = globalRandom;
+            this.errorRandoms = this.strategies.map(() => globalRandom);
+            this.strategies.forEach(strategy => {
+                strategy.randomStream = globalRandom;
+            });
+            return;
+        }
+
+        this.random = new SeededRandom(deriveSeed(this.seed, 'group', 'game'));
+        this.errorRandoms = this.strategies.map((strategy, index) => new SeededRandom(deriveSeed(this.seed, 'group', 'errors', index)));
+        this.strategies.forEach((strategy, index) => {
+            strategy.randomStream = new SeededRandom(deriveSeed(this.seed, 'group', 'moves', index));
+        });
+    }
+
+    // Flip a move with the given probability (no random draw when the rate is 0)
+    applyError(move, errorRate, random) {
+        if (errorRate > 0 && random.random() < errorRate) {
+            return flipMove(move);
+        }
+        return move;
+    }
+
+    // Reset the strategies and random streams before the first round
+    start() {
+        this.strategies.forEach(strategy => strategy.reset());
+        this.roundHistory = [];
+        this.assignRandomStreams();
+    }
+
+    // Whether another round is played after the ones so far (see Game.hasNextRound)
+    hasNextRound() {
+        const roundCount = this.roundHistory.length;
+        if (this.continuationProb === null) {
+            return roundCount < this.numRounds;
+        }
+        if (roundCount === 0) {
+            return true;
+        }
+        return this.random.random() < this.continuationProb && roundCount < Game.MAX_ROUNDS;
+    }
+
+    playRound() {
+        // Every member chooses its move, which may be executed as its opposite
+        const intendedMoves = this.strategies.map(strategy => strategy.makeMove());
+        const moves = intendedMoves.map((move, index) => this.applyError(move, this.implementationError, this.errorRandoms[index]));
+
+        // Payoffs depend on the moves actually played
+        const cooperators = moves.filter(move => move === COOPERATE).length;
+        const payoffs = moves.map(move => this.groupPayoff.getPayoff(move, cooperators - (move === COOPERATE ? 1 : 0)));
+
+        // Each member sees the others' moves, each of which it may misread (drawn from its own errors)
+        const others = this.strategies.length - 1;
+        this.strategies.forEach((strategy, index) => {
+            let seenCooperating = 0;
+            moves.forEach((move, otherIndex) => {
+                if (otherIndex !== index && this.applyError(move, this.perceptionError, this.errorRandoms[index]) === COOPERATE) {
+                    seenCooperating++;
+                }
+            });
+            strategy.recordRound(moves[index], others > 0 ? seenCooperating / others : 0);
+            strategy.updateScore(payoffs[index]);
+        });
+
+        this.roundHistory.push({
+            round: this.roundHistory.length + 1,
+            intendedMoves: intendedMoves,
+            moves: moves,
+            payoffs: payoffs,
+            cumScores: this.strategies.map(strategy => strategy.score),
+            cooperators: cooperators
+        });
+    }
+
+    play() {
+        this.start();
+        while (this.hasNextRound()) {
+            this.playRound();
+            if (this.onProgress && this.continuationProb === null) {
+                this.onProgress(this.roundHistory.length, this.numRounds);
+            }
+        }
+
+        if (this.continuationProb !== null && this.roundHistory.length >= Game.MAX_ROUNDS) {
+            console.warn(`Group game reached maximum round limit of ${Game.MAX_ROUNDS} rounds`);
+        }
+        return this.getResult();
+    }
+
+    // Scores, cooperation rates and history of the rounds played, with the payoff per round of a group in
+    // which everyone cooperates and one in which everyone defects for reference
+    getResult() {
+        const size = this.strategies.length;
+        const totalCooperators = this.roundHistory.reduce((sum, round) => sum + round.cooperators, 0);
+        return {
+            strategyNames: this.strategies.map(strategy => strategy.name),
+            finalScores: this.strategies.map(strategy => strategy.score),
+            cooperationRates: this.strategies.map(strategy => strategy.getCooperationRate()),
+            groupCooperationRate: this.roundHistory.length > 0 ? totalCooperators / (this.roundHistory.length * size) : 0,
+            fullCooperationPayoff: this.groupPayoff.getPayoff(COOPERATE, size - 1),
+            fullDefectionPayoff: this.groupPayoff.getPayoff(DEFECT, 0),
+            roundHistory: this.roundHistory
+        };
+    }
+}
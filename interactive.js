@@ -0,0 +1,76 @@
+// Interactive Play - A person plays the iterated game against a strategy, one round at a time
+
+// Human Player Strategy - its move for the next round is chosen by a person before the round is played
+class HumanPlayer extends Strategy {
+    constructor(name = 'You') {
+        super(name);
+        this.nextMove = null;
+    }
+
+    makeMove() {
+        if (this.nextMove === null) {
+            throw new Error('No move chosen for this round');
+        }
+        const move = this.nextMove;
+        this.nextMove = null;
+        return move;
+    }
+}
+
+// Interactive Match Class - a game against a roster entrant ({ code, params, label }) that advances a round
+// each time the person moves; the game length, noise and random streams are those of the tournament
+class InteractiveMatch {
+    constructor(tournament, opponentEntry, playerName = 'You') {
+        this.tournament = tournament;
+        this.opponentEntry = opponentEntry;
+        this.human = new HumanPlayer(playerName);
+        this.game = tournament.createGame(this.human, tournament.createEntrant(opponentEntry));
+        this.game.start();
+        this.finished = !this.game.hasNextRound();
+    }
+
+    // Play a round with the person's move; returns the round as recorded in the history
+    play(move) {
+        if (this.finished) {
+            throw new Error('The match is over');
+        }
+        this.human.nextMove = move;
+        this.game.playRound();
+        this.finished = !this.game.hasNextRound();
+        return this.game.roundHistory[this.game.roundHistory.length - 1];
+    }
+
+    // Match result so far, in the format of Game.play (the person is player 1)
+    getResult() {
+        return this.game.getResult();
+    }
+
+    // How every built-in strategy scores against the same opponent over the same number of rounds,
+    // with the person among them; best score first (the person first among equal scores)
+    compareStrategies() {
+        const { payoffMatrix, strategyParams, noise, seed } = this.tournament;
+        const sameLength = new Tournament(payoffMatrix, this.game.roundHistory.length, strategyParams, null, noise, seed);
+
+        const rows = StrategyFactory.getBuiltInStrategyCodes().map(code => {
+            const strategy = sameLength.createEntrant({ code: code });
+            const result = sameLength.createGame(strategy, sameLength.createEntrant(this.opponentEntry)).play();
+            return {
+                name: result.strategy1Name,
+                score: result.finalScore1,
+                opponentScore: result.finalScore2,
+                cooperationRate: result.cooperationRate1,
+                isPlayer: false
+            };
+        });
+
+        const result = this.getResult();
+        rows.unshift({
+            name: result.strategy1Name,
+            score: result.finalScore1,
+            opponentScore: result.finalScore2,
+            cooperationRate: result.cooperationRate1,
+            isPlayer: true
+        });
+        return rows.sort((a, b) => b.score - a.score);
+    }
+}
@@ -0,0 +1,141 @@
+// Simulation Jobs - Run the experiment of a configuration from start to finish, reporting progress
+// A job is plain data ({ kind, config, ... }), so it can be posted to a Web Worker (see worker.js and runner.js)
+
+// Make the custom strategies of a configuration available (a strategy of the same name is replaced)
+function registerConfigStrategies(config) {
+    config.customStrategies.forEach(source => {
+        const StrategyClass = compileRuleStrategy(source);
+        StrategyFactory.registerStrategy(getRuleStrategyCode(StrategyClass.definition.name), StrategyClass);
+    });
+}
+
+// Run a job; onProgress(fraction, text) is called as it goes
+// Kinds: pairwise and roundrobin return { result, replication, analytical } (replication is null for a single
+// run; analytical compares the first run's scores with their expectations, see PayoffCalculator),
+// population returns { payoffMatrix, strategyNames, dynamics }, moran returns { result, fixation }, genetic
+// returns { result } for the genetic algorithm of config.genetic,
+// group returns { result } for the group game of config.group, bracket returns { result } for the Swiss or
+// elimination tournament of config.bracket, and sweep runs job.points ([xIndex, yIndex]
+// pairs) of config.sweep and returns [{ xIndex, yIndex, point }]
+function runExperimentJob(job, onProgress = () => {}) {
+    const config = job.config;
+    registerConfigStrategies(config);
+    globalRandom.reset(config.seed);
+    const tournament = createExperimentTournament(config);
+
+    switch (job.kind) {
+        case 'pairwise':
+        case 'roundrobin':
+            return runTournamentJob(job.kind, config, tournament, onProgress);
+        case 'population':
+            return runPopulationJob(config, tournament, onProgress);
+        case 'moran':
+            return runMoranJob(config, tournament, onProgress);
+        case 'genetic':
+            return runGeneticJob(config, tournament, onProgress);
+        case 'sweep':
+            return runSweepJob(job, onProgress);
+        case 'group':
+            return runGroupJob(config, onProgress);
+        case 'bracket':
+            return runBracketJob(config, tournament, onProgress);
+        default:
+            throw new Error(`Unknown job kind: ${job.kind}`);
+    }
+}
+
+function runTournamentJob(kind, config, tournament, onProgress) {
+    const [entry1, entry2] = config.pairwise;
+    const roster = kind === 'roundrobin' ? tournament.labelRoster(config.roster) : null;
+    const analyze = result => {
+        const calculator = new PayoffCalculator(tournament, config.roundRobin);
+        return kind === 'pairwise'
+            ? calculator.analyzePairwise(entry1, entry2, result)
+            : calculator.analyzeRoundRobin(roster, result);
+    };
+
+    if (config.replications <= 1) {
+        tournament.onProgress = (done, total) => onProgress(done / total, `Match ${done} of ${total}`);
+        const result = kind === 'pairwise'
+            ? tournament.runPairwise(entry1.code, entry2.code, entry1.params, entry2.params)
+            : tournament.runRoundRobin(roster, config.roundRobin);
+        return { result: result, replication: null, analytical: analyze(result) };
+    }
+
+    // Progress counts the matches of every replication
+    const replicated = new ReplicatedTournament(tournament, config.replications, config.seed);
+    let replicationsDone = 0;
+    replicated.onProgress = done => {
+        replicationsDone = done;
+        onProgress(done / config.replications, `Replication ${done} of ${config.replications}`);
+    };
+    tournament.onProgress = (done, total) => onProgress(
+        (replicationsDone + done / total) / config.replications,
+        `Replication ${replicationsDone + 1} of ${config.replications}: match ${done} of ${total}`
+    );
+
+    const replication = kind === 'pairwise'
+        ? replicated.runPairwise(entry1.code, entry2.code, entry1.params, entry2.params)
+        : replicated.runRoundRobin(roster, config.roundRobin);
+    return { result: replication.firstResult, replication: replication, analytical: analyze(replication.firstResult) };
+}
+
+// The round-robin payoff matrix drives replicator dynamics from the configured initial shares
+function runPopulationJob(config, tournament, onProgress) {
+    const roster = tournament.labelRoster(config.roster);
+    tournament.onProgress = (done, total) => onProgress(done / total, `Match ${done} of ${total}`);
+    const { payoffMatrix, strategyNames } = tournament.runRoundRobin(roster, config.roundRobin);
+
+    const initialShares = {};
+    roster.forEach((entry, index) => {
+        const shares = config.population.shares;
+        initialShares[entry.label] = shares && shares[index] !== undefined ? shares[index] : 1;
+    });
+    const dynamics = new ReplicatorDynamics(payoffMatrix, strategyNames).run(initialShares, config.population.numGenerations);
+    return { payoffMatrix: payoffMatrix, strategyNames: strategyNames, dynamics: dynamics };
+}
+
+// The time series first, then the invasion experiments (the first half and second half of the progress)
+function runMoranJob(config, tournament, onProgress) {
+    const settings = config.moran;
+    const moran = new MoranProcess(tournament, tournament.labelRoster(config.roster), {
+        populationSize: settings.populationSize,
+        selectionIntensity: settings.selectionIntensity,
+        mutationRate: settings.mutationRate,
+        opponentsPerGeneration: settings.opponentsPerGeneration
+    });
+
+    moran.onProgress = (done, total) => onProgress(done / total / 2, `Generation ${done} of ${total}`);
+    const result = moran.run(settings.numGenerations);
+    moran.onProgress = (done, total) => onProgress(0.5 + done / total / 2, `Fixation run ${done} of ${total}`);
+    const fixation = moran.estimateFixationProbabilities(settings.fixationRuns);
+    return { result: result, fixation: fixation };
+}
+
+function runGeneticJob(config, tournament, onProgress) {
+    const { numGenerations, ...settings } = config.genetic;
+    const algorithm = new GeneticAlgorithm(tournament, tournament.labelRoster(config.roster), settings);
+    algorithm.onProgress = (done, total) => onProgress(done / total, `Generation ${done} of ${total}`);
+    return { result: algorithm.run(numGenerations) };
+}
+
+function runSweepJob(job, onProgress) {
+    const sweep = new ParameterSweep(job.config);
+    return job.points.map(([xIndex, yIndex], index) => {
+        const point = sweep.runPoint(xIndex, yIndex);
+        onProgress((index + 1) / job.points.length, `Grid point ${index + 1} of ${job.points.length}`);
+        return { xIndex: xIndex, yIndex: yIndex, point: point };
+    });
+}
+
+function runGroupJob(config, onProgress) {
+    const game = createExperimentGroupGame(config);
+    game.onProgress = (done, total) => onProgress(done / total, `Round ${done} of ${total}`);
+    return { result: game.play() };
+}
+
+function runBracketJob(config, tournament, onProgress) {
+    const format = createFormatTournament(tournament, tournament.labelRoster(config.roster), config.bracket.format, config.bracket);
+    format.onProgress = (done, total) => onProgress(done / total, `Match ${done} of ${total}`);
+    return { result: format.run() };
+}
@@ -0,0 +1,84 @@
+// Match Replay - Notable events of a pairwise match, for stepping through it round by round
+
+// Events of a match, in round order: { round, endRound, player (1 or 2, null for both), type, text }
+// Types: 'first-defection' (a player's first defection), 'retaliation' (consecutive rounds in which a
+// player answers a defection it saw with one of its own after cooperating), and 'trigger' (a player
+// defects for the rest of the match; for Grim Trigger this is when it fires).
+// strategyCodes: codes of the two players, as passed to runPairwise
+function findMatchEvents(result, strategyCodes = []) {
+    const rounds = result.roundHistory;
+    const names = [result.strategy1Name, result.strategy2Name];
+    const events = [];
+
+    // What each player intended, actually played and saw of its opponent
+    const players = [1, 2].map(player => ({
+        intended: rounds.map(round => round[`intendedMove${player}`]),
+        played: rounds.map(round => round[`move${player}`]),
+        // perceived1 is player 1's move as seen by player 2
+        seen: rounds.map(round => round[`perceived${3 - player}`])
+    }));
+
+    players.forEach(({ intended, played }, index) => {
+        const firstDefection = played.indexOf(DEFECT);
+        if (firstDefection !== -1) {
+            const byError = intended[firstDefection] !== DEFECT ? ' (implementation error)' : '';
+            events.push({
+                round: firstDefection + 1,
+                endRound: firstDefection + 1,
+                player: index + 1,
+                type: 'first-defection',
+                text: `${names[index]} defects for the first time${byError}`
+            });
+        }
+
+        // Start of the defection that lasts until the end (only after some cooperation)
+        let tailStart = intended.length;
+        while (tailStart > 0 && intended[tailStart - 1] === DEFECT) tailStart--;
+        const isGrim = strategyCodes[index] === 'GRIM';
+        if (tailStart > 0 && tailStart < intended.length && (isGrim || tailStart < intended.length - 1)) {
+            events.push({
+                round: tailStart + 1,
+                endRound: intended.length,
+                player: index + 1,
+                type: 'trigger',
+                text: isGrim
+                    ? `Grim Trigger fires: ${names[index]} defects for the rest of the match`
+                    : `${names[index]} defects for the rest of the match`
+            });
+        }
+    });
+
+    // Retaliations, grouped into chains of consecutive rounds
+    const retaliators = round => [0, 1].filter(index => {
+        const { intended, seen } = players[index];
+        return round > 0 && intended[round] === DEFECT && intended[round - 1] === COOPERATE && seen[round - 1] === DEFECT;
+    });
+    let chainStart = null;
+    let chainPlayers = [];
+    for (let round = 0; round <= rounds.length; round++) {
+        const current = round < rounds.length ? retaliators(round) : [];
+        if (current.length > 0) {
+            if (chainStart === null) {
+                chainStart = round;
+                chainPlayers = [];
+            }
+            current.forEach(index => {
+                if (!chainPlayers.includes(index)) chainPlayers.push(index);
+            });
+        } else if (chainStart !== null) {
+            const length = round - chainStart;
+            events.push({
+                round: chainStart + 1,
+                endRound: round,
+                player: chainPlayers.length === 1 ? chainPlayers[0] + 1 : null,
+                type: 'retaliation',
+                text: length === 1
+                    ? (chainPlayers.length === 1 ? `${names[chainPlayers[0]]} retaliates` : 'Both players retaliate')
+                    : `Retaliation chain: ${length} rounds of answering defections`
+            });
+            chainStart = null;
+        }
+    }
+
+    return events.sort((a, b) => a.round - b.round);
+}
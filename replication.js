@@ -0,0 +1,118 @@
+// Monte Carlo Replication - Reruns a tournament over derived seeds and summarises the spread of the results
+
+// Two-sided 95% critical values of Student's t distribution for 1 to 30 degrees of freedom
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function getCriticalT95(degreesOfFreedom) {
+    if (degreesOfFreedom <= T_CRITICAL_95.length) {
+        return T_CRITICAL_95[degreesOfFreedom - 1];
+    }
+    // Close to the tabulated values beyond 30 degrees of freedom (2.021 at 40, 1.980 at 120)
+    return 1.96 + 2.4 / degreesOfFreedom;
+}
+
+// Mean, sample standard deviation and 95% confidence interval of the mean
+function summarizeSample(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const variance = n > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0;
+    const sd = Math.sqrt(variance);
+    const halfWidth = n > 1 ? getCriticalT95(n - 1) * sd / Math.sqrt(n) : 0;
+    return { mean: mean, sd: sd, ciLow: mean - halfWidth, ciHigh: mean + halfWidth };
+}
+
+// Seed of a replication: the first uses the base seed, so it repeats a single run with that seed,
+// the others get well-mixed seeds derived from it
+function deriveReplicationSeed(seed, replication) {
+    if (replication === 0) return seed;
+    let t = (seed + Math.imul(replication, 0x9E3779B9)) | 0;
+    t = Math.imul(t ^ t >>> 16, 0x85EBCA6B);
+    t = Math.imul(t ^ t >>> 13, 0xC2B2AE35);
+    return ((t ^ t >>> 16) >>> 0) % 2147483646 + 1;
+}
+
+// Rank of each score, best first; tied scores share the better rank (1, 2, 2, 4)
+function rankScores(scores) {
+    return scores.map(score => 1 + scores.filter(other => other > score).length);
+}
+
+// Replicated Tournament Class - plays a tournament once per derived seed
+class ReplicatedTournament {
+    constructor(tournament, numReplications, seed) {
+        this.tournament = tournament;
+        this.numReplications = numReplications;
+        this.seed = seed;
+        this.onProgress = null; // Optional callback (replicationsDone, numReplications)
+    }
+
+    // Run every replication; playOnce plays the tournament and returns
+    // { result, names, scores, cooperationRates } with one score and rate per entrant
+    replicate(playOnce) {
+        const seeds = [];
+        const samples = [];
+        let firstResult = null;
+
+        for (let replication = 0; replication < this.numReplications; replication++) {
+            const seed = deriveReplicationSeed(this.seed, replication);
+            globalRandom.reset(seed);
+            this.tournament.seed = seed;
+            const sample = playOnce();
+            seeds.push(seed);
+            samples.push({ ...sample, ranks: rankScores(sample.scores) });
+            if (replication === 0) {
+                firstResult = sample.result;
+            }
+            if (this.onProgress) {
+                this.onProgress(replication + 1, this.numReplications);
+            }
+        }
+        this.tournament.seed = this.seed;
+
+        // Entrants are in the same order in every replication
+        const entrants = samples[0].names.map((name, index) => ({
+            name: name,
+            averageScore: summarizeSample(samples.map(sample => sample.scores[index])),
+            cooperationRate: summarizeSample(samples.map(sample => sample.cooperationRates[index])),
+            rank: summarizeSample(samples.map(sample => sample.ranks[index])),
+            firstPlaces: samples.filter(sample => sample.ranks[index] === 1).length
+        }));
+
+        return {
+            numReplications: this.numReplications,
+            seeds: seeds,
+            entrants: entrants,
+            firstResult: firstResult
+        };
+    }
+
+    // Pairwise game; the score of a player is its points under the tournament's scoring scheme
+    runPairwise(strategyCode1, strategyCode2, params1 = {}, params2 = {}) {
+        return this.replicate(() => {
+            const result = this.tournament.runPairwise(strategyCode1, strategyCode2, params1, params2);
+            return {
+                result: result,
+                names: [result.strategy1Name, result.strategy2Name],
+                scores: [result.points1, result.points2],
+                cooperationRates: [result.cooperationRate1, result.cooperationRate2]
+            };
+        });
+    }
+
+    // Round-robin tournament (settings as for Tournament.runRoundRobin); the score of an entrant is its
+    // average points per match
+    runRoundRobin(roster = null, settings = {}) {
+        return this.replicate(() => {
+            const result = this.tournament.runRoundRobin(roster, settings);
+            return {
+                result: result,
+                names: result.strategyNames,
+                scores: result.strategyNames.map(name => result.aggregated[name].averageScore),
+                cooperationRates: result.strategyNames.map(name => result.aggregated[name].cooperationRate)
+            };
+        });
+    }
+}
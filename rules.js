@@ -0,0 +1,393 @@
+// Rule Language - Custom strategies written as declarative rules and compiled into Strategy subclasses
+//
+// Example:
+//   name: Cautious Retaliator
+//   if round == 1 then cooperate
+//   if opponent.last(2) == DD then defect
+//   if opponent.last == D and my.score < opponent.score then defect with 0.9
+//   otherwise copy
+//
+// Rules are checked from top to bottom and the first one whose condition holds decides the move.
+// Sources are parsed, never evaluated as JavaScript, so a rule can only read the match history.
+
+// Error in a strategy definition, with the 1-based line and column it was found at
+class RuleSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'RuleSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// Last n moves of a history as a string (oldest first), or null if fewer than n were played
+function getLastMoves(history, n = 1) {
+    if (history.length < n) return null;
+    return history.slice(history.length - n).join('');
+}
+
+// Number of times a move was played, over the whole history or its last n rounds
+function countMoves(history, move, n = null) {
+    const window = n === null ? history : history.slice(Math.max(0, history.length - n));
+    return window.filter(m => m === move).length;
+}
+
+// Values rules can read: their type, whether they take a window (n), and how to read them from the strategy
+const RULE_VALUES = {
+    'round': { type: 'number', window: false, read: strategy => strategy.history.length + 1 },
+    'my.last': { type: 'moves', window: true, read: (strategy, n) => getLastMoves(strategy.history, n) },
+    'opponent.last': { type: 'moves', window: true, read: (strategy, n) => getLastMoves(strategy.opponentHistory, n) },
+    'my.cooperations': { type: 'number', window: true, read: (strategy, n) => countMoves(strategy.history, COOPERATE, n) },
+    'my.defections': { type: 'number', window: true, read: (strategy, n) => countMoves(strategy.history, DEFECT, n) },
+    'opponent.cooperations': { type: 'number', window: true, read: (strategy, n) => countMoves(strategy.opponentHistory, COOPERATE, n) },
+    'opponent.defections': { type: 'number', window: true, read: (strategy, n) => countMoves(strategy.opponentHistory, DEFECT, n) },
+    'my.score': { type: 'number', window: false, read: strategy => strategy.score },
+    'opponent.score': { type: 'number', window: false, read: strategy => strategy.opponentScore }
+};
+
+// Moves a rule can play; the ones based on a previous move cooperate in the first round
+const RULE_ACTIONS = {
+    'cooperate': () => COOPERATE,
+    'defect': () => DEFECT,
+    'copy': strategy => getLastMoves(strategy.opponentHistory) || COOPERATE,
+    'repeat': strategy => getLastMoves(strategy.history) || COOPERATE,
+    'switch': strategy => strategy.history.length > 0 ? flipMove(getLastMoves(strategy.history)) : COOPERATE
+};
+
+const RULE_COMPARISONS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+// Split one line into tokens (comments start with #)
+function tokenizeRuleLine(text, lineNumber) {
+    const pattern = /\s+|#.*$|(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|(==|!=|<=|>=|<|>|\(|\)|\+|-)/y;
+    const tokens = [];
+
+    while (pattern.lastIndex < text.length) {
+        const column = pattern.lastIndex + 1;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new RuleSyntaxError(`Unexpected character '${text[column - 1]}'`, lineNumber, column);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: match[1], column: column });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'word', value: match[2], column: column });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'symbol', value: match[3], column: column });
+        }
+    }
+
+    tokens.push({ type: 'end', value: 'end of line', column: text.length + 1 });
+    return tokens;
+}
+
+// Rule Parser Class - parses the tokens of one rule line into a condition and an action
+class RuleParser {
+    constructor(tokens, lineNumber) {
+        this.tokens = tokens;
+        this.lineNumber = lineNumber;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isNext(value) {
+        const token = this.peek();
+        return token.type !== 'end' && token.type !== 'number' && token.value === value;
+    }
+
+    error(message, token = this.peek()) {
+        return new RuleSyntaxError(message, this.lineNumber, token.column);
+    }
+
+    expect(value) {
+        if (!this.isNext(value)) {
+            throw this.error(`Expected '${value}' but found '${this.peek().value}'`);
+        }
+        return this.next();
+    }
+
+    // if <condition> then <action> [with <probability>]  |  otherwise <action> [with <probability>]
+    parseRule() {
+        let condition = null;
+        if (this.isNext('otherwise')) {
+            this.next();
+        } else {
+            this.expect('if');
+            const start = this.peek();
+            const expression = this.parseExpression();
+            if (expression.type !== 'condition') {
+                throw this.error('Expected a condition such as opponent.last == D', start);
+            }
+            condition = expression.evaluate;
+            this.expect('then');
+        }
+
+        const action = this.parseAction();
+        if (this.peek().type !== 'end') {
+            throw this.error(`Unexpected '${this.peek().value}' after the action`);
+        }
+        return { condition: condition, action: action, line: this.lineNumber };
+    }
+
+    parseAction() {
+        const token = this.next();
+        if (token.type !== 'word' || !Object.prototype.hasOwnProperty.call(RULE_ACTIONS, token.value)) {
+            throw this.error(`Expected an action (${Object.keys(RULE_ACTIONS).join(', ')}) but found '${token.value}'`, token);
+        }
+
+        const chooseMove = RULE_ACTIONS[token.value];
+
+        // "with p": play the chosen move with probability p, the opposite move otherwise
+        let probability = 1;
+        if (this.isNext('with')) {
+            this.next();
+            const probabilityToken = this.next();
+            probability = parseFloat(probabilityToken.value);
+            if (probabilityToken.type !== 'number' || probability > 1) {
+                throw this.error('Expected a probability between 0 and 1 after \'with\'', probabilityToken);
+            }
+        }
+
+        return strategy => {
+            const move = chooseMove(strategy);
+            if (probability >= 1) return move;
+            if (probability <= 0) return flipMove(move);
+            return strategy.random() < probability ? move : flipMove(move);
+        };
+    }
+
+    // Expressions are typed ('condition', 'number' or 'moves') so mistakes are caught while compiling
+    parseExpression() {
+        let left = this.parseAnd();
+        while (this.isNext('or')) {
+            const token = this.next();
+            const right = this.parseAnd();
+            left = this.combineConditions(left, right, token, (a, b) => strategy => a(strategy) || b(strategy));
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isNext('and')) {
+            const token = this.next();
+            const right = this.parseNot();
+            left = this.combineConditions(left, right, token, (a, b) => strategy => a(strategy) && b(strategy));
+        }
+        return left;
+    }
+
+    combineConditions(left, right, token, combine) {
+        if (left.type !== 'condition' || right.type !== 'condition') {
+            throw this.error(`'${token.value}' joins two conditions`, token);
+        }
+        return { type: 'condition', evaluate: combine(left.evaluate, right.evaluate) };
+    }
+
+    parseNot() {
+        if (this.isNext('not')) {
+            const token = this.next();
+            const operand = this.parseNot();
+            if (operand.type !== 'condition') {
+                throw this.error('\'not\' must be followed by a condition', token);
+            }
+            return { type: 'condition', evaluate: strategy => !operand.evaluate(strategy) };
+        }
+        return this.parseComparison();
+    }
+
+    // Comparisons involving a history that is still too short are false
+    parseComparison() {
+        const left = this.parseSum();
+        const token = this.peek();
+        const compare = token.type === 'symbol' ? RULE_COMPARISONS[token.value] : undefined;
+        if (!compare) {
+            return left;
+        }
+
+        this.next();
+        const right = this.parseSum();
+        if (left.type !== right.type || left.type === 'condition') {
+            throw this.error(`Cannot compare ${left.type === 'moves' ? 'moves' : 'a ' + left.type} with ${right.type === 'moves' ? 'moves' : 'a ' + right.type}`, token);
+        }
+        if (left.type === 'moves' && token.value !== '==' && token.value !== '!=') {
+            throw this.error('Moves can only be compared with == or !=', token);
+        }
+
+        return {
+            type: 'condition',
+            evaluate: strategy => {
+                const a = left.evaluate(strategy);
+                const b = right.evaluate(strategy);
+                return a !== null && b !== null && compare(a, b);
+            }
+        };
+    }
+
+    parseSum() {
+        let left = this.parsePrimary();
+        while (this.isNext('+') || this.isNext('-')) {
+            const token = this.next();
+            const right = this.parsePrimary();
+            if (left.type !== 'number' || right.type !== 'number') {
+                throw this.error(`'${token.value}' only works on numbers`, token);
+            }
+            const a = left.evaluate;
+            const b = right.evaluate;
+            left = {
+                type: 'number',
+                evaluate: token.value === '+' ? strategy => a(strategy) + b(strategy) : strategy => a(strategy) - b(strategy)
+            };
+        }
+        return left;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            const value = parseFloat(token.value);
+            return { type: 'number', evaluate: () => value };
+        }
+
+        if (token.type === 'symbol' && token.value === '(') {
+            const inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+
+        if (token.type === 'symbol' && token.value === '-') {
+            const operand = this.parsePrimary();
+            if (operand.type !== 'number') {
+                throw this.error('\'-\' only works on numbers', token);
+            }
+            return { type: 'number', evaluate: strategy => -operand.evaluate(strategy) };
+        }
+
+        if (token.type === 'word') {
+            // Move patterns: C, D, or sequences such as DDC (oldest move first)
+            if (/^[CD]+$/.test(token.value)) {
+                return { type: 'moves', evaluate: () => token.value };
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(RULE_VALUES, token.value)) {
+                throw this.error(`Unknown value '${token.value}'`, token);
+            }
+            const value = RULE_VALUES[token.value];
+
+            let n = null;
+            if (value.window && this.isNext('(')) {
+                this.next();
+                const windowToken = this.next();
+                n = Number(windowToken.value);
+                if (windowToken.type !== 'number' || !Number.isInteger(n) || n < 1) {
+                    throw this.error('Expected a whole number of rounds', windowToken);
+                }
+                this.expect(')');
+            }
+            const read = value.read;
+            return { type: value.type, evaluate: n === null ? strategy => read(strategy) : strategy => read(strategy, n) };
+        }
+
+        throw this.error(`Unexpected '${token.value}'`, token);
+    }
+}
+
+// Parse a whole strategy definition into its name and rules
+function parseRuleProgram(source) {
+    let name = null;
+    const rules = [];
+    let fallbackLine = null; // Line of the 'otherwise' rule, which must come last
+
+    source.split('\n').forEach((text, index) => {
+        const lineNumber = index + 1;
+
+        const nameMatch = text.match(/^\s*name\s*:(.*)$/);
+        if (nameMatch) {
+            if (name !== null) {
+                throw new RuleSyntaxError('The name is already set', lineNumber, 1);
+            }
+            name = nameMatch[1].trim();
+            if (name === '') {
+                throw new RuleSyntaxError('The name must not be empty', lineNumber, text.indexOf(':') + 2);
+            }
+            if (/[<>&"]/.test(name)) {
+                throw new RuleSyntaxError('The name must not contain <, >, & or "', lineNumber, text.search(/[<>&"]/) + 1);
+            }
+            return;
+        }
+
+        const tokens = tokenizeRuleLine(text, lineNumber);
+        if (tokens[0].type === 'end') {
+            return; // Blank line or comment
+        }
+        if (fallbackLine !== null) {
+            throw new RuleSyntaxError(`Rules after 'otherwise' (line ${fallbackLine}) never apply`, lineNumber, tokens[0].column);
+        }
+
+        const rule = new RuleParser(tokens, lineNumber).parseRule();
+        if (rule.condition === null) {
+            fallbackLine = lineNumber;
+        }
+        rules.push(rule);
+    });
+
+    if (name === null) {
+        throw new RuleSyntaxError('Missing \'name: ...\' line', 1, 1);
+    }
+    if (rules.length === 0) {
+        throw new RuleSyntaxError('The strategy has no rules', 1, 1);
+    }
+
+    return { name: name, rules: rules, source: source };
+}
+
+// Rule Strategy - plays the action of the first rule whose condition holds (cooperates if none does)
+class RuleStrategy extends Strategy {
+    constructor(definition) {
+        super(definition.name);
+        this.rules = definition.rules;
+    }
+
+    makeMove() {
+        for (const rule of this.rules) {
+            if (rule.condition === null || rule.condition(this)) {
+                return rule.action(this);
+            }
+        }
+        return COOPERATE;
+    }
+}
+
+// Strategy code of a rule strategy with the given name
+function getRuleStrategyCode(name) {
+    return `RULE:${name}`;
+}
+
+// Compile a strategy definition into a Strategy subclass (throws RuleSyntaxError)
+function compileRuleStrategy(source) {
+    const definition = parseRuleProgram(source);
+    return class extends RuleStrategy {
+        static get definition() {
+            return definition;
+        }
+
+        constructor() {
+            super(definition);
+        }
+    };
+}
@@ -0,0 +1,120 @@
+// Simulation Runner - Runs jobs (see jobs.js) in Web Workers so the page stays responsive
+
+// Rejection reason of a run that was cancelled
+class SimulationCancelledError extends Error {
+    constructor() {
+        super('Simulation cancelled');
+        this.name = 'SimulationCancelledError';
+    }
+}
+
+// Simulation Runner Class - one worker per job, all jobs of a run at the same time
+class SimulationRunner {
+    constructor(workerUrl = 'worker.js') {
+        this.workerUrl = workerUrl;
+        this.useWorkers = typeof Worker !== 'undefined';
+        this.cancelRun = null;
+    }
+
+    isRunning() {
+        return this.cancelRun !== null;
+    }
+
+    // Number of jobs worth splitting a large experiment into
+    getParallelJobCount() {
+        if (!this.useWorkers) return 1;
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        return Math.max(1, Math.min(cores, 4));
+    }
+
+    // Run the jobs; resolves with their results in the same order, or rejects with SimulationCancelledError.
+    // onProgress(fraction, text, jobFractions): fraction is the mean over the jobs, text is the latest
+    // progress text of a single job (or a summary for several)
+    run(jobs, onProgress = () => {}) {
+        if (this.isRunning()) {
+            return Promise.reject(new Error('A simulation is already running'));
+        }
+
+        const jobFractions = jobs.map(() => 0);
+        const report = (index, fraction, text) => {
+            jobFractions[index] = fraction;
+            const total = jobFractions.reduce((sum, value) => sum + value, 0) / jobs.length;
+            const finished = jobFractions.filter(value => value >= 1).length;
+            onProgress(total, jobs.length === 1 ? text : `${finished} of ${jobs.length} parallel jobs finished`, jobFractions);
+        };
+
+        const workers = [];
+        let cancelled = false;
+        const cancellation = new Promise((_, reject) => {
+            this.cancelRun = () => {
+                cancelled = true;
+                reject(new SimulationCancelledError());
+            };
+        });
+
+        const runs = jobs.map((job, index) =>
+            this.runJob(job, (fraction, text) => report(index, fraction, text), workers, () => cancelled));
+        return Promise.race([Promise.all(runs), cancellation]).finally(() => {
+            workers.forEach(worker => worker.terminate());
+            this.cancelRun = null;
+        });
+    }
+
+    // Stop the running jobs; the promise returned by run() rejects
+    cancel() {
+        if (this.cancelRun) {
+            this.cancelRun();
+        }
+    }
+
+    runJob(job, onProgress, workers, isCancelled) {
+        if (this.useWorkers) {
+            try {
+                const worker = new Worker(this.workerUrl);
+                workers.push(worker);
+                return new Promise((resolve, reject) => {
+                    worker.onmessage = event => {
+                        const message = event.data;
+                        if (message.type === 'progress') {
+                            onProgress(message.fraction, message.text);
+                        } else if (message.type === 'result') {
+                            worker.terminate();
+                            resolve(message.result);
+                        } else {
+                            worker.terminate();
+                            reject(new Error(message.message));
+                        }
+                    };
+                    // Errors inside a job come back as messages, so this means the worker script did not load
+                    worker.onerror = event => {
+                        event.preventDefault();
+                        worker.terminate();
+                        this.useWorkers = false;
+                        resolve(this.runJobOnPage(job, onProgress, isCancelled));
+                    };
+                    worker.postMessage({ job: job });
+                });
+            } catch (error) {
+                // Some browsers do not allow workers on pages opened from file://
+                this.useWorkers = false;
+            }
+        }
+        return this.runJobOnPage(job, onProgress, isCancelled);
+    }
+
+    // Without workers a job runs on the page: the page is busy until it finishes, and it can only be
+    // cancelled before it starts
+    runJobOnPage(job, onProgress, isCancelled) {
+        return new Promise((resolve, reject) => {
+            // Give the page a moment to show the progress so far
+            setTimeout(() => {
+                if (isCancelled()) return;
+                try {
+                    resolve(runExperimentJob(job, onProgress));
+                } catch (error) {
+                    reject(error);
+                }
+            }, 50);
+        });
+    }
+}
@@ -24,27 +24,99 @@ class SeededRandom {
     }
 }
 
-// Global random instance (will be set from UI)
+// Global random instance (will be set from UI); games played by a tournament with a seed use their own streams
 let globalRandom = new SeededRandom(42);
 
-// Payoff Matrix Class
+// Seed of an independent random stream, derived from a master seed and the identity of what uses it
+// (strings and numbers), so the same seed and keys always give the same stream
+function deriveSeed(seed, ...keys) {
+    let hash = seed >>> 0;
+    keys.forEach(key => {
+        const text = String(key);
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        // End of key marker, so ('ab', 'c') and ('a', 'bc') differ
+        hash = Math.imul(hash ^ 0xFF, 0x01000193);
+    });
+    hash = Math.imul(hash ^ hash >>> 16, 0x85EBCA6B);
+    hash = Math.imul(hash ^ hash >>> 13, 0xC2B2AE35);
+    return (hash ^ hash >>> 16) >>> 0;
+}
+
+// Return the opposite action (used for execution and perception errors)
+function flipMove(move) {
+    return move === COOPERATE ? DEFECT : COOPERATE;
+}
+
+// Classes of symmetric 2x2 games, with example payoffs for each (the presets of the page)
+const GAME_CLASSES = {
+    prisonersDilemma: { name: 'Prisoner\'s Dilemma', shortName: 'PD', order: 'T > R > P > S', preset: { T: 5, R: 3, P: 1, S: 0 } },
+    snowdrift: { name: 'Snowdrift (Chicken)', shortName: 'Snowdrift', order: 'T > R > S > P', preset: { T: 5, R: 3, P: 0, S: 1 } },
+    stagHunt: { name: 'Stag Hunt', shortName: 'Stag Hunt', order: 'R > T > P > S', preset: { T: 3, R: 5, P: 1, S: 0 } },
+    harmony: { name: 'Harmony', shortName: 'Harmony', order: 'R > T, S > P', preset: { T: 3, R: 5, P: 0, S: 1 } },
+    deadlock: { name: 'Deadlock', shortName: 'Deadlock', order: 'T > P > R > S', preset: { T: 5, R: 1, P: 3, S: 0 } }
+};
+
+// Position of payoffs in the T-S plane, which scales them so that R = 1 and P = 0 (null unless R > P)
+function getTSPoint(T, R, P, S) {
+    if (!(R > P)) return null;
+    return { t: (T - P) / (R - P), s: (S - P) / (R - P) };
+}
+
+// Key of GAME_CLASSES for payoffs (null if they fall on a boundary between classes or in none). With R > P
+// the class is the quadrant of the T-S plane: temptation to defect when T > 1 and fear of being exploited
+// when S < 0; Deadlock is the case T > P > R > S
+function classifyGame(T, R, P, S) {
+    const point = getTSPoint(T, R, P, S);
+    if (point === null) {
+        return T > P && P > R && R > S ? 'deadlock' : null;
+    }
+    const { t, s } = point;
+    if (t === 1 || s === 0) return null;
+    if (t > 1) return s < 0 ? 'prisonersDilemma' : 'snowdrift';
+    return s < 0 ? 'stagHunt' : 'harmony';
+}
+
+// Payoff Matrix Class - T, R, P and S are the row player's payoffs; in an asymmetric game the column player
+// has its own (player2: { T, R, P, S }), otherwise the same
 class PayoffMatrix {
-    constructor(T = 5, R = 3, P = 1, S = 0) {
+    constructor(T = 5, R = 3, P = 1, S = 0, player2 = null) {
         this.T = T; // Temptation (defect while opponent cooperates)
         this.R = R; // Reward (both cooperate)
         this.P = P; // Punishment (both defect)
         this.S = S; // Sucker (cooperate while opponent defects)
+        this.player2 = player2 ? { T: player2.T, R: player2.R, P: player2.P, S: player2.S } : null;
+    }
+
+    isSymmetric() {
+        return this.player2 === null;
+    }
+
+    // Payoffs { T, R, P, S } of player 1 (row) or player 2 (column)
+    getPlayerPayoffs(player) {
+        if (player === 2 && this.player2) {
+            return this.player2;
+        }
+        return { T: this.T, R: this.R, P: this.P, S: this.S };
+    }
+
+    // Key of GAME_CLASSES for a player's payoffs (see classifyGame)
+    getGameClass(player = 1) {
+        const { T, R, P, S } = this.getPlayerPayoffs(player);
+        return classifyGame(T, R, P, S);
     }
 
     getPayoff(action1, action2) {
+        const payoffs2 = this.getPlayerPayoffs(2);
         if (action1 === COOPERATE && action2 === COOPERATE) {
-            return [this.R, this.R];
+            return [this.R, payoffs2.R];
         } else if (action1 === COOPERATE && action2 === DEFECT) {
-            return [this.S, this.T];
+            return [this.S, payoffs2.T];
         } else if (action1 === DEFECT && action2 === COOPERATE) {
-            return [this.T, this.S];
+            return [this.T, payoffs2.S];
         } else { // both defect
-            return [this.P, this.P];
+            return [this.P, payoffs2.P];
         }
     }
 }
@@ -56,6 +128,14 @@ class Strategy {
         this.history = [];
         this.opponentHistory = [];
         this.score = 0;
+        this.opponentScore = 0;
+        this.randomStream = globalRandom; // Source of random moves (a game gives each player its own)
+        this.payoffs = null; // Own payoffs { T, R, P, S } of the game being played (set by the game)
+    }
+
+    // Random number between 0 and 1 for a stochastic move
+    random() {
+        return this.randomStream.random();
     }
 
     // To be implemented by subclasses
@@ -69,9 +149,10 @@ class Strategy {
         this.opponentHistory.push(opponentMove);
     }
 
-    // Update score after a round
-    updateScore(payoff) {
+    // Update scores after a round (the opponent's payoff is what it was actually awarded)
+    updateScore(payoff, opponentPayoff = 0) {
         this.score += payoff;
+        this.opponentScore += opponentPayoff;
     }
 
     // Reset for a new game
@@ -79,6 +160,27 @@ class Strategy {
         this.history = [];
         this.opponentHistory = [];
         this.score = 0;
+        this.opponentScore = 0;
+    }
+
+    // Cooperation probabilities after each outcome, if this is a memory-one strategy
+    // (see MemoryOneStrategy for the vector format); null otherwise
+    getMemoryOneVector() {
+        return null;
+    }
+
+    // Cooperation probability of each round of the game, if this is a learning strategy; null otherwise
+    getLearningCurve() {
+        return null;
+    }
+
+    // What a learning strategy has learned, to start another player of it from (null if it does not learn)
+    getLearnedState() {
+        return null;
+    }
+
+    setLearnedState(state) {
+        // Nothing is learned
     }
 
     // Get cooperation rate
@@ -98,6 +200,10 @@ class AlwaysCooperate extends Strategy {
     makeMove() {
         return COOPERATE;
     }
+
+    getMemoryOneVector() {
+        return { p0: 1, pCC: 1, pCD: 1, pDC: 1, pDD: 1 };
+    }
 }
 
 // Always Defect Strategy
@@ -109,6 +215,10 @@ class AlwaysDefect extends Strategy {
     makeMove() {
         return DEFECT;
     }
+
+    getMemoryOneVector() {
+        return { p0: 0, pCC: 0, pCD: 0, pDC: 0, pDD: 0 };
+    }
 }
 
 // Tit-for-Tat Strategy
@@ -124,6 +234,10 @@ class TitForTat extends Strategy {
         }
         return this.opponentHistory[this.opponentHistory.length - 1];
     }
+
+    getMemoryOneVector() {
+        return { p0: 1, pCC: 1, pCD: 0, pDC: 1, pDD: 0 };
+    }
 }
 
 // Grim Trigger Strategy
@@ -177,14 +291,587 @@ class GenerousTitForTat extends Strategy {
         }
         
         // If opponent defected, forgive with some probability
-        if (globalRandom.random() < this.forgiveness) {
+        if (this.random() < this.forgiveness) {
             return COOPERATE;
         }
         
         return DEFECT;
     }
+
+    getMemoryOneVector() {
+        return { p0: 1, pCC: 1, pCD: this.forgiveness, pDC: 1, pDD: this.forgiveness };
+    }
+}
+
+// Tit-for-Two-Tats Strategy
+class TitForTwoTats extends Strategy {
+    constructor() {
+        super('Tit-for-Two-Tats (TF2T)');
+    }
+
+    makeMove() {
+        // Defect only after two consecutive opponent defections
+        const n = this.opponentHistory.length;
+        if (n >= 2 && this.opponentHistory[n - 1] === DEFECT && this.opponentHistory[n - 2] === DEFECT) {
+            return DEFECT;
+        }
+        return COOPERATE;
+    }
+}
+
+// Suspicious Tit-for-Tat Strategy
+class SuspiciousTitForTat extends Strategy {
+    constructor() {
+        super('Suspicious TFT (STFT)');
+    }
+
+    makeMove() {
+        // Defect on first move, then copy opponent's previous move
+        if (this.opponentHistory.length === 0) {
+            return DEFECT;
+        }
+        return this.opponentHistory[this.opponentHistory.length - 1];
+    }
+
+    getMemoryOneVector() {
+        return { p0: 0, pCC: 1, pCD: 0, pDC: 1, pDD: 0 };
+    }
+}
+
+// Win-Stay-Lose-Shift (Pavlov) Strategy
+class WinStayLoseShift extends Strategy {
+    constructor() {
+        super('Win-Stay-Lose-Shift (WSLS)');
+    }
+
+    makeMove() {
+        // Cooperate on first move
+        if (this.history.length === 0) {
+            return COOPERATE;
+        }
+
+        // Repeat own move after the opponent cooperated (R or T), switch after it defected (S or P)
+        const myLastMove = this.history[this.history.length - 1];
+        const opponentLastMove = this.opponentHistory[this.opponentHistory.length - 1];
+        return opponentLastMove === COOPERATE ? myLastMove : flipMove(myLastMove);
+    }
+
+    getMemoryOneVector() {
+        return { p0: 1, pCC: 1, pCD: 0, pDC: 0, pDD: 1 };
+    }
+}
+
+// Random Strategy
+class RandomStrategy extends Strategy {
+    constructor(cooperationProb = 0.5) {
+        super('Random');
+        this.cooperationProb = cooperationProb; // Probability of cooperating each round
+    }
+
+    makeMove() {
+        return this.random() < this.cooperationProb ? COOPERATE : DEFECT;
+    }
+
+    getMemoryOneVector() {
+        const p = this.cooperationProb;
+        return { p0: p, pCC: p, pCD: p, pDC: p, pDD: p };
+    }
+}
+
+// Joss Strategy - Tit-for-Tat that occasionally sneaks in a defection
+class Joss extends Strategy {
+    constructor(defectionProb = 0.1) {
+        super('Joss');
+        this.defectionProb = defectionProb; // Probability of defecting after an opponent cooperation
+    }
+
+    makeMove() {
+        // Cooperate on first move
+        if (this.opponentHistory.length === 0) {
+            return COOPERATE;
+        }
+
+        // Retaliate against defection
+        if (this.opponentHistory[this.opponentHistory.length - 1] === DEFECT) {
+            return DEFECT;
+        }
+
+        // Otherwise cooperate, except for an occasional sneaky defection
+        if (this.random() < this.defectionProb) {
+            return DEFECT;
+        }
+        return COOPERATE;
+    }
+
+    getMemoryOneVector() {
+        const q = 1 - this.defectionProb;
+        return { p0: 1, pCC: q, pCD: 0, pDC: q, pDD: 0 };
+    }
+}
+
+// Tester Strategy - probes with a defection, backs down if the opponent retaliates
+class Tester extends Strategy {
+    constructor() {
+        super('Tester');
+        this.retaliationRound = null; // Round in which the opponent first defected
+    }
+
+    makeMove() {
+        const round = this.history.length + 1;
+
+        // Defect on first move to test the opponent
+        if (round === 1) {
+            return DEFECT;
+        }
+
+        if (this.retaliationRound === null && this.opponentHistory.includes(DEFECT)) {
+            this.retaliationRound = round;
+        }
+
+        if (this.retaliationRound !== null) {
+            // Apologize once, then play Tit-for-Tat
+            if (round === this.retaliationRound) {
+                return COOPERATE;
+            }
+            return this.opponentHistory[this.opponentHistory.length - 1];
+        }
+
+        // Opponent never retaliated: cooperate on moves 2 and 3, then alternate defect and cooperate
+        if (round <= 3) {
+            return COOPERATE;
+        }
+        return round % 2 === 0 ? DEFECT : COOPERATE;
+    }
+
+    reset() {
+        super.reset();
+        this.retaliationRound = null;
+    }
+}
+
+// Prober Strategy - opens with D, C, C and exploits opponents that do not retaliate
+class Prober extends Strategy {
+    constructor() {
+        super('Prober');
+    }
+
+    makeMove() {
+        const round = this.history.length + 1;
+
+        // Opening sequence
+        if (round === 1) return DEFECT;
+        if (round <= 3) return COOPERATE;
+
+        // Defect forever if the opponent cooperated on moves 2 and 3, otherwise play Tit-for-Tat
+        if (this.opponentHistory[1] === COOPERATE && this.opponentHistory[2] === COOPERATE) {
+            return DEFECT;
+        }
+        return this.opponentHistory[this.opponentHistory.length - 1];
+    }
+}
+
+// Adaptive Strategy - tries both moves, then plays whichever has paid more on average
+class Adaptive extends Strategy {
+    constructor() {
+        super('Adaptive');
+        this.openingMoves = [...Array(6).fill(COOPERATE), ...Array(5).fill(DEFECT)];
+        this.resetPayoffTotals();
+    }
+
+    resetPayoffTotals() {
+        this.payoffTotals = { [COOPERATE]: 0, [DEFECT]: 0 };
+        this.moveCounts = { [COOPERATE]: 0, [DEFECT]: 0 };
+    }
+
+    makeMove() {
+        // Play the opening sequence: 6 cooperations, then 5 defections
+        if (this.history.length < this.openingMoves.length) {
+            return this.openingMoves[this.history.length];
+        }
+
+        // Then pick the move with the higher average payoff so far
+        const average = move => this.moveCounts[move] > 0 ? this.payoffTotals[move] / this.moveCounts[move] : 0;
+        return average(COOPERATE) >= average(DEFECT) ? COOPERATE : DEFECT;
+    }
+
+    updateScore(payoff, opponentPayoff = 0) {
+        super.updateScore(payoff, opponentPayoff);
+
+        // Attribute the payoff to the move just played
+        const myLastMove = this.history[this.history.length - 1];
+        this.payoffTotals[myLastMove] += payoff;
+        this.moveCounts[myLastMove]++;
+    }
+
+    reset() {
+        super.reset();
+        this.resetPayoffTotals();
+    }
+}
+
+// Gradual Strategy - punishes the n-th defection with n defections, then calms down with two cooperations
+class Gradual extends Strategy {
+    constructor() {
+        super('Gradual');
+        this.resetPunishment();
+    }
+
+    resetPunishment() {
+        this.opponentDefections = 0;
+        this.punishmentsLeft = 0;
+        this.calmingLeft = 0;
+    }
+
+    makeMove() {
+        if (this.opponentHistory.length > 0 && this.opponentHistory[this.opponentHistory.length - 1] === DEFECT) {
+            this.opponentDefections++;
+
+            // Defections during a punishment sequence are counted but do not start a new one
+            if (this.punishmentsLeft === 0 && this.calmingLeft === 0) {
+                this.punishmentsLeft = this.opponentDefections;
+                this.calmingLeft = 2;
+            }
+        }
+
+        if (this.punishmentsLeft > 0) {
+            this.punishmentsLeft--;
+            return DEFECT;
+        }
+        if (this.calmingLeft > 0) {
+            this.calmingLeft--;
+        }
+        return COOPERATE;
+    }
+
+    reset() {
+        super.reset();
+        this.resetPunishment();
+    }
+}
+
+// Hard Majority Strategy
+class HardMajority extends Strategy {
+    constructor() {
+        super('Hard Majority');
+    }
+
+    makeMove() {
+        // Defect unless the opponent has cooperated more often than it defected (defects on first move)
+        const defections = this.opponentHistory.filter(move => move === DEFECT).length;
+        const cooperations = this.opponentHistory.length - defections;
+        return defections >= cooperations ? DEFECT : COOPERATE;
+    }
+}
+
+// Soft Majority Strategy
+class SoftMajority extends Strategy {
+    constructor() {
+        super('Soft Majority');
+    }
+
+    makeMove() {
+        // Cooperate unless the opponent has defected more often than it cooperated (cooperates on first move)
+        const defections = this.opponentHistory.filter(move => move === DEFECT).length;
+        const cooperations = this.opponentHistory.length - defections;
+        return cooperations >= defections ? COOPERATE : DEFECT;
+    }
+}
+
+// Alternator Strategy
+class Alternator extends Strategy {
+    constructor() {
+        super('Alternator');
+    }
+
+    makeMove() {
+        // Cooperate on first move, then switch own move every round
+        if (this.history.length === 0) {
+            return COOPERATE;
+        }
+        return flipMove(this.history[this.history.length - 1]);
+    }
+
+    getMemoryOneVector() {
+        return { p0: 1, pCC: 0, pCD: 0, pDC: 1, pDD: 1 };
+    }
 }
 
+// Memory-One Strategy - cooperates with a fixed probability after each outcome of the previous round
+class MemoryOneStrategy extends Strategy {
+    // vector: { p0, pCC, pCD, pDC, pDD } where p0 is the first-move cooperation probability and
+    // pXY is the cooperation probability after this player played X and the opponent played Y
+    constructor(vector = MemoryOneStrategy.WSLS, label = null) {
+        super(label ? `Memory-One: ${label}` : `Memory-One ${MemoryOneStrategy.formatVector(vector)}`);
+        this.vector = { ...vector };
+    }
+
+    // Win-Stay-Lose-Shift (Pavlov), the default vector
+    static get WSLS() {
+        return { p0: 1, pCC: 1, pCD: 0, pDC: 0, pDD: 1 };
+    }
+
+    // Format a vector as "(p0; pCC, pCD, pDC, pDD)"
+    static formatVector(vector) {
+        const format = value => parseFloat(value.toFixed(3));
+        return `(${format(vector.p0)}; ${format(vector.pCC)}, ${format(vector.pCD)}, ${format(vector.pDC)}, ${format(vector.pDD)})`;
+    }
+
+    // Zero-determinant extortion strategy enforcing (own score - P) = chi * (opponent score - P)
+    // (Press & Dyson, 2012); phi is set to half its largest feasible value
+    static createExtortionVector(payoffMatrix, chi) {
+        const { T, R, P, S } = payoffMatrix;
+        const denominators = [(chi - 1) * (R - P), (P - S) + chi * (T - P), (T - P) + chi * (P - S)];
+        if (chi <= 1 || denominators.some(d => d <= 0)) {
+            throw new Error('Extortion strategies require T > R > P > S and an extortion factor above 1');
+        }
+
+        const phi = 0.5 / Math.max(...denominators);
+        return {
+            p0: 0,
+            pCC: 1 - phi * (chi - 1) * (R - P),
+            pCD: 1 - phi * ((P - S) + chi * (T - P)),
+            pDC: phi * ((T - P) + chi * (P - S)),
+            pDD: 0
+        };
+    }
+
+    // Named presets for the given payoff matrix (GTFT uses the configured forgiveness rate)
+    static getPresets(payoffMatrix, forgiveness = 0.1) {
+        const presets = {
+            'WSLS': MemoryOneStrategy.WSLS,
+            'TFT': { p0: 1, pCC: 1, pCD: 0, pDC: 1, pDD: 0 },
+            'GTFT': { p0: 1, pCC: 1, pCD: forgiveness, pDC: 1, pDD: forgiveness },
+            'ALL-C': { p0: 1, pCC: 1, pCD: 1, pDC: 1, pDD: 1 },
+            'ALL-D': { p0: 0, pCC: 0, pCD: 0, pDC: 0, pDD: 0 }
+        };
+
+        // Extortion presets only exist for standard Prisoner's Dilemma payoffs
+        [2, 3].forEach(chi => {
+            try {
+                presets[`Extort-${chi}`] = MemoryOneStrategy.createExtortionVector(payoffMatrix, chi);
+            } catch (error) {
+                // Not available for these payoffs
+            }
+        });
+
+        return presets;
+    }
+
+    // Cooperate with a probability (no random draw for deterministic entries)
+    cooperateWithProbability(probability) {
+        if (probability >= 1) return COOPERATE;
+        if (probability <= 0) return DEFECT;
+        return this.random() < probability ? COOPERATE : DEFECT;
+    }
+
+    makeMove() {
+        if (this.history.length === 0) {
+            return this.cooperateWithProbability(this.vector.p0);
+        }
+
+        const myLastMove = this.history[this.history.length - 1];
+        const opponentLastMove = this.opponentHistory[this.opponentHistory.length - 1];
+        return this.cooperateWithProbability(this.vector['p' + myLastMove + opponentLastMove]);
+    }
+
+    getMemoryOneVector() {
+        return { ...this.vector };
+    }
+}
+
+// Learning Strategy - base class of strategies that adapt to their opponent from the payoffs they receive.
+// What they learn is kept by reset(), so a player carries it from game to game (a new player starts over).
+// Every round a subclass gives its cooperation probability, which with the exploration rate is mixed with
+// a random move
+class LearningStrategy extends Strategy {
+    constructor(name, explorationRate = 0.05) {
+        super(name);
+        this.explorationRate = explorationRate; // Chance of a uniformly random move instead of the learned one
+        this.learningCurve = [];
+    }
+
+    // To be implemented by subclasses: the cooperation probability the player has learned for this round
+    getLearnedProbability() {
+        throw new Error('getLearnedProbability() must be implemented');
+    }
+
+    // To be implemented by subclasses: learn from the payoff of the round just recorded
+    learn(payoff) {
+        throw new Error('learn() must be implemented');
+    }
+
+    // Probability of cooperating this round, with exploration
+    getCooperationProbability() {
+        return this.explorationRate / 2 + (1 - this.explorationRate) * this.getLearnedProbability();
+    }
+
+    // One random draw per round, unless the move is certain
+    makeMove() {
+        const probability = this.getCooperationProbability();
+        this.learningCurve.push(probability);
+        if (probability >= 1) return COOPERATE;
+        if (probability <= 0) return DEFECT;
+        return this.random() < probability ? COOPERATE : DEFECT;
+    }
+
+    updateScore(payoff, opponentPayoff = 0) {
+        super.updateScore(payoff, opponentPayoff);
+        this.learn(payoff);
+    }
+
+    reset() {
+        super.reset();
+        this.learningCurve = [];
+    }
+
+    getLearningCurve() {
+        return [...this.learningCurve];
+    }
+}
+
+// Q-Learning Strategy - tabular Q-learning over the outcomes of the last rounds: the value of each move in
+// each state is moved toward its payoff plus the discounted value of the best move in the next state, and
+// the move of higher value is played (either with equal values)
+class QLearning extends LearningStrategy {
+    constructor(learningRate = 0.1, explorationRate = 0.05, discountFactor = 0.9, memory = 1) {
+        super('Q-Learning', explorationRate);
+        this.learningRate = learningRate;
+        this.discountFactor = discountFactor; // Weight of the next state's value against the payoff
+        this.memory = memory; // Rounds of history in a state (fewer in the opening rounds)
+        this.values = {}; // State -> { C, D }, 0 until visited
+    }
+
+    // State before the given round: the outcomes (own move and opponent's) of the rounds before it
+    getState(round) {
+        let state = '';
+        for (let i = Math.max(0, round - this.memory); i < round; i++) {
+            state += this.history[i] + this.opponentHistory[i];
+        }
+        return state;
+    }
+
+    getValues(state) {
+        return this.values[state] || { [COOPERATE]: 0, [DEFECT]: 0 };
+    }
+
+    getLearnedProbability() {
+        const values = this.getValues(this.getState(this.history.length));
+        if (values[COOPERATE] === values[DEFECT]) return 0.5;
+        return values[COOPERATE] > values[DEFECT] ? 1 : 0;
+    }
+
+    learn(payoff) {
+        const round = this.history.length - 1;
+        const state = this.getState(round);
+        const values = this.values[state] = this.getValues(state);
+        const next = this.getValues(this.getState(round + 1));
+        const move = this.history[round];
+        const target = payoff + this.discountFactor * Math.max(next[COOPERATE], next[DEFECT]);
+        values[move] += this.learningRate * (target - values[move]);
+    }
+
+    getLearnedState() {
+        const values = {};
+        Object.keys(this.values).forEach(state => {
+            values[state] = { ...this.values[state] };
+        });
+        return { values: values };
+    }
+
+    setLearnedState(state) {
+        this.values = { ...state.values };
+        Object.keys(this.values).forEach(key => {
+            this.values[key] = { ...this.values[key] };
+        });
+    }
+}
+
+// Bush-Mosteller Strategy - reinforcement learning of a cooperation probability (Bush & Mosteller, 1955;
+// Macy & Flache, 2002): a payoff above the aspiration level makes the move just played more likely, one below
+// it less likely, in proportion to the distance from the aspiration level
+class BushMosteller extends LearningStrategy {
+    // aspiration: the aspiration level as a share of the way from the lowest to the highest payoff
+    constructor(learningRate = 0.1, explorationRate = 0.05, aspiration = 0.5) {
+        super('Bush-Mosteller', explorationRate);
+        this.learningRate = learningRate;
+        this.aspiration = aspiration;
+        this.propensity = 0.5; // Learned cooperation probability
+    }
+
+    getLearnedProbability() {
+        return this.propensity;
+    }
+
+    // Stimulus of a payoff between -1 and 1, scaled by the largest distance of a payoff from the aspiration level
+    getStimulus(payoff) {
+        const payoffs = Object.values(this.payoffs);
+        const lowest = Math.min(...payoffs);
+        const level = lowest + this.aspiration * (Math.max(...payoffs) - lowest);
+        const scale = Math.max(...payoffs.map(value => Math.abs(value - level)));
+        return scale > 0 ? (payoff - level) / scale : 0;
+    }
+
+    learn(payoff) {
+        const stimulus = this.getStimulus(payoff);
+        // Probability of the move just played, reinforced toward 1 or inhibited toward 0
+        const cooperated = this.history[this.history.length - 1] === COOPERATE;
+        let probability = cooperated ? this.propensity : 1 - this.propensity;
+        probability += this.learningRate * stimulus * (stimulus >= 0 ? 1 - probability : probability);
+        this.propensity = cooperated ? probability : 1 - probability;
+    }
+
+    getLearnedState() {
+        return { propensity: this.propensity };
+    }
+
+    setLearnedState(state) {
+        this.propensity = state.propensity;
+    }
+}
+
+// Fictitious Play Strategy - believes the opponent cooperates as often as it has been seen to (starting from
+// one imagined cooperation and one defection) and plays the best response to that belief, either move if
+// both are as good. With a belief discount below 1, earlier observations weigh less
+class FictitiousPlay extends LearningStrategy {
+    constructor(explorationRate = 0.05, beliefDiscount = 1) {
+        super('Fictitious Play', explorationRate);
+        this.beliefDiscount = beliefDiscount; // Weight an observation keeps each round
+        this.cooperations = 1; // Weighted count of the opponent's cooperations
+        this.defections = 1; // Weighted count of the opponent's defections
+    }
+
+    getLearnedProbability() {
+        const belief = this.cooperations / (this.cooperations + this.defections);
+        const { T, R, P, S } = this.payoffs;
+        const cooperatePayoff = belief * R + (1 - belief) * S;
+        const defectPayoff = belief * T + (1 - belief) * P;
+        if (cooperatePayoff === defectPayoff) return 0.5;
+        return cooperatePayoff > defectPayoff ? 1 : 0;
+    }
+
+    learn(payoff) {
+        this.cooperations *= this.beliefDiscount;
+        this.defections *= this.beliefDiscount;
+        if (this.opponentHistory[this.opponentHistory.length - 1] === COOPERATE) {
+            this.cooperations++;
+        } else {
+            this.defections++;
+        }
+    }
+
+    getLearnedState() {
+        return { cooperations: this.cooperations, defections: this.defections };
+    }
+
+    setLearnedState(state) {
+        this.cooperations = state.cooperations;
+        this.defections = state.defections;
+    }
+}
+
+// Strategies added at runtime, e.g. compiled from the rule language (code -> Strategy subclass)
+const registeredStrategies = {};
+
 // Strategy Factory
 class StrategyFactory {
     static createStrategy(strategyCode, params = {}) {
@@ -200,46 +887,222 @@ class StrategyFactory {
             case 'GTFT':
                 const forgiveness = params.forgiveness !== undefined ? params.forgiveness : 0.1;
                 return new GenerousTitForTat(forgiveness);
+            case 'TF2T':
+                return new TitForTwoTats();
+            case 'STFT':
+                return new SuspiciousTitForTat();
+            case 'WSLS':
+                return new WinStayLoseShift();
+            case 'RAND':
+                const randomCoopProb = params.randomCoopProb !== undefined ? params.randomCoopProb : 0.5;
+                return new RandomStrategy(randomCoopProb);
+            case 'JOSS':
+                const jossDefectProb = params.jossDefectProb !== undefined ? params.jossDefectProb : 0.1;
+                return new Joss(jossDefectProb);
+            case 'TESTER':
+                return new Tester();
+            case 'PROBER':
+                return new Prober();
+            case 'ADAPTIVE':
+                return new Adaptive();
+            case 'GRADUAL':
+                return new Gradual();
+            case 'HMAJ':
+                return new HardMajority();
+            case 'SMAJ':
+                return new SoftMajority();
+            case 'ALT':
+                return new Alternator();
+            case 'MEM1':
+                // params.memoryOne: { vector, label }
+                const memoryOne = params.memoryOne || {};
+                return new MemoryOneStrategy(memoryOne.vector || MemoryOneStrategy.WSLS, memoryOne.label || null);
+            case 'QLEARN':
+            case 'BM':
+            case 'FP':
+                return StrategyFactory.createLearningStrategy(strategyCode, params);
             default:
+                if (registeredStrategies[strategyCode]) {
+                    return new registeredStrategies[strategyCode]();
+                }
                 throw new Error(`Unknown strategy: ${strategyCode}`);
         }
     }
 
+    static getBuiltInStrategyCodes() {
+        return [
+            'ALLC', 'ALLD', 'TFT', 'GRIM', 'GTFT',
+            'TF2T', 'STFT', 'WSLS', 'RAND', 'JOSS', 'TESTER', 'PROBER',
+            'ADAPTIVE', 'GRADUAL', 'HMAJ', 'SMAJ', 'ALT',
+            'MEM1', 'QLEARN', 'BM', 'FP'
+        ];
+    }
+
+    // Learning strategy with the given parameters, each defaulting to the value of its parameter spec
+    static createLearningStrategy(strategyCode, params) {
+        const value = key => params[key] !== undefined
+            ? params[key]
+            : StrategyFactory.getParameterSpecs(strategyCode).find(spec => spec.key === key).defaultValue;
+        switch(strategyCode) {
+            case 'QLEARN':
+                return new QLearning(value('learningRate'), value('explorationRate'), value('discountFactor'), Math.round(value('learningMemory')));
+            case 'BM':
+                return new BushMosteller(value('learningRate'), value('explorationRate'), value('aspiration'));
+            default:
+                return new FictitiousPlay(value('explorationRate'), value('beliefDiscount'));
+        }
+    }
+
+    // Built-in strategies followed by the registered ones
     static getAllStrategyCodes() {
-        return ['ALLC', 'ALLD', 'TFT', 'GRIM', 'GTFT'];
+        return [...StrategyFactory.getBuiltInStrategyCodes(), ...Object.keys(registeredStrategies)];
+    }
+
+    // Make a Strategy subclass available under a new code (its constructor takes no arguments)
+    static registerStrategy(strategyCode, StrategyClass) {
+        if (StrategyFactory.getBuiltInStrategyCodes().includes(strategyCode)) {
+            throw new Error(`Cannot replace built-in strategy: ${strategyCode}`);
+        }
+        registeredStrategies[strategyCode] = StrategyClass;
+    }
+
+    static unregisterStrategy(strategyCode) {
+        delete registeredStrategies[strategyCode];
+    }
+
+    // Tunable numeric parameters of a strategy (memory-one vectors are edited separately)
+    static getParameterSpecs(strategyCode) {
+        switch(strategyCode) {
+            case 'GTFT':
+                return [{ key: 'forgiveness', label: 'Forgiveness', min: 0, max: 1, step: 0.05, defaultValue: 0.1 }];
+            case 'RAND':
+                return [{ key: 'randomCoopProb', label: 'Cooperation Probability', min: 0, max: 1, step: 0.05, defaultValue: 0.5 }];
+            case 'JOSS':
+                return [{ key: 'jossDefectProb', label: 'Sneaky Defection Rate', min: 0, max: 1, step: 0.05, defaultValue: 0.1 }];
+            case 'QLEARN':
+                return [
+                    { key: 'learningRate', label: 'Learning Rate', min: 0, max: 1, step: 0.05, defaultValue: 0.1 },
+                    { key: 'explorationRate', label: 'Exploration Rate', min: 0, max: 1, step: 0.01, defaultValue: 0.05 },
+                    { key: 'discountFactor', label: 'Discount Factor', min: 0, max: 0.99, step: 0.05, defaultValue: 0.9 },
+                    { key: 'learningMemory', label: 'Rounds Remembered', min: 1, max: 3, step: 1, defaultValue: 1 }
+                ];
+            case 'BM':
+                return [
+                    { key: 'learningRate', label: 'Learning Rate', min: 0, max: 1, step: 0.05, defaultValue: 0.1 },
+                    { key: 'explorationRate', label: 'Exploration Rate', min: 0, max: 1, step: 0.01, defaultValue: 0.05 },
+                    { key: 'aspiration', label: 'Aspiration Level', min: 0, max: 1, step: 0.05, defaultValue: 0.5 }
+                ];
+            case 'FP':
+                return [
+                    { key: 'explorationRate', label: 'Exploration Rate', min: 0, max: 1, step: 0.01, defaultValue: 0.05 },
+                    { key: 'beliefDiscount', label: 'Belief Discount', min: 0, max: 1, step: 0.05, defaultValue: 1 }
+                ];
+            default:
+                return [];
+        }
+    }
+
+    // Default display label for a roster entrant: the strategy name plus its tunable parameters
+    static getDefaultLabel(strategyCode, params = {}) {
+        const name = StrategyFactory.createStrategy(strategyCode, params).name;
+        const values = StrategyFactory.getParameterSpecs(strategyCode).map(spec =>
+            params[spec.key] !== undefined ? params[spec.key] : spec.defaultValue);
+        return values.length > 0 ? `${name} (${values.join(', ')})` : name;
+    }
+
+    // Roster with one entrant per strategy, using the shared strategy parameters
+    static getDefaultRoster() {
+        return StrategyFactory.getAllStrategyCodes().map(code => ({ code: code, params: {}, label: null }));
+    }
+
+    // Display label for a strategy code, independent of its parameters
+    static getStrategyLabel(strategyCode) {
+        if (strategyCode === 'MEM1') {
+            return 'Memory-One Strategy';
+        }
+        return StrategyFactory.createStrategy(strategyCode).name;
     }
 }
 
 // Game Class - manages a single match between two strategies
 class Game {
-    constructor(strategy1, strategy2, payoffMatrix, numRounds, continuationProb = null) {
+    constructor(strategy1, strategy2, payoffMatrix, numRounds, continuationProb = null, noise = {}, seed = null) {
         this.strategy1 = strategy1;
         this.strategy2 = strategy2;
         this.payoffMatrix = payoffMatrix;
         this.numRounds = numRounds;
         this.continuationProb = continuationProb; // For indefinite horizon
+        this.implementationError = noise.implementationError || 0; // Probability a move is executed as its opposite
+        this.perceptionError = noise.perceptionError || 0; // Probability a move is misread by the opponent
+        this.seed = seed; // Seed of the game's random streams (null = everything draws from globalRandom)
         this.roundHistory = [];
     }
 
+    // Safety limit on the length of an indefinite game
+    static get MAX_ROUNDS() {
+        return 10000;
+    }
+
+    // Give the game and each player fresh random streams: one for the game length, and per player one for
+    // its moves and one for its errors. Player streams are keyed by name rather than seat, so a game plays
+    // out the same whichever player comes first
+    assignRandomStreams() {
+        if (this.seed === null) {
+            this.random = globalRandom;
+            this.errorRandom1 = this.errorRandom2 = globalRandom;
+            this.strategy1.randomStream = this.strategy2.randomStream = globalRandom;
+            return;
+        }
+
+        const samePlayers = this.strategy1.name === this.strategy2.name;
+        const key1 = samePlayers ? `${this.strategy1.name} #1` : this.strategy1.name;
+        const key2 = samePlayers ? `${this.strategy2.name} #2` : this.strategy2.name;
+        this.random = new SeededRandom(deriveSeed(this.seed, 'game'));
+        this.errorRandom1 = new SeededRandom(deriveSeed(this.seed, 'errors', key1));
+        this.errorRandom2 = new SeededRandom(deriveSeed(this.seed, 'errors', key2));
+        this.strategy1.randomStream = new SeededRandom(deriveSeed(this.seed, 'moves', key1));
+        this.strategy2.randomStream = new SeededRandom(deriveSeed(this.seed, 'moves', key2));
+    }
+
+    // Flip a move with the given probability (no random draw when the rate is 0)
+    applyError(move, errorRate, random) {
+        if (errorRate > 0 && random.random() < errorRate) {
+            return flipMove(move);
+        }
+        return move;
+    }
+
     playRound() {
-        // Both strategies make their moves
-        const move1 = this.strategy1.makeMove();
-        const move2 = this.strategy2.makeMove();
+        // Both strategies choose their moves
+        const intendedMove1 = this.strategy1.makeMove();
+        const intendedMove2 = this.strategy2.makeMove();
 
-        // Get payoffs
+        // Trembling hand: a move may be executed as its opposite
+        const move1 = this.applyError(intendedMove1, this.implementationError, this.errorRandom1);
+        const move2 = this.applyError(intendedMove2, this.implementationError, this.errorRandom2);
+
+        // Get payoffs (always from the moves actually played)
         const [payoff1, payoff2] = this.payoffMatrix.getPayoff(move1, move2);
 
+        // Misperception: each player may misread the opponent's actual move (drawn from the reader's errors)
+        const perceived1 = this.applyError(move1, this.perceptionError, this.errorRandom2); // Player 1's move as seen by player 2
+        const perceived2 = this.applyError(move2, this.perceptionError, this.errorRandom1); // Player 2's move as seen by player 1
+
         // Record moves and update scores
-        this.strategy1.recordMove(move1, move2);
-        this.strategy2.recordMove(move2, move1);
-        this.strategy1.updateScore(payoff1);
-        this.strategy2.updateScore(payoff2);
+        this.strategy1.recordMove(move1, perceived2);
+        this.strategy2.recordMove(move2, perceived1);
+        this.strategy1.updateScore(payoff1, payoff2);
+        this.strategy2.updateScore(payoff2, payoff1);
 
         // Store round history
         this.roundHistory.push({
             round: this.roundHistory.length + 1,
+            intendedMove1: intendedMove1,
+            intendedMove2: intendedMove2,
             move1: move1,
             move2: move2,
+            perceived1: perceived1,
+            perceived2: perceived2,
             payoff1: payoff1,
             payoff2: payoff2,
             cumScore1: this.strategy1.score,
@@ -251,39 +1114,46 @@ class Game {
         };
     }
 
-    play() {
-        // Reset strategies before starting
+    // Reset the strategies and random streams before the first round
+    start() {
         this.strategy1.reset();
         this.strategy2.reset();
+        this.strategy1.payoffs = this.payoffMatrix.getPlayerPayoffs(1);
+        this.strategy2.payoffs = this.payoffMatrix.getPlayerPayoffs(2);
         this.roundHistory = [];
+        this.assignRandomStreams();
+    }
+
+    // Whether another round is played after the ones so far. An indefinite game always plays one round,
+    // then continues while a draw from its random stream is below the continuation probability (one draw
+    // per call, so ask once per round)
+    hasNextRound() {
+        const roundCount = this.roundHistory.length;
+        if (this.continuationProb === null) {
+            return roundCount < this.numRounds;
+        }
+        if (roundCount === 0) {
+            return true;
+        }
+        return this.random.random() < this.continuationProb && roundCount < Game.MAX_ROUNDS;
+    }
 
-        // Check if using indefinite horizon or fixed rounds
-        if (this.continuationProb !== null) {
-            // Indefinite horizon: continue with probability
-            const maxRounds = 10000; // Safety limit to prevent infinite loops
-            let roundCount = 0;
-            
-            // Play at least one round
+    play() {
+        this.start();
+        while (this.hasNextRound()) {
             this.playRound();
-            roundCount++;
-            
-            // Continue playing while random number is less than continuation probability
-            while (globalRandom.random() < this.continuationProb && roundCount < maxRounds) {
-                this.playRound();
-                roundCount++;
-            }
-            
-            if (roundCount >= maxRounds) {
-                console.warn(`Game reached maximum round limit of ${maxRounds} rounds`);
-            }
-        } else {
-            // Fixed rounds
-            for (let i = 0; i < this.numRounds; i++) {
-                this.playRound();
-            }
         }
 
-        return {
+        if (this.continuationProb !== null && this.roundHistory.length >= Game.MAX_ROUNDS) {
+            console.warn(`Game reached maximum round limit of ${Game.MAX_ROUNDS} rounds`);
+        }
+        return this.getResult();
+    }
+
+    // Scores, cooperation rates and history of the rounds played; a game with a learning strategy adds the
+    // learning curve of each player (null for one that does not learn)
+    getResult() {
+        const result = {
             strategy1Name: this.strategy1.name,
             strategy2Name: this.strategy2.name,
             finalScore1: this.strategy1.score,
@@ -292,40 +1162,166 @@ class Game {
             cooperationRate2: this.strategy2.getCooperationRate(),
             roundHistory: this.roundHistory
         };
+
+        const learningCurve1 = this.strategy1.getLearningCurve();
+        const learningCurve2 = this.strategy2.getLearningCurve();
+        if (learningCurve1 || learningCurve2) {
+            result.learningCurve1 = learningCurve1;
+            result.learningCurve2 = learningCurve2;
+        }
+        return result;
     }
 }
 
+// Scoring schemes of a tournament and their display names. The points of a player in a game are its total
+// payoff, its payoff with round t weighted by discountFactor^(t-1), its average payoff per round (comparable
+// across indefinite games of different lengths), or 1 for a win, 1/2 for a draw and 0 for a loss on total payoff
+const SCORING_SCHEMES = {
+    total: 'Total payoff',
+    discounted: 'Discounted payoff',
+    perRound: 'Average payoff per round',
+    winLossDraw: 'Win/draw/loss (1, 1/2, 0)'
+};
+
 // Tournament Class - manages multiple games
 class Tournament {
-    constructor(payoffMatrix, numRounds, strategyParams = {}, continuationProb = null) {
+    constructor(payoffMatrix, numRounds, strategyParams = {}, continuationProb = null, noise = {}, seed = null, scoring = {}) {
         this.payoffMatrix = payoffMatrix;
         this.numRounds = numRounds;
         this.continuationProb = continuationProb; // For indefinite horizon
         this.strategyParams = strategyParams; // Parameters for strategies (e.g., forgiveness for GTFT)
+        this.noise = noise; // Implementation and perception error rates
+        this.seed = seed; // Master seed of the games' random streams (null = games share globalRandom)
+        this.scoring = { // How games are scored for the aggregated results and rankings (see SCORING_SCHEMES)
+            scheme: scoring.scheme || 'total',
+            discountFactor: scoring.discountFactor !== undefined ? scoring.discountFactor : 0.95
+        };
         this.results = [];
+        this.onProgress = null; // Optional callback (matchesPlayed, totalMatches) during a round-robin
+    }
+
+    // Create the strategy for a roster entrant ({ code, params, label }); entrant parameters
+    // override the tournament's strategy parameters and the label replaces the strategy name
+    createEntrant(entry) {
+        const strategy = StrategyFactory.createStrategy(entry.code, { ...this.strategyParams, ...(entry.params || {}) });
+        if (entry.label) {
+            strategy.name = entry.label;
+        }
+        return strategy;
+    }
+
+    // Copy of a roster in which every entrant has a unique label: unnamed entrants get their strategy
+    // name, plus their parameters if another unnamed entrant has the same name, and any name still
+    // shared gets a running number
+    labelRoster(roster) {
+        const entries = roster.map(entry => ({ code: entry.code, params: entry.params || {}, label: entry.label || null }));
+
+        const plainNames = entries.map(entry => this.createEntrant({ code: entry.code, params: entry.params }).name);
+        entries.forEach((entry, index) => {
+            if (entry.label) return;
+            const sameName = plainNames.filter(name => name === plainNames[index]).length;
+            entry.label = sameName > 1
+                ? StrategyFactory.getDefaultLabel(entry.code, { ...this.strategyParams, ...entry.params })
+                : plainNames[index];
+        });
+
+        const seen = {};
+        entries.forEach(entry => {
+            const base = entry.label;
+            seen[base] = (seen[base] || 0) + 1;
+            if (seen[base] > 1) {
+                entry.label = `${base} #${seen[base]}`;
+            }
+        });
+
+        return entries;
+    }
+
+    // Create a game between two strategies using the tournament settings. Its random streams depend only
+    // on the seed, the two players and matchKey (to tell apart repeated games of the same pair), so a
+    // matchup plays out the same whatever else is played and in whichever order
+    createGame(strategy1, strategy2, ...matchKey) {
+        const seed = this.seed === null ? null : deriveSeed(this.seed, ...[strategy1.name, strategy2.name].sort(), ...matchKey);
+        return new Game(strategy1, strategy2, this.payoffMatrix, this.numRounds, this.continuationProb, this.noise, seed);
+    }
+
+    // Points of both players of a game under the scoring scheme, added to its result as points1 and points2
+    // (finalScore1 and finalScore2 stay the total payoffs)
+    scoreResult(result) {
+        const rounds = result.roundHistory;
+        let points = [result.finalScore1, result.finalScore2];
+        switch (this.scoring.scheme) {
+            case 'discounted': {
+                let weight = 1;
+                points = [0, 0];
+                rounds.forEach(round => {
+                    points[0] += weight * round.payoff1;
+                    points[1] += weight * round.payoff2;
+                    weight *= this.scoring.discountFactor;
+                });
+                break;
+            }
+            case 'perRound':
+                points = rounds.length > 0 ? points.map(score => score / rounds.length) : [0, 0];
+                break;
+            case 'winLossDraw':
+                points = points[0] > points[1] ? [1, 0] : points[0] < points[1] ? [0, 1] : [0.5, 0.5];
+                break;
+        }
+        result.points1 = points[0];
+        result.points2 = points[1];
+        return result;
     }
 
     // Pairwise tournament: two strategies play against each other
-    runPairwise(strategyCode1, strategyCode2) {
-        const strategy1 = StrategyFactory.createStrategy(strategyCode1, this.strategyParams);
-        const strategy2 = StrategyFactory.createStrategy(strategyCode2, this.strategyParams);
+    // (params1/params2 override the tournament's strategy parameters for each player)
+    runPairwise(strategyCode1, strategyCode2, params1 = {}, params2 = {}) {
+        const strategy1 = StrategyFactory.createStrategy(strategyCode1, { ...this.strategyParams, ...params1 });
+        const strategy2 = StrategyFactory.createStrategy(strategyCode2, { ...this.strategyParams, ...params2 });
 
-        const game = new Game(strategy1, strategy2, this.payoffMatrix, this.numRounds, this.continuationProb);
-        const result = game.play();
+        const game = this.createGame(strategy1, strategy2);
+        const result = this.scoreResult(game.play());
 
         this.results = [result];
         return result;
     }
 
+    // Length of an indefinite game, sampled the way Game.hasNextRound plays it out: one round, then another
+    // while a draw is below the continuation probability. Each repetition of a round-robin has its own stream
+    sampleGameLength(repetition) {
+        const random = this.seed === null ? globalRandom : new SeededRandom(deriveSeed(this.seed, 'length', repetition));
+        let length = 1;
+        while (random.random() < this.continuationProb && length < Game.MAX_ROUNDS) {
+            length++;
+        }
+        return length;
+    }
+
     // Round-robin tournament: all strategies play against each other
-    runRoundRobin() {
-        const strategyCodes = StrategyFactory.getAllStrategyCodes();
+    // (roster: list of entrants { code, params, label }; defaults to every strategy once.
+    // settings: repetitions, how many times every pairing is played; selfPlay, whether the game of an
+    // entrant against itself counts toward its totals; commonGameLength, whether in an indefinite game
+    // every pairing of a repetition plays the same game length, sampled once per repetition; carryLearning,
+    // whether each entrant is a single player for the whole tournament, so a learning strategy takes what it
+    // learned into its next game)
+    runRoundRobin(roster = null, settings = {}) {
+        const entrants = roster || StrategyFactory.getDefaultRoster();
+        const repetitions = settings.repetitions || 1;
+        const selfPlay = settings.selfPlay || false;
+        const commonGameLength = (settings.commonGameLength || false) && this.continuationProb !== null;
+        const carryLearning = settings.carryLearning || false;
         this.results = [];
         const matchResults = [];
 
-        // Create payoff matrix (strategy name -> strategy name -> score)
+        // Create payoff matrix (strategy name -> strategy name -> points)
         const payoffMatrix = {};
-        const strategyNames = strategyCodes.map(code => StrategyFactory.createStrategy(code, this.strategyParams).name);
+        const strategyNames = entrants.map(entry => this.createEntrant(entry).name);
+        
+        // Results are keyed by name, so every entrant needs its own
+        const duplicate = strategyNames.find((name, index) => strategyNames.indexOf(name) !== index);
+        if (duplicate !== undefined) {
+            throw new Error(`Duplicate entrant name: ${duplicate}`);
+        }
         
         // Initialize payoff matrix
         strategyNames.forEach(name1 => {
@@ -335,40 +1331,91 @@ class Tournament {
             });
         });
 
-        // Play each pair
-        for (let i = 0; i < strategyCodes.length; i++) {
-            for (let j = i + 1; j < strategyCodes.length; j++) {
-                const strategy1 = StrategyFactory.createStrategy(strategyCodes[i], this.strategyParams);
-                const strategy2 = StrategyFactory.createStrategy(strategyCodes[j], this.strategyParams);
+        // Every pair plays once per repetition, and every entrant also plays itself. In an asymmetric game
+        // each pair plays once in each seat. The score matrix holds the mean points over seats and repetitions
+        const seatings = this.payoffMatrix.isSymmetric() ? 1 : 2;
+        const totalMatches = repetitions * (seatings * entrants.length * (entrants.length - 1) / 2 + entrants.length);
+        let matchesPlayed = 0;
+        const reportProgress = () => {
+            matchesPlayed++;
+            if (this.onProgress) {
+                this.onProgress(matchesPlayed, totalMatches);
+            }
+        };
 
-                const game = new Game(strategy1, strategy2, this.payoffMatrix, this.numRounds, this.continuationProb);
-                const result = game.play();
-                
-                matchResults.push(result);
-                
-                // Store in payoff matrix
-                payoffMatrix[result.strategy1Name][result.strategy2Name] = result.finalScore1;
-                payoffMatrix[result.strategy2Name][result.strategy1Name] = result.finalScore2;
+        // Points and cooperation rate of an entrant in its game against itself (in an asymmetric game the
+        // mean of the two seats)
+        const selfPoints = result => seatings === 1 ? result.points1 : (result.points1 + result.points2) / 2;
+        const selfCooperation = result => seatings === 1
+            ? result.cooperationRate1
+            : (result.cooperationRate1 + result.cooperationRate2) / 2;
+
+        // Players of the entrants when they carry their learning. In a game against itself an entrant is two
+        // new players starting from what it has learned, and what they learn is dropped
+        const players = carryLearning ? entrants.map(entry => this.createEntrant(entry)) : null;
+        const getPlayer = index => carryLearning ? players[index] : this.createEntrant(entrants[index]);
+        const copyPlayer = index => {
+            const player = this.createEntrant(entrants[index]);
+            if (carryLearning) {
+                player.setLearnedState(players[index].getLearnedState());
             }
-        }
+            return player;
+        };
+
+        const gameLengths = [];
+        for (let repetition = 0; repetition < repetitions; repetition++) {
+            // Repetitions after the first have their own random streams (the first plays as a single game)
+            const matchKey = repetition > 0 ? ['repetition', repetition] : [];
+            const gameLength = commonGameLength ? this.sampleGameLength(repetition) : null;
+            if (commonGameLength) {
+                gameLengths.push(gameLength);
+            }
+            const playGame = (strategy1, strategy2) => {
+                const game = this.createGame(strategy1, strategy2, ...matchKey);
+                if (gameLength !== null) {
+                    // The sampled length is played as a fixed number of rounds
+                    game.numRounds = gameLength;
+                    game.continuationProb = null;
+                }
+                const result = this.scoreResult(game.play());
+                result.repetition = repetition + 1;
+                reportProgress();
+                return result;
+            };
 
-        // Also play against themselves
-        for (let i = 0; i < strategyCodes.length; i++) {
-            const strategy1 = StrategyFactory.createStrategy(strategyCodes[i], this.strategyParams);
-            const strategy2 = StrategyFactory.createStrategy(strategyCodes[i], this.strategyParams);
+            // Play each pair
+            for (let i = 0; i < entrants.length; i++) {
+                for (let j = i + 1; j < entrants.length; j++) {
+                    [[i, j], [j, i]].slice(0, seatings).forEach(([first, second]) => {
+                        const result = playGame(getPlayer(first), getPlayer(second));
+                        matchResults.push(result);
+                        
+                        // Store in payoff matrix
+                        const name1 = result.strategy1Name;
+                        const name2 = result.strategy2Name;
+                        payoffMatrix[name1][name2] = (payoffMatrix[name1][name2] || 0) + result.points1 / (seatings * repetitions);
+                        payoffMatrix[name2][name1] = (payoffMatrix[name2][name1] || 0) + result.points2 / (seatings * repetitions);
+                    });
+                }
+            }
 
-            const game = new Game(strategy1, strategy2, this.payoffMatrix, this.numRounds, this.continuationProb);
-            const result = game.play();
-            
-            // Store in payoff matrix (diagonal)
-            payoffMatrix[result.strategy1Name][result.strategy1Name] = result.finalScore1;
+            // Also play against themselves (these games only count toward the totals with self-play)
+            for (let i = 0; i < entrants.length; i++) {
+                const result = playGame(copyPlayer(i), copyPlayer(i));
+                if (selfPlay) {
+                    matchResults.push(result);
+                }
+                
+                // Store in payoff matrix (diagonal)
+                const name = result.strategy1Name;
+                payoffMatrix[name][name] = (payoffMatrix[name][name] || 0) + selfPoints(result) / repetitions;
+            }
         }
 
-        // Aggregate results by strategy
+        // Aggregate the points of each strategy
         const aggregated = {};
-        strategyCodes.forEach(code => {
-            const strategy = StrategyFactory.createStrategy(code, this.strategyParams);
-            aggregated[strategy.name] = {
+        strategyNames.forEach(name => {
+            aggregated[name] = {
                 totalScore: 0,
                 gamesPlayed: 0,
                 cooperationRate: 0,
@@ -377,22 +1424,30 @@ class Tournament {
         });
 
         matchResults.forEach(result => {
+            // A game against itself counts once for the entrant
+            if (result.strategy1Name === result.strategy2Name) {
+                aggregated[result.strategy1Name].totalScore += selfPoints(result);
+                aggregated[result.strategy1Name].gamesPlayed++;
+                aggregated[result.strategy1Name].cooperationCount += selfCooperation(result);
+                return;
+            }
+
             // Update strategy 1
-            aggregated[result.strategy1Name].totalScore += result.finalScore1;
+            aggregated[result.strategy1Name].totalScore += result.points1;
             aggregated[result.strategy1Name].gamesPlayed++;
             aggregated[result.strategy1Name].cooperationCount += result.cooperationRate1;
 
             // Update strategy 2
-            aggregated[result.strategy2Name].totalScore += result.finalScore2;
+            aggregated[result.strategy2Name].totalScore += result.points2;
             aggregated[result.strategy2Name].gamesPlayed++;
             aggregated[result.strategy2Name].cooperationCount += result.cooperationRate2;
         });
 
-        // Calculate averages
+        // Calculate averages (a lone entrant without self-play has no games)
         Object.keys(aggregated).forEach(strategyName => {
             const data = aggregated[strategyName];
-            data.averageScore = data.totalScore / data.gamesPlayed;
-            data.cooperationRate = data.cooperationCount / data.gamesPlayed;
+            data.averageScore = data.gamesPlayed > 0 ? data.totalScore / data.gamesPlayed : 0;
+            data.cooperationRate = data.gamesPlayed > 0 ? data.cooperationCount / data.gamesPlayed : 0;
         });
 
         this.results = matchResults;
@@ -400,7 +1455,10 @@ class Tournament {
             matchResults: matchResults,
             aggregated: aggregated,
             payoffMatrix: payoffMatrix,
-            strategyNames: strategyNames
+            strategyNames: strategyNames,
+            scoring: { ...this.scoring },
+            roundRobin: { repetitions: repetitions, selfPlay: selfPlay, commonGameLength: commonGameLength, carryLearning: carryLearning },
+            gameLengths: commonGameLength ? gameLengths : null // Length played by every game of each repetition
         };
     }
 }
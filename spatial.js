@@ -0,0 +1,141 @@
+// Spatial Prisoner's Dilemma - Agents on a toroidal lattice imitating their most successful neighbour
+
+// Neighbourhood offsets as [row, column] pairs
+const NEIGHBORHOODS = {
+    vonNeumann: [[-1, 0], [0, -1], [0, 1], [1, 0]],
+    moore: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+};
+
+// Spatial Game Class - Nowak-May style evolution on a 2D grid that wraps at the edges
+class SpatialGame {
+    constructor(tournament, roster, settings = {}) {
+        this.tournament = tournament; // Provides payoff matrix, game length, strategy parameters and noise
+        this.roster = roster; // Entrants { code, params, label } that make up the strategy types
+        this.width = settings.width !== undefined ? settings.width : 30;
+        this.height = settings.height !== undefined ? settings.height : 30;
+        this.neighborhood = settings.neighborhood || 'moore';
+
+        if (!NEIGHBORHOODS[this.neighborhood]) {
+            throw new Error(`Unknown neighborhood: ${this.neighborhood}`);
+        }
+
+        this.strategyNames = roster.map(entry => tournament.createEntrant(entry).name);
+        this.neighbors = this.buildNeighbors();
+        this.grid = []; // Strategy type (index into roster) of each cell, row by row
+        this.scores = []; // Total score of each cell in the last generation
+        this.scoredGrid = []; // Strategy types the last scores were earned with (before imitation)
+        this.generation = 0;
+        this.lastChanges = 0; // Cells that switched strategy in the last generation
+        this.frequencyHistory = {};
+        this.averagePayoffHistory = [];
+    }
+
+    // Precompute the neighbour indices of every cell, wrapping around the edges
+    buildNeighbors() {
+        const offsets = NEIGHBORHOODS[this.neighborhood];
+        const neighbors = [];
+
+        for (let row = 0; row < this.height; row++) {
+            for (let col = 0; col < this.width; col++) {
+                neighbors.push(offsets.map(([dRow, dCol]) => {
+                    const r = (row + dRow + this.height) % this.height;
+                    const c = (col + dCol + this.width) % this.width;
+                    return r * this.width + c;
+                }));
+            }
+        }
+
+        return neighbors;
+    }
+
+    // Assign every cell a uniformly random strategy
+    initialize() {
+        this.grid = [];
+        for (let i = 0; i < this.width * this.height; i++) {
+            this.grid.push(Math.floor(globalRandom.random() * this.roster.length));
+        }
+
+        this.scores = this.grid.map(() => 0);
+        this.scoredGrid = [...this.grid];
+        this.generation = 0;
+        this.lastChanges = 0;
+        this.averagePayoffHistory = [];
+        this.frequencyHistory = {};
+        this.strategyNames.forEach(name => {
+            this.frequencyHistory[name] = [];
+        });
+        this.recordFrequencies();
+    }
+
+    // Count cells of each strategy type
+    countTypes() {
+        const counts = this.roster.map(() => 0);
+        this.grid.forEach(type => counts[type]++);
+        return counts;
+    }
+
+    recordFrequencies() {
+        this.countTypes().forEach((count, type) => {
+            this.frequencyHistory[this.strategyNames[type]].push(count / this.grid.length);
+        });
+    }
+
+    // Every cell plays one game with each neighbour; returns the total score of each cell
+    playGenerationGames() {
+        const scores = this.grid.map(() => 0);
+
+        for (let i = 0; i < this.grid.length; i++) {
+            this.neighbors[i].forEach(j => {
+                // Play each neighbouring pair only once
+                if (j <= i) return;
+
+                const strategy1 = this.tournament.createEntrant(this.roster[this.grid[i]]);
+                const strategy2 = this.tournament.createEntrant(this.roster[this.grid[j]]);
+                const result = this.tournament.createGame(strategy1, strategy2, 'lattice', this.generation, i, j).play();
+
+                scores[i] += result.finalScore1;
+                scores[j] += result.finalScore2;
+            });
+        }
+
+        return scores;
+    }
+
+    // Advance one generation: play all neighbour games, then imitate the best-scoring neighbour
+    step() {
+        this.scores = this.playGenerationGames();
+
+        const nextGrid = this.grid.map((type, i) => {
+            let bestScore = this.scores[i];
+            let bestTypes = [type];
+
+            this.neighbors[i].forEach(j => {
+                if (this.scores[j] > bestScore) {
+                    bestScore = this.scores[j];
+                    bestTypes = [this.grid[j]];
+                } else if (this.scores[j] === bestScore && !bestTypes.includes(this.grid[j])) {
+                    bestTypes.push(this.grid[j]);
+                }
+            });
+
+            // Keep the current strategy on a tie, otherwise break ties randomly
+            if (bestTypes.includes(type)) {
+                return type;
+            }
+            return bestTypes[Math.floor(globalRandom.random() * bestTypes.length)];
+        });
+
+        this.lastChanges = nextGrid.filter((type, i) => type !== this.grid[i]).length;
+        this.scoredGrid = this.grid;
+        this.grid = nextGrid;
+        this.generation++;
+
+        // Average payoff per game across the lattice in the generation just played
+        const gamesPerCell = this.neighbors[0].length;
+        const totalScore = this.scores.reduce((sum, score) => sum + score, 0);
+        this.averagePayoffHistory.push(totalScore / (this.grid.length * gamesPerCell));
+        this.recordFrequencies();
+
+        return this.lastChanges;
+    }
+}
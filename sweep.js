@@ -0,0 +1,218 @@
+// Parameter Sweep - Runs the round-robin tournament at every point of a grid of one or two parameters
+
+const isProbability = value => value >= 0 && value <= 1;
+
+// Parameters that can be swept: label, default range, valid values and how a value enters an experiment configuration
+// (strategyParam: the shared strategy parameter it sets, which an entrant's own value takes precedence over)
+const SWEEP_PARAMETERS = {
+    T: {
+        label: 'Temptation (T)',
+        range: [3, 8],
+        isValid: isFinite,
+        apply: (config, value) => { config.payoffs.T = value; }
+    },
+    R: {
+        label: 'Reward (R)',
+        range: [1, 5],
+        isValid: isFinite,
+        apply: (config, value) => { config.payoffs.R = value; }
+    },
+    P: {
+        label: 'Punishment (P)',
+        range: [0, 3],
+        isValid: isFinite,
+        apply: (config, value) => { config.payoffs.P = value; }
+    },
+    S: {
+        label: 'Sucker (S)',
+        range: [-2, 1],
+        isValid: isFinite,
+        apply: (config, value) => { config.payoffs.S = value; }
+    },
+    continuationProb: {
+        label: 'Continuation probability',
+        range: [0.5, 0.99],
+        isValid: value => value > 0 && value <= 1,
+        apply: (config, value) => {
+            config.duration = 'indefinite';
+            config.continuationProb = value;
+        }
+    },
+    numRounds: {
+        label: 'Number of rounds',
+        range: [10, 200],
+        integer: true,
+        isValid: value => value >= 1 && value <= 1000,
+        apply: (config, value) => {
+            config.duration = 'fixed';
+            config.numRounds = value;
+        }
+    },
+    forgiveness: {
+        label: 'GTFT forgiveness rate',
+        range: [0, 0.5],
+        isValid: isProbability,
+        strategyParam: 'forgiveness',
+        apply: (config, value) => { config.strategyParams.forgiveness = value; }
+    },
+    implementationError: {
+        label: 'Implementation error',
+        range: [0, 0.1],
+        isValid: isProbability,
+        apply: (config, value) => { config.noise.implementationError = value; }
+    },
+    perceptionError: {
+        label: 'Perception error',
+        range: [0, 0.1],
+        isValid: isProbability,
+        apply: (config, value) => { config.noise.perceptionError = value; }
+    }
+};
+
+// Largest number of grid points a sweep may have
+const MAX_SWEEP_POINTS = 400;
+
+// Evenly spaced values of an axis ({ parameter, min, max, steps }); integer parameters are rounded
+function getSweepValues(axis) {
+    const spec = SWEEP_PARAMETERS[axis.parameter];
+    const values = [];
+    for (let step = 0; step < axis.steps; step++) {
+        const value = axis.steps === 1 ? axis.min : axis.min + (axis.max - axis.min) * step / (axis.steps - 1);
+        // Rounding keeps values such as 0.30000000000000004 readable
+        values.push(spec.integer ? Math.round(value) : parseFloat(value.toFixed(10)));
+    }
+    return values.filter((value, index) => values.indexOf(value) === index);
+}
+
+// Check a sweep axis; returns an error message or null
+function validateSweepAxis(axis, name) {
+    const spec = Object.prototype.hasOwnProperty.call(SWEEP_PARAMETERS, axis.parameter) ? SWEEP_PARAMETERS[axis.parameter] : null;
+    if (!spec) {
+        return `Unknown ${name} parameter: ${axis.parameter}`;
+    }
+    if (!Number.isInteger(axis.steps) || axis.steps < 1 || axis.steps > MAX_SWEEP_POINTS) {
+        return `Number of ${name} steps must be between 1 and ${MAX_SWEEP_POINTS}`;
+    }
+    if (isNaN(axis.min) || isNaN(axis.max) || !spec.isValid(axis.min) || !spec.isValid(axis.max)) {
+        return `${spec.label} is out of range on the ${name}`;
+    }
+    if (axis.min > axis.max) {
+        return `The ${name} minimum must not be greater than its maximum`;
+    }
+    return null;
+}
+
+// Memory-one presets depend on the payoffs and forgiveness rate, so a preset follows the swept values
+// (rounded like the page's memory-one editor)
+function updateMemoryOnePresets(config) {
+    const { T, R, P, S } = config.payoffs;
+    const presets = MemoryOneStrategy.getPresets(new PayoffMatrix(T, R, P, S), config.strategyParams.forgiveness);
+    const update = memoryOne => {
+        if (!memoryOne || !memoryOne.label || !Object.prototype.hasOwnProperty.call(presets, memoryOne.label)) return;
+        Object.keys(memoryOne.vector).forEach(field => {
+            memoryOne.vector[field] = parseFloat(presets[memoryOne.label][field].toFixed(4));
+        });
+    };
+    update(config.strategyParams.memoryOne);
+    config.roster.forEach(entry => update(entry.params.memoryOne));
+}
+
+// Parameter Sweep Class - a round-robin tournament per grid point, all with the same seed
+class ParameterSweep {
+    // config: experiment configuration with the fixed settings and the axes in config.sweep
+    // (a y axis without a parameter is left out)
+    constructor(config) {
+        this.config = config;
+        this.xAxis = config.sweep.x;
+        this.yAxis = config.sweep.y.parameter ? config.sweep.y : null;
+        this.xValues = getSweepValues(this.xAxis);
+        this.yValues = this.yAxis ? getSweepValues(this.yAxis) : [null];
+
+        // Entrants keep the names they have with the fixed settings at every point
+        this.strategyNames = createExperimentTournament(config).labelRoster(config.roster).map(entry => entry.label);
+
+        // Entrants with their own value of a swept strategy parameter keep it at every point
+        const sweptParams = [this.xAxis, this.yAxis]
+            .filter(axis => axis && SWEEP_PARAMETERS[axis.parameter].strategyParam)
+            .map(axis => SWEEP_PARAMETERS[axis.parameter].strategyParam);
+        this.unsweptEntrants = this.strategyNames.filter((_, index) =>
+            sweptParams.some(key => config.roster[index].params[key] !== undefined));
+    }
+
+    // Round-robin configuration of a grid point, with the entrant names as roster labels
+    getPointConfig(xIndex, yIndex) {
+        const config = JSON.parse(JSON.stringify(this.config));
+        config.mode = 'roundrobin';
+        config.roster.forEach((entry, index) => {
+            entry.label = this.strategyNames[index];
+        });
+        SWEEP_PARAMETERS[this.xAxis.parameter].apply(config, this.xValues[xIndex]);
+        if (this.yAxis) {
+            SWEEP_PARAMETERS[this.yAxis.parameter].apply(config, this.yValues[yIndex]);
+        }
+        updateMemoryOnePresets(config);
+        return config;
+    }
+
+    // Average score, cooperation rate and rank of every entrant at a grid point
+    // (means across replications if the configuration has more than one)
+    runPoint(xIndex, yIndex) {
+        const config = this.getPointConfig(xIndex, yIndex);
+        globalRandom.reset(config.seed);
+        const tournament = createExperimentTournament(config);
+
+        const metrics = {};
+        if (config.replications > 1) {
+            const replication = new ReplicatedTournament(tournament, config.replications, config.seed)
+                .runRoundRobin(config.roster, config.roundRobin);
+            replication.entrants.forEach(entrant => {
+                metrics[entrant.name] = {
+                    averageScore: entrant.averageScore.mean,
+                    cooperationRate: entrant.cooperationRate.mean,
+                    rank: entrant.rank.mean
+                };
+            });
+        } else {
+            const { aggregated, strategyNames } = tournament.runRoundRobin(config.roster, config.roundRobin);
+            const ranks = rankScores(strategyNames.map(name => aggregated[name].averageScore));
+            strategyNames.forEach((name, index) => {
+                metrics[name] = {
+                    averageScore: aggregated[name].averageScore,
+                    cooperationRate: aggregated[name].cooperationRate,
+                    rank: ranks[index]
+                };
+            });
+        }
+
+        const bestScore = Math.max(...this.strategyNames.map(name => metrics[name].averageScore));
+        return {
+            x: this.xValues[xIndex],
+            y: this.yValues[yIndex],
+            metrics: metrics,
+            winners: this.strategyNames.filter(name => metrics[name].averageScore === bestScore)
+        };
+    }
+
+    // Every grid point as [xIndex, yIndex]
+    getGridPoints() {
+        return this.yValues.flatMap((_, yIndex) => this.xValues.map((_, xIndex) => [xIndex, yIndex]));
+    }
+
+    // Run every grid point; points[yIndex][xIndex]
+    run() {
+        return this.createResult(this.yValues.map((_, yIndex) => this.xValues.map((_, xIndex) => this.runPoint(xIndex, yIndex))));
+    }
+
+    // Sweep result from the results of every grid point (points[yIndex][xIndex])
+    createResult(points) {
+        return {
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            xValues: this.xValues,
+            yValues: this.yValues,
+            strategyNames: this.strategyNames,
+            unsweptEntrants: this.unsweptEntrants,
+            points: points
+        };
+    }
+}
@@ -1,9 +1,22 @@
 // Visualization Module - Handles all charts and result displays
 
+// Text as HTML, for strategy names and other text inserted into markup (an entrant's label can hold any
+// characters)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 class Visualizer {
     constructor() {
         this.cooperationChart = null;
         this.payoffChart = null;
+        this.learningChart = null; // Learning curves of a pairwise match with a learning strategy
+        this.replayRound = null; // Round marked on the pairwise charts while replaying (null = none)
     }
 
     // Create cooperation rate chart
@@ -66,6 +79,7 @@ class Visualizer {
                     }
                 ]
             },
+            plugins: [this.createRoundCursorPlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
@@ -134,6 +148,7 @@ class Visualizer {
                     }
                 ]
             },
+            plugins: [this.createRoundCursorPlugin()],
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
@@ -165,8 +180,74 @@ class Visualizer {
         });
     }
 
+    // Create the chart of the cooperation probability of each learning strategy of a pairwise match per
+    // round, shown only when a player learns
+    createLearningChart(result) {
+        const container = document.getElementById('learning-chart-container');
+        if (this.learningChart) {
+            this.learningChart.destroy();
+            this.learningChart = null;
+        }
+
+        const curves = [
+            [result.learningCurve1, result.strategy1Name, '102, 126, 234'],
+            [result.learningCurve2, result.strategy2Name, '118, 75, 162']
+        ].filter(([curve]) => curve);
+        if (curves.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+
+        this.learningChart = new Chart(document.getElementById('learning-chart'), {
+            type: 'line',
+            data: {
+                labels: result.roundHistory.map(r => r.round),
+                datasets: curves.map(([curve, name, color]) => ({
+                    label: name,
+                    data: curve.map(probability => probability * 100),
+                    borderColor: `rgb(${color})`,
+                    backgroundColor: `rgba(${color}, 0.1)`,
+                    pointRadius: 0,
+                    tension: 0.3
+                }))
+            },
+            plugins: [this.createRoundCursorPlugin()],
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Cooperation Probability (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Round'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     // Create round-robin aggregated payoff chart
-    createRoundRobinPayoffChart(aggregated) {
+    // (with replications, bars show the mean over replications with 95% confidence intervals)
+    createRoundRobinPayoffChart(aggregated, replication = null) {
         const ctx = document.getElementById('payoff-chart');
         
         // Destroy existing chart if it exists
@@ -174,13 +255,16 @@ class Visualizer {
             this.payoffChart.destroy();
         }
 
+        const statistics = replication ? this.getReplicationStatistics(replication) : null;
+        const averageScore = name => statistics ? statistics[name].averageScore.mean : aggregated[name].averageScore;
+
         // Sort strategies by average score (descending)
-        const sortedStrategies = Object.entries(aggregated)
-            .sort((a, b) => b[1].averageScore - a[1].averageScore);
-        
-        const labels = sortedStrategies.map(([name, _]) => name);
-        const averageScores = sortedStrategies.map(([_, data]) => data.averageScore);
-        const totalScores = sortedStrategies.map(([_, data]) => data.totalScore);
+        const labels = Object.keys(aggregated).sort((a, b) => averageScore(b) - averageScore(a));
+        const averageScores = labels.map(averageScore);
+        const totalScores = labels.map(name => aggregated[name].totalScore);
+        const intervals = statistics
+            ? labels.map(name => [statistics[name].averageScore.ciLow, statistics[name].averageScore.ciHigh])
+            : null;
 
         // Create gradient colors
         const colors = [
@@ -197,7 +281,7 @@ class Visualizer {
                 labels: labels,
                 datasets: [
                     {
-                        label: 'Average Score per Match',
+                        label: statistics ? `Mean Score per Match (${replication.numReplications} replications)` : 'Average Score per Match',
                         data: averageScores,
                         backgroundColor: colors,
                         borderColor: colors.map(c => c.replace('0.8', '1')),
@@ -220,6 +304,9 @@ class Visualizer {
                         callbacks: {
                             afterLabel: function(context) {
                                 const index = context.dataIndex;
+                                if (intervals) {
+                                    return `95% CI: ${intervals[index][0].toFixed(2)} - ${intervals[index][1].toFixed(2)}`;
+                                }
                                 const total = totalScores[index];
                                 return `Total Score: ${total.toFixed(2)}`;
                             }
@@ -229,6 +316,8 @@ class Visualizer {
                 scales: {
                     y: {
                         beginAtZero: true,
+                        // Leave room for the error bars above the tallest bar
+                        suggestedMax: intervals ? Math.max(...intervals.map(interval => interval[1])) : undefined,
                         title: {
                             display: true,
                             text: 'Average Score'
@@ -246,12 +335,14 @@ class Visualizer {
                         }
                     }
                 }
-            }
+            },
+            plugins: intervals ? [this.createErrorBarPlugin(intervals)] : []
         });
     }
 
     // Create round-robin cooperation chart
-    createRoundRobinCooperationChart(aggregated) {
+    // (with replications, bars show the mean over replications with 95% confidence intervals)
+    createRoundRobinCooperationChart(aggregated, replication = null) {
         const ctx = document.getElementById('cooperation-chart');
         
         // Destroy existing chart if it exists
@@ -259,12 +350,16 @@ class Visualizer {
             this.cooperationChart.destroy();
         }
 
+        const statistics = replication ? this.getReplicationStatistics(replication) : null;
+        const cooperationRate = name => statistics ? statistics[name].cooperationRate.mean : aggregated[name].cooperationRate;
+
         // Sort strategies by cooperation rate (descending)
-        const sortedStrategies = Object.entries(aggregated)
-            .sort((a, b) => b[1].cooperationRate - a[1].cooperationRate);
-        
-        const labels = sortedStrategies.map(([name, _]) => name);
-        const cooperationRates = sortedStrategies.map(([_, data]) => data.cooperationRate * 100);
+        const labels = Object.keys(aggregated).sort((a, b) => cooperationRate(b) - cooperationRate(a));
+        const cooperationRates = labels.map(name => cooperationRate(name) * 100);
+        const intervals = statistics ? labels.map(name => [
+            Math.max(0, statistics[name].cooperationRate.ciLow * 100),
+            Math.min(100, statistics[name].cooperationRate.ciHigh * 100)
+        ]) : null;
 
         // Create gradient colors
         const colors = cooperationRates.map(rate => {
@@ -279,7 +374,7 @@ class Visualizer {
                 labels: labels,
                 datasets: [
                     {
-                        label: 'Cooperation Rate',
+                        label: statistics ? `Mean Cooperation Rate (${replication.numReplications} replications)` : 'Cooperation Rate',
                         data: cooperationRates,
                         backgroundColor: colors,
                         borderColor: colors.map(c => c.replace('0.8', '1')),
@@ -297,6 +392,15 @@ class Visualizer {
                     },
                     title: {
                         display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: function(context) {
+                                if (!intervals) return '';
+                                const interval = intervals[context.dataIndex];
+                                return `95% CI: ${interval[0].toFixed(1)}% - ${interval[1].toFixed(1)}%`;
+                            }
+                        }
                     }
                 },
                 scales: {
@@ -320,195 +424,2020 @@ class Visualizer {
                         }
                     }
                 }
-            }
+            },
+            plugins: intervals ? [this.createErrorBarPlugin(intervals)] : []
         });
     }
 
-    // Display summary statistics for pairwise match
-    displayPairwiseSummary(result) {
-        const summaryDiv = document.getElementById('summary-stats');
-        
-        const html = `
-            <h3>Match Summary</h3>
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div class="label">${result.strategy1Name} - Final Score</div>
-                    <div class="value">${result.finalScore1.toFixed(2)}</div>
-                </div>
-                <div class="stat-card">
-                    <div class="label">${result.strategy2Name} - Final Score</div>
-                    <div class="value">${result.finalScore2.toFixed(2)}</div>
-                </div>
-                <div class="stat-card">
-                    <div class="label">${result.strategy1Name} - Cooperation Rate</div>
-                    <div class="value">${(result.cooperationRate1 * 100).toFixed(1)}%</div>
-                </div>
-                <div class="stat-card">
-                    <div class="label">${result.strategy2Name} - Cooperation Rate</div>
-                    <div class="value">${(result.cooperationRate2 * 100).toFixed(1)}%</div>
-                </div>
-                <div class="stat-card">
-                    <div class="label">Total Rounds</div>
-                    <div class="value">${result.roundHistory.length}</div>
-                </div>
-                <div class="stat-card">
-                    <div class="label">Winner</div>
-                    <div class="value">${result.finalScore1 > result.finalScore2 ? result.strategy1Name : 
-                        result.finalScore2 > result.finalScore1 ? result.strategy2Name : 'Tie'}</div>
-                </div>
-            </div>
-        `;
-        
-        summaryDiv.innerHTML = html;
+    // Chart.js plugin drawing a vertical line at the replayed round of a pairwise chart
+    createRoundCursorPlugin() {
+        const visualizer = this;
+        return {
+            id: 'roundCursor',
+            afterDatasetsDraw(chart) {
+                if (visualizer.replayRound === null || visualizer.replayRound < 1) return;
+                const context = chart.ctx;
+                const x = chart.scales.x.getPixelForValue(visualizer.replayRound - 1);
+                context.save();
+                context.strokeStyle = 'rgba(33, 37, 41, 0.7)';
+                context.lineWidth = 1.5;
+                context.setLineDash([4, 3]);
+                context.beginPath();
+                context.moveTo(x, chart.chartArea.top);
+                context.lineTo(x, chart.chartArea.bottom);
+                context.stroke();
+                context.restore();
+            }
+        };
     }
 
-    // Display summary statistics for round-robin
-    displayRoundRobinSummary(aggregated) {
-        const summaryDiv = document.getElementById('summary-stats');
-        
-        // Sort strategies by average score
-        const sortedStrategies = Object.entries(aggregated)
-            .sort((a, b) => b[1].averageScore - a[1].averageScore);
-        
-        let html = '<h3>Round-Robin Tournament Results</h3><div class="stats-grid">';
-        
-        sortedStrategies.forEach(([name, data], index) => {
-            html += `
-                <div class="stat-card">
-                    <div class="label">#${index + 1} - ${name}</div>
-                    <div class="value">Avg: ${data.averageScore.toFixed(2)}</div>
-                    <div class="label">Coop Rate: ${(data.cooperationRate * 100).toFixed(1)}%</div>
-                </div>
-            `;
+    // Chart.js plugin drawing an error bar ([low, high] in axis units) over each bar
+    createErrorBarPlugin(intervals) {
+        return {
+            id: 'errorBars',
+            afterDatasetsDraw(chart) {
+                const context = chart.ctx;
+                const { x, y } = chart.scales;
+                context.save();
+                context.strokeStyle = 'rgba(33, 37, 41, 0.8)';
+                context.lineWidth = 1.5;
+                intervals.forEach(([low, high], index) => {
+                    const centre = x.getPixelForValue(index);
+                    const top = y.getPixelForValue(high);
+                    const bottom = y.getPixelForValue(low);
+                    context.beginPath();
+                    context.moveTo(centre, top);
+                    context.lineTo(centre, bottom);
+                    context.moveTo(centre - 5, top);
+                    context.lineTo(centre + 5, top);
+                    context.moveTo(centre - 5, bottom);
+                    context.lineTo(centre + 5, bottom);
+                    context.stroke();
+                });
+                context.restore();
+            }
+        };
+    }
+
+    // Replication statistics by entrant name (round-robin names are unique)
+    getReplicationStatistics(replication) {
+        const statistics = {};
+        replication.entrants.forEach(entrant => {
+            statistics[entrant.name] = entrant;
         });
-        
-        html += '</div>';
-        summaryDiv.innerHTML = html;
+        return statistics;
     }
 
-    // Display detailed results table for pairwise
-    displayPairwiseTable(result) {
-        const tableDiv = document.getElementById('results-table');
-        
-        // Show only first 20 rounds and last 10 rounds if more than 30 rounds
-        let roundsToShow = result.roundHistory;
-        let truncated = false;
+    // Get a distinct color for the strategy at the given index
+    strategyColor(index, alpha = 1) {
+        const palette = [
+            [102, 126, 234],
+            [118, 75, 162],
+            [34, 197, 94],
+            [251, 146, 60],
+            [239, 68, 68],
+            [14, 165, 233],
+            [234, 179, 8],
+            [236, 72, 153],
+            [20, 184, 166],
+            [100, 116, 139]
+        ];
         
-        if (result.roundHistory.length > 30) {
-            roundsToShow = [
-                ...result.roundHistory.slice(0, 20),
-                ...result.roundHistory.slice(-10)
-            ];
-            truncated = true;
+        if (index < palette.length) {
+            const [r, g, b] = palette[index];
+            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
         }
-        
-        let html = `
-            <div class="results-table">
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Round</th>
-                            <th>${result.strategy1Name} Move</th>
-                            <th>${result.strategy2Name} Move</th>
-                            <th>${result.strategy1Name} Payoff</th>
-                            <th>${result.strategy2Name} Payoff</th>
-                            <th>${result.strategy1Name} Cumulative</th>
-                            <th>${result.strategy2Name} Cumulative</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        
-        roundsToShow.forEach((round, index) => {
-            if (truncated && index === 20) {
-                html += `<tr><td colspan="7" style="text-align:center; font-style:italic;">... (rounds ${21} - ${result.roundHistory.length - 10} omitted) ...</td></tr>`;
-            }
-            
-            html += `
-                <tr>
-                    <td>${round.round}</td>
-                    <td style="color: ${round.move1 === COOPERATE ? '#22c55e' : '#ef4444'}">
-                        ${round.move1 === COOPERATE ? 'Cooperate' : 'Defect'}
-                    </td>
-                    <td style="color: ${round.move2 === COOPERATE ? '#22c55e' : '#ef4444'}">
-                        ${round.move2 === COOPERATE ? 'Cooperate' : 'Defect'}
-                    </td>
-                    <td>${round.payoff1.toFixed(2)}</td>
-                    <td>${round.payoff2.toFixed(2)}</td>
-                    <td>${round.cumScore1.toFixed(2)}</td>
-                    <td>${round.cumScore2.toFixed(2)}</td>
-                </tr>
-            `;
-        });
-        
-        html += `
-                    </tbody>
-                </table>
-            </div>
-        `;
-        
-        tableDiv.innerHTML = html;
+        // Spread any further strategies around the color wheel
+        const hue = (index * 137.5) % 360;
+        return `hsla(${hue}, 65%, 55%, ${alpha})`;
     }
 
-    // Display payoff matrix
-    displayPayoffMatrix(payoffMatrix, strategyNames) {
-        const tableDiv = document.getElementById('payoff-matrix-table');
+    // Create stacked area chart of population shares over generations
+    createPopulationShareChart(result) {
+        const ctx = document.getElementById('cooperation-chart');
         
-        if (!tableDiv) {
-            console.error('Payoff matrix table div not found');
-            return;
+        // Destroy existing chart if it exists
+        if (this.cooperationChart) {
+            this.cooperationChart.destroy();
         }
 
-        let html = `
-            <h3 style="margin-bottom: 15px;">Payoff Matrix (Scores by Matchup)</h3>
-            <div class="results-table">
-                <table class="payoff-matrix-table">
-                    <thead>
-                        <tr>
-                            <th class="matrix-corner">vs.</th>
-        `;
-        
-        // Column headers
-        strategyNames.forEach(name => {
-            html += `<th class="matrix-header">${name}</th>`;
-        });
-        
-        html += `
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        
-        // Find min and max for color scaling
-        let minScore = Infinity;
-        let maxScore = -Infinity;
-        strategyNames.forEach(name1 => {
-            strategyNames.forEach(name2 => {
-                const score = payoffMatrix[name1][name2];
-                if (score !== null) {
-                    minScore = Math.min(minScore, score);
-                    maxScore = Math.max(maxScore, score);
+        const generations = Array.from({ length: result.generations + 1 }, (_, i) => i);
+        const datasets = result.strategyNames.map((name, index) => ({
+            label: name,
+            data: result.shareHistory[name].map(share => share * 100),
+            borderColor: this.strategyColor(index),
+            backgroundColor: this.strategyColor(index, 0.6),
+            fill: index === 0 ? 'origin' : '-1',
+            pointRadius: 0,
+            tension: 0.3
+        }));
+
+        this.cooperationChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: generations,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Population Share (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
                 }
-            });
+            }
         });
+    }
+
+    // Create average population fitness chart
+    createPopulationFitnessChart(result) {
+        const ctx = document.getElementById('payoff-chart');
         
-        // Rows
-        strategyNames.forEach(name1 => {
-            html += `<tr><th class="matrix-row-header">${name1}</th>`;
-            
-            strategyNames.forEach(name2 => {
-                const score = payoffMatrix[name1][name2];
-                
-                if (score === null) {
-                    html += `<td class="matrix-cell">-</td>`;
-                } else {
-                    // Color based on score (green = high, red = low)
-                    const normalized = (score - minScore) / (maxScore - minScore);
-                    const hue = normalized * 120; // 0 (red) to 120 (green)
-                    const bgColor = `hsla(${hue}, 70%, 85%, 0.8)`;
-                    
-                    html += `<td class="matrix-cell" style="background-color: ${bgColor}">
-                        <strong>${score.toFixed(1)}</strong>
+        // Destroy existing chart if it exists
+        if (this.payoffChart) {
+            this.payoffChart.destroy();
+        }
+
+        const generations = result.averageFitnessHistory.map((_, i) => i + 1);
+
+        this.payoffChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: generations,
+                datasets: [
+                    {
+                        label: 'Average Fitness',
+                        data: result.averageFitnessHistory,
+                        borderColor: 'rgb(102, 126, 234)',
+                        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                        fill: true,
+                        pointRadius: 0,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Average Score per Match'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Create stacked area chart of strategy counts in a Moran process
+    createMoranCountChart(result) {
+        const ctx = document.getElementById('cooperation-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.cooperationChart) {
+            this.cooperationChart.destroy();
+        }
+
+        const generations = Array.from({ length: result.generations + 1 }, (_, i) => i);
+        const datasets = result.strategyNames.map((name, index) => ({
+            label: name,
+            data: result.countHistory[name],
+            borderColor: this.strategyColor(index),
+            backgroundColor: this.strategyColor(index, 0.6),
+            fill: index === 0 ? 'origin' : '-1',
+            pointRadius: 0,
+            stepped: true
+        }));
+        const populationSize = result.strategyNames.reduce((sum, name) => sum + result.countHistory[name][0], 0);
+
+        this.cooperationChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: generations,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        max: populationSize,
+                        title: {
+                            display: true,
+                            text: 'Number of Individuals'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation (birth-death event)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Average fixation probability of each strategy when invading the others (pairs without a resolved run
+    // are left out)
+    getMeanFixationAsInvader(fixation, invaderName) {
+        const values = fixation.strategyNames
+            .filter(residentName => residentName !== invaderName)
+            .map(residentName => fixation.fixationProbabilities[invaderName][residentName])
+            .filter(value => !Number.isNaN(value));
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    // Average fixation probability of the other strategies when invading this one
+    getMeanFixationAgainstResident(fixation, residentName) {
+        const values = fixation.strategyNames
+            .filter(invaderName => invaderName !== residentName)
+            .map(invaderName => fixation.fixationProbabilities[invaderName][residentName])
+            .filter(value => !Number.isNaN(value));
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    // Create bar chart of mean fixation probabilities compared to neutral drift
+    createFixationChart(fixation) {
+        const ctx = document.getElementById('payoff-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.payoffChart) {
+            this.payoffChart.destroy();
+        }
+
+        const labels = fixation.strategyNames;
+        const invaderProbabilities = labels.map(name => this.getMeanFixationAsInvader(fixation, name));
+        const colors = labels.map((_, index) => this.strategyColor(index, 0.8));
+
+        this.payoffChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'Mean Fixation Probability as Invader',
+                        data: invaderProbabilities,
+                        backgroundColor: colors,
+                        borderColor: colors.map(c => c.replace('0.8', '1')),
+                        borderWidth: 2
+                    },
+                    {
+                        type: 'line',
+                        label: `Neutral Drift (1/N = ${fixation.neutralProbability.toFixed(3)})`,
+                        data: labels.map(() => fixation.neutralProbability),
+                        borderColor: 'rgb(73, 80, 87)',
+                        borderDash: [5, 5],
+                        pointRadius: 0,
+                        fill: false
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 1,
+                        title: {
+                            display: true,
+                            text: 'Fixation Probability'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Invading Strategy'
+                        },
+                        ticks: {
+                            autoSkip: false,
+                            maxRotation: 45,
+                            minRotation: 45
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Create strategy frequency and average payoff charts for the spatial lattice
+    createSpatialCharts(spatial) {
+        const coopCtx = document.getElementById('cooperation-chart');
+        const payoffCtx = document.getElementById('payoff-chart');
+        
+        // Destroy existing charts if they exist
+        if (this.cooperationChart) {
+            this.cooperationChart.destroy();
+        }
+        if (this.payoffChart) {
+            this.payoffChart.destroy();
+        }
+
+        this.cooperationChart = new Chart(coopCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: spatial.strategyNames.map((name, index) => ({
+                    label: name,
+                    data: [],
+                    borderColor: this.strategyColor(index),
+                    backgroundColor: this.strategyColor(index, 0.1),
+                    pointRadius: 0,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Share of Cells (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
+                }
+            }
+        });
+
+        this.payoffChart = new Chart(payoffCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Average Payoff per Game',
+                        data: [],
+                        borderColor: 'rgb(102, 126, 234)',
+                        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                        fill: true,
+                        pointRadius: 0,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Average Score per Game'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Redraw the lattice, charts and tables for the current generation
+    updateSpatialView(spatial) {
+        this.drawLattice(spatial);
+        this.displaySpatialLegend(spatial);
+        document.getElementById('spatial-generation').textContent = `Generation ${spatial.generation}`;
+
+        // Refresh chart data in place instead of recreating the charts every frame
+        this.cooperationChart.data.labels = Array.from({ length: spatial.generation + 1 }, (_, i) => i);
+        spatial.strategyNames.forEach((name, index) => {
+            this.cooperationChart.data.datasets[index].data = spatial.frequencyHistory[name].map(share => share * 100);
+        });
+        this.cooperationChart.update();
+
+        this.payoffChart.data.labels = spatial.averagePayoffHistory.map((_, i) => i + 1);
+        this.payoffChart.data.datasets[0].data = spatial.averagePayoffHistory;
+        this.payoffChart.update();
+
+        this.displaySpatialSummary(spatial);
+        this.displaySpatialTable(spatial);
+    }
+
+    // Draw each lattice cell colored by its strategy
+    drawLattice(spatial) {
+        const canvas = document.getElementById('spatial-canvas');
+        const ctx = canvas.getContext('2d');
+        const cellWidth = canvas.width / spatial.width;
+        const cellHeight = canvas.height / spatial.height;
+
+        for (let row = 0; row < spatial.height; row++) {
+            for (let col = 0; col < spatial.width; col++) {
+                ctx.fillStyle = this.strategyColor(spatial.grid[row * spatial.width + col]);
+                ctx.fillRect(col * cellWidth, row * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+            }
+        }
+    }
+
+    // Display the color key for the lattice
+    displaySpatialLegend(spatial) {
+        const legendDiv = document.getElementById('spatial-legend');
+        
+        let html = '';
+        spatial.strategyNames.forEach((name, index) => {
+            html += `<span><span class="legend-swatch" style="background: ${this.strategyColor(index)}"></span>${escapeHtml(name)}</span>`;
+        });
+        
+        legendDiv.innerHTML = html;
+    }
+
+    // Heatmap of a parameter sweep: the winning strategy or one strategy's metric at every grid point
+    // (metric: 'winner', 'averageScore', 'cooperationRate' or 'rank'; selected: { x, y } cell to outline)
+    displaySweepHeatmap(sweep, metric, strategyName, selected = null) {
+        const heatmapDiv = document.getElementById('sweep-heatmap');
+        const legendDiv = document.getElementById('sweep-legend');
+        const xLabel = SWEEP_PARAMETERS[sweep.xAxis.parameter].label;
+        const yLabel = sweep.yAxis ? SWEEP_PARAMETERS[sweep.yAxis.parameter].label : null;
+        
+        // Color scale of a numeric metric (green = better; a lower rank is better)
+        const values = metric === 'winner' ? [] : sweep.points.flat().map(point => point.metrics[strategyName][metric]);
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const formatValue = value => {
+            if (metric === 'cooperationRate') return `${(value * 100).toFixed(0)}%`;
+            if (metric === 'rank') return Number.isInteger(value) ? String(value) : value.toFixed(1);
+            return value.toFixed(1);
+        };
+        
+        const renderCell = (point, xIndex, yIndex) => {
+            const isSelected = selected && selected.x === xIndex && selected.y === yIndex;
+            const position = yLabel ? `${xLabel} = ${point.x}, ${yLabel} = ${point.y}` : `${xLabel} = ${point.x}`;
+            let text;
+            let background;
+            let title;
+            if (metric === 'winner') {
+                const tie = point.winners.length > 1;
+                text = tie ? `Tie (${point.winners.length})` : escapeHtml(point.winners[0]);
+                background = tie ? '#dee2e6' : this.strategyColor(sweep.strategyNames.indexOf(point.winners[0]), 0.7);
+                title = `${position}: ${point.winners.map(escapeHtml).join(', ')}`;
+            } else {
+                const value = point.metrics[strategyName][metric];
+                let normalized = maxValue > minValue ? (value - minValue) / (maxValue - minValue) : 0.5;
+                if (metric === 'rank') normalized = 1 - normalized;
+                text = formatValue(value);
+                background = `hsla(${normalized * 120}, 70%, 75%, 0.9)`;
+                title = `${position}: ${escapeHtml(strategyName)} ${text}`;
+            }
+            return `<td class="sweep-cell${isSelected ? ' selected' : ''}" data-x="${xIndex}" data-y="${yIndex}"
+                        style="background-color: ${background}" title="${title}">${text}</td>`;
+        };
+        
+        let html = `
+            <table class="sweep-heatmap">
+                <thead>
+                    <tr>
+                        <th>${yLabel ? `${yLabel} \\ ${xLabel}` : xLabel}</th>
+                        ${sweep.xValues.map(value => `<th>${value}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        // Highest y value at the top, as in a plot
+        for (let yIndex = sweep.yValues.length - 1; yIndex >= 0; yIndex--) {
+            html += `<tr><th>${yLabel ? sweep.yValues[yIndex] : ''}</th>`;
+            sweep.points[yIndex].forEach((point, xIndex) => {
+                html += renderCell(point, xIndex, yIndex);
+            });
+            html += '</tr>';
+        }
+        
+        html += `
+                </tbody>
+            </table>
+        `;
+        heatmapDiv.innerHTML = html;
+        
+        // Legend: the strategies that win somewhere, or the color scale
+        if (metric === 'winner') {
+            let legend = '';
+            sweep.strategyNames.forEach((name, index) => {
+                const wins = sweep.points.flat().filter(point => point.winners.length === 1 && point.winners[0] === name).length;
+                if (wins > 0) {
+                    legend += `<span><span class="legend-swatch" style="background: ${this.strategyColor(index, 0.7)}"></span>${escapeHtml(name)} (${wins})</span>`;
+                }
+            });
+            legendDiv.innerHTML = legend + '<span><span class="legend-swatch" style="background: #dee2e6"></span>Tie</span>';
+        } else {
+            legendDiv.innerHTML = `
+                <span><span class="legend-swatch" style="background: hsla(0, 70%, 75%, 0.9)"></span>${metric === 'rank' ? 'Worst' : 'Lowest'}: ${formatValue(metric === 'rank' ? maxValue : minValue)}</span>
+                <span><span class="legend-swatch" style="background: hsla(120, 70%, 75%, 0.9)"></span>${metric === 'rank' ? 'Best' : 'Highest'}: ${formatValue(metric === 'rank' ? minValue : maxValue)}</span>
+            `;
+        }
+    }
+
+    // Scoring scheme of a tournament as shown with its results (empty for total payoff, the default)
+    describeScoring(scoring) {
+        if (!scoring || scoring.scheme === 'total') return '';
+        const name = SCORING_SCHEMES[scoring.scheme];
+        return scoring.scheme === 'discounted' ? `${name} (discount factor ${scoring.discountFactor})` : name;
+    }
+
+    // Display summary statistics for pairwise match
+    // (scoring: the tournament's scoring scheme, whose points are shown next to the final scores)
+    displayPairwiseSummary(result, stationary = null, replication = null, scoring = null) {
+        const summaryDiv = document.getElementById('summary-stats');
+        
+        // Count moves flipped by noise
+        let implementationErrors = 0;
+        let misperceptions = 0;
+        result.roundHistory.forEach(round => {
+            if (round.move1 !== round.intendedMove1) implementationErrors++;
+            if (round.move2 !== round.intendedMove2) implementationErrors++;
+            if (round.perceived1 !== round.move1) misperceptions++;
+            if (round.perceived2 !== round.move2) misperceptions++;
+        });
+        
+        // Under another scoring scheme the winner is decided on points
+        const scoringName = this.describeScoring(scoring);
+        const [score1, score2] = scoringName ? [result.points1, result.points2] : [result.finalScore1, result.finalScore2];
+        const pointsCards = !scoringName ? '' : [1, 2].map(player => `
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(result[`strategy${player}Name`])} - Points</div>
+                    <div class="value">${result[`points${player}`].toFixed(2)}</div>
+                    <div class="label">${scoringName}</div>
+                </div>`).join('');
+        
+        const html = `
+            <h3>Match Summary</h3>
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(result.strategy1Name)} - Final Score</div>
+                    <div class="value">${result.finalScore1.toFixed(2)}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(result.strategy2Name)} - Final Score</div>
+                    <div class="value">${result.finalScore2.toFixed(2)}</div>
+                </div>
+                ${pointsCards}
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(result.strategy1Name)} - Cooperation Rate</div>
+                    <div class="value">${(result.cooperationRate1 * 100).toFixed(1)}%</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(result.strategy2Name)} - Cooperation Rate</div>
+                    <div class="value">${(result.cooperationRate2 * 100).toFixed(1)}%</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Total Rounds</div>
+                    <div class="value">${result.roundHistory.length}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Winner</div>
+                    <div class="value">${score1 > score2 ? result.strategy1Name : 
+                        score2 > score1 ? result.strategy2Name : 'Tie'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Implementation Errors</div>
+                    <div class="value">${implementationErrors}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Misperceptions</div>
+                    <div class="value">${misperceptions}</div>
+                </div>
+                ${stationary ? this.renderStationaryCards(result, stationary) : ''}
+            </div>
+            ${replication ? this.renderReplicationTable(replication, scoringName ? 'Points' : 'Final Score') : ''}
+        `;
+        
+        summaryDiv.innerHTML = html;
+    }
+
+    // Stat cards comparing Markov chain stationary payoffs to the simulated payoff per round
+    renderStationaryCards(result, stationary) {
+        const rounds = result.roundHistory.length;
+        return `
+            <div class="stat-card">
+                <div class="label">${escapeHtml(result.strategy1Name)} - Payoff per Round (Stationary / Simulated)</div>
+                <div class="value">${stationary.payoff1.toFixed(3)} / ${(result.finalScore1 / rounds).toFixed(3)}</div>
+            </div>
+            <div class="stat-card">
+                <div class="label">${escapeHtml(result.strategy2Name)} - Payoff per Round (Stationary / Simulated)</div>
+                <div class="value">${stationary.payoff2.toFixed(3)} / ${(result.finalScore2 / rounds).toFixed(3)}</div>
+            </div>
+        `;
+    }
+
+    // Table of each entrant's mean, standard deviation and 95% confidence interval across replications,
+    // with the share of replications it finished first in (ties count for every tied entrant)
+    renderReplicationTable(replication, scoreLabel) {
+        const sortedEntrants = [...replication.entrants].sort((a, b) => a.rank.mean - b.rank.mean);
+        const formatSummary = (summary, scale, digits) =>
+            `${(summary.mean * scale).toFixed(digits)} ± ${(summary.sd * scale).toFixed(digits)}
+             <small style="color: #6c757d;">[${(summary.ciLow * scale).toFixed(digits)}, ${(summary.ciHigh * scale).toFixed(digits)}]</small>`;
+        
+        let html = `
+            <h3>Across ${replication.numReplications} Replications</h3>
+            <p style="color: #6c757d;">
+                Mean ± standard deviation [95% confidence interval of the mean]. Seeds are derived from seed
+                ${replication.seeds[0]}; the charts and tables below show the run with seed ${replication.seeds[0]}
+                unless they say otherwise.
+            </p>
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Strategy</th>
+                            <th>${scoreLabel}</th>
+                            <th>Cooperation Rate (%)</th>
+                            <th>Rank</th>
+                            <th>Finished First</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        sortedEntrants.forEach(entrant => {
+            const firstShare = entrant.firstPlaces / replication.numReplications * 100;
+            html += `
+                <tr>
+                    <td><strong>${escapeHtml(entrant.name)}</strong></td>
+                    <td>${formatSummary(entrant.averageScore, 1, 2)}</td>
+                    <td>${formatSummary(entrant.cooperationRate, 100, 1)}</td>
+                    <td>${formatSummary(entrant.rank, 1, 2)}</td>
+                    <td>${entrant.firstPlaces} / ${replication.numReplications} (${firstShare.toFixed(0)}%)</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        return html;
+    }
+
+    // Display summary statistics for round-robin
+    // (with replications, strategies are ranked by their mean score across replications)
+    // (roundRobin: the settings of Tournament.runRoundRobin; gameLengths: the common game length of each
+    // repetition, if any)
+    displayRoundRobinSummary(aggregated, replication = null, scoring = null, roundRobin = null, gameLengths = null) {
+        const summaryDiv = document.getElementById('summary-stats');
+        const scoringName = this.describeScoring(scoring);
+        const notes = [
+            scoringName ? `Scoring: ${scoringName} (scores are points per match)` : null,
+            roundRobin && roundRobin.repetitions > 1 ? `Every pairing played ${roundRobin.repetitions} times` : null,
+            roundRobin && roundRobin.selfPlay ? 'Games against itself count toward each total' : null,
+            roundRobin && roundRobin.carryLearning ? 'Learning strategies carry what they learn from game to game' : null,
+            gameLengths ? `Game length of every pairing, by repetition: ${gameLengths.join(', ')}` : null
+        ].filter(note => note !== null);
+        const heading = '<h3>Round-Robin Tournament Results</h3>'
+            + (notes.length > 0 ? `<p style="color: #6c757d;">${notes.join('<br>')}</p>` : '');
+        
+        if (replication) {
+            const sortedEntrants = [...replication.entrants].sort((a, b) => b.averageScore.mean - a.averageScore.mean);
+            let html = heading + '<div class="stats-grid">';
+            sortedEntrants.forEach((entrant, index) => {
+                const { averageScore, cooperationRate } = entrant;
+                html += `
+                    <div class="stat-card">
+                        <div class="label">#${index + 1} - ${escapeHtml(entrant.name)}</div>
+                        <div class="value">Avg: ${averageScore.mean.toFixed(2)}</div>
+                        <div class="label">95% CI: ${averageScore.ciLow.toFixed(2)} - ${averageScore.ciHigh.toFixed(2)}</div>
+                        <div class="label">Coop Rate: ${(cooperationRate.mean * 100).toFixed(1)}%</div>
+                        <div class="label">First in ${entrant.firstPlaces} of ${replication.numReplications} replications</div>
+                    </div>
+                `;
+            });
+            html += '</div>';
+            summaryDiv.innerHTML = html + this.renderReplicationTable(replication, 'Average Score');
+            return;
+        }
+        
+        // Sort strategies by average score
+        const sortedStrategies = Object.entries(aggregated)
+            .sort((a, b) => b[1].averageScore - a[1].averageScore);
+        
+        let html = heading + '<div class="stats-grid">';
+        
+        sortedStrategies.forEach(([name, data], index) => {
+            html += `
+                <div class="stat-card">
+                    <div class="label">#${index + 1} - ${escapeHtml(name)}</div>
+                    <div class="value">Avg: ${data.averageScore.toFixed(2)}</div>
+                    <div class="label">Coop Rate: ${(data.cooperationRate * 100).toFixed(1)}%</div>
+                </div>
+            `;
+        });
+        
+        html += '</div>';
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display summary statistics for a Swiss or elimination tournament: the final placings with each
+    // entrant's record (settings: the bracket settings of the configuration, for the tie-break used)
+    displayBracketSummary(result, settings) {
+        const summaryDiv = document.getElementById('summary-stats');
+        const scoringName = this.describeScoring(result.scoring);
+        const swiss = result.format === 'swiss';
+        const notes = [
+            swiss ? `${result.sections[0].rounds.length} rounds; ties broken by ${SWISS_TIE_BREAKS[settings.swissTieBreak]}`
+                : `Drawn games: ${ELIMINATION_TIE_BREAKS[settings.eliminationTieBreak]}`,
+            scoringName ? `Scoring: ${scoringName} (games are won on points)` : null
+        ].filter(note => note !== null);
+        
+        const standings = Object.entries(result.aggregated).sort((a, b) => a[1].placing - b[1].placing || a[1].seed - b[1].seed);
+        let html = `
+            <h3>${TOURNAMENT_FORMATS[result.format]} Results</h3>
+            <p style="color: #6c757d;">${notes.join('<br>')}</p>
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="label">Champion</div>
+                    <div class="value">${escapeHtml(result.champion)}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Games Played</div>
+                    <div class="value">${result.matchResults.length}</div>
+                </div>
+        `;
+        
+        standings.forEach(([name, data]) => {
+            html += `
+                <div class="stat-card">
+                    <div class="label">#${data.placing} - ${escapeHtml(name)} (seed ${data.seed})</div>
+                    <div class="value">${data.wins}-${data.draws}-${data.losses}</div>
+                    <div class="label">${swiss ? `Match points: ${data.matchPoints}${data.byes > 0 ? ` (${data.byes} bye${data.byes > 1 ? 's' : ''})` : ''}` : 'Won-drawn-lost'}</div>
+                    <div class="label">Avg: ${data.averageScore.toFixed(2)}, Coop Rate: ${(data.cooperationRate * 100).toFixed(1)}%</div>
+                </div>
+            `;
+        });
+        
+        html += '</div>';
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display summary statistics for population dynamics
+    displayPopulationSummary(result) {
+        const summaryDiv = document.getElementById('summary-stats');
+        
+        // Sort survivors by final share
+        const survivors = [...result.survivors]
+            .sort((a, b) => result.finalShares[b] - result.finalShares[a]);
+        
+        let html = `<h3>Population Dynamics after ${result.generations} Generations</h3><div class="stats-grid">`;
+        
+        survivors.forEach(name => {
+            html += `
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(name)}</div>
+                    <div class="value">${(result.finalShares[name] * 100).toFixed(1)}%</div>
+                    <div class="label">Final Share</div>
+                </div>
+            `;
+        });
+        
+        html += `
+                <div class="stat-card">
+                    <div class="label">Extinct Strategies</div>
+                    <div class="value">${result.extinctions.length}</div>
+                </div>
+            </div>
+        `;
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display final shares and extinction events for population dynamics
+    displayPopulationTable(result) {
+        const tableDiv = document.getElementById('results-table');
+        
+        // Extinct strategies have no final share, so list them by extinction time
+        const extinctionGeneration = {};
+        result.extinctions.forEach(event => {
+            extinctionGeneration[event.name] = event.generation;
+        });
+        
+        const sortedNames = [...result.strategyNames].sort((a, b) => {
+            const shareDiff = result.finalShares[b] - result.finalShares[a];
+            if (shareDiff !== 0) return shareDiff;
+            return extinctionGeneration[b] - extinctionGeneration[a];
+        });
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Strategy</th>
+                            <th>Initial Share</th>
+                            <th>Final Share</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        sortedNames.forEach(name => {
+            const extinct = extinctionGeneration[name] !== undefined;
+            html += `
+                <tr>
+                    <td><strong>${escapeHtml(name)}</strong></td>
+                    <td>${(result.shareHistory[name][0] * 100).toFixed(1)}%</td>
+                    <td>${(result.finalShares[name] * 100).toFixed(2)}%</td>
+                    <td style="color: ${extinct ? '#ef4444' : '#22c55e'}">
+                        ${extinct ? `Extinct at generation ${extinctionGeneration[name]}` : 'Survived'}
+                    </td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Display summary statistics for a Moran process
+    displayMoranSummary(result, fixation) {
+        const summaryDiv = document.getElementById('summary-stats');
+        
+        // Sort strategies by final count
+        const sortedNames = [...result.strategyNames]
+            .sort((a, b) => result.finalCounts[b] - result.finalCounts[a]);
+        
+        let html = `<h3>Moran Process after ${result.generations} Generations</h3><div class="stats-grid">`;
+        
+        sortedNames.forEach(name => {
+            html += `
+                <div class="stat-card">
+                    <div class="label">${escapeHtml(name)}</div>
+                    <div class="value">${result.finalCounts[name]}</div>
+                    <div class="label">Final Count</div>
+                </div>
+            `;
+        });
+        
+        html += `
+                <div class="stat-card">
+                    <div class="label">Neutral Fixation Probability (1/N)</div>
+                    <div class="value">${fixation.neutralProbability.toFixed(3)}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Runs per Invader/Resident Pair</div>
+                    <div class="value">${fixation.runsPerPair}</div>
+                    ${fixation.unresolvedRuns > 0 ? `<div class="label">${fixation.unresolvedRuns} run(s) hit the step limit</div>` : ''}
+                </div>
+            </div>
+        `;
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display fixation probability matrix (invader rows, resident columns)
+    displayFixationMatrix(fixation) {
+        const tableDiv = document.getElementById('payoff-matrix-table');
+        
+        if (!tableDiv) {
+            console.error('Payoff matrix table div not found');
+            return;
+        }
+
+        let html = `
+            <h3 style="margin-bottom: 15px;">Fixation Probabilities (Invader vs. Resident)</h3>
+            <div class="results-table">
+                <table class="payoff-matrix-table">
+                    <thead>
+                        <tr>
+                            <th class="matrix-corner">Invader / Resident</th>
+        `;
+        
+        fixation.strategyNames.forEach(name => {
+            html += `<th class="matrix-header">${escapeHtml(name)}</th>`;
+        });
+        
+        html += `
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        fixation.strategyNames.forEach(invaderName => {
+            html += `<tr><th class="matrix-row-header">${escapeHtml(invaderName)}</th>`;
+            
+            fixation.strategyNames.forEach(residentName => {
+                const probability = fixation.fixationProbabilities[invaderName][residentName];
+                const unresolved = fixation.pairUnresolvedRuns[invaderName][residentName];
+                const unresolvedNote = unresolved > 0 ? `<br><small>${unresolved} unresolved</small>` : '';
+                
+                if (probability === null) {
+                    html += `<td class="matrix-cell">-</td>`;
+                } else if (Number.isNaN(probability)) {
+                    html += `<td class="matrix-cell" title="Every run hit the step limit">?${unresolvedNote}</td>`;
+                } else {
+                    // Green when selection favours the invader, red when it opposes it
+                    let bgColor = 'hsla(60, 70%, 85%, 0.8)';
+                    if (probability > fixation.neutralProbability) bgColor = 'hsla(120, 70%, 85%, 0.8)';
+                    if (probability < fixation.neutralProbability) bgColor = 'hsla(0, 70%, 85%, 0.8)';
+                    
+                    html += `<td class="matrix-cell" style="background-color: ${bgColor}">
+                        <strong>${probability.toFixed(2)}</strong>${unresolvedNote}
+                    </td>`;
+                }
+            });
+            
+            html += `</tr>`;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+            <p style="font-size: 0.9em; color: #6c757d; margin-top: 10px;">
+                <strong>How to read:</strong> Each cell shows the fraction of runs in which a single <strong>row strategy</strong> invader took over a population of the <strong>column strategy</strong>,
+                out of the runs that ended in fixation or extinction; runs that hit the step limit are counted as unresolved (? when none ended).
+                Colors: <span style="color: #22c55e;">Green = above neutral drift (1/N)</span>, <span style="color: #ef4444;">Red = below neutral drift</span>
+            </p>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Display Moran process table
+    displayMoranTable(result, fixation) {
+        const tableDiv = document.getElementById('results-table');
+        
+        // Sort strategies by how well they invade
+        const sortedNames = [...result.strategyNames].sort((a, b) =>
+            this.getMeanFixationAsInvader(fixation, b) - this.getMeanFixationAsInvader(fixation, a));
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Strategy</th>
+                            <th>Final Count</th>
+                            <th>Mean Fixation as Invader</th>
+                            <th>Mean Fixation of Invaders Against It</th>
+                            <th>Favoured Invasions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        sortedNames.forEach(name => {
+            // Count residents this strategy invades better than neutral drift
+            const favoured = fixation.strategyNames.filter(residentName =>
+                residentName !== name && fixation.fixationProbabilities[name][residentName] > fixation.neutralProbability).length;
+            
+            html += `
+                <tr>
+                    <td><strong>${escapeHtml(name)}</strong></td>
+                    <td>${result.finalCounts[name]}</td>
+                    <td>${this.getMeanFixationAsInvader(fixation, name).toFixed(3)}</td>
+                    <td>${this.getMeanFixationAgainstResident(fixation, name).toFixed(3)}</td>
+                    <td>${favoured} / ${fixation.strategyNames.length - 1}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Create best and mean fitness chart of a genetic algorithm
+    createFitnessChart(result) {
+        const ctx = document.getElementById('cooperation-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.cooperationChart) {
+            this.cooperationChart.destroy();
+        }
+
+        this.cooperationChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: result.generations.map(generation => generation.generation),
+                datasets: [
+                    {
+                        label: 'Best Fitness',
+                        data: result.generations.map(generation => generation.bestFitness),
+                        borderColor: 'rgb(34, 197, 94)',
+                        backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                        pointRadius: 0,
+                        tension: 0.3
+                    },
+                    {
+                        label: 'Mean Fitness',
+                        data: result.generations.map(generation => generation.meanFitness),
+                        borderColor: 'rgb(102, 126, 234)',
+                        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                        fill: true,
+                        pointRadius: 0,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Average Points per Game'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Create cooperation rate chart of the population of a genetic algorithm
+    createGeneticCooperationChart(result) {
+        const ctx = document.getElementById('payoff-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.payoffChart) {
+            this.payoffChart.destroy();
+        }
+
+        this.payoffChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: result.generations.map(generation => generation.generation),
+                datasets: [
+                    {
+                        label: 'Population Cooperation Rate',
+                        data: result.generations.map(generation => generation.cooperationRate * 100),
+                        borderColor: 'rgb(118, 75, 162)',
+                        backgroundColor: 'rgba(118, 75, 162, 0.1)',
+                        fill: true,
+                        pointRadius: 0,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Cooperation Rate (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Generation'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Display summary statistics for a genetic algorithm
+    displayGeneticSummary(result) {
+        const summaryDiv = document.getElementById('summary-stats');
+        const first = result.generations[0];
+        const last = result.generations[result.generations.length - 1];
+        const opponents = result.opponents === 'roster'
+            ? `the ${result.opponentNames.length} roster entrants`
+            : 'the rest of the population';
+        
+        summaryDiv.innerHTML = `
+            <h3>Genetic Algorithm after ${result.generations.length} Generations</h3>
+            <p style="color: #6c757d;">
+                Lookup tables over the last ${result.memory} round${result.memory > 1 ? 's' : ''}; fitness is the
+                average points per game against ${opponents}
+            </p>
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="label">Best Fitness</div>
+                    <div class="value">${result.best.fitness.toFixed(2)}</div>
+                    <div class="label">Found in generation ${result.best.generation}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Mean Fitness (First / Last Generation)</div>
+                    <div class="value">${first.meanFitness.toFixed(2)} / ${last.meanFitness.toFixed(2)}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Cooperation Rate (First / Last Generation)</div>
+                    <div class="value">${(first.cooperationRate * 100).toFixed(1)}% / ${(last.cooperationRate * 100).toFixed(1)}%</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Best Genome</div>
+                    <div class="value" style="font-family: monospace; font-size: 1em; word-break: break-all;">${result.best.genome}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Display the best genome of a genetic algorithm: its opening moves, then its move after every history
+    // as a grid of its own last moves (rows) against the opponent's (columns), oldest move first
+    displayGenome(best, memory) {
+        const cell = move => `<span class="replay-cell ${move === COOPERATE ? 'cooperate' : 'defect'}">${move}</span>`;
+        const histories = LookupTableStrategy.getStateHistories(memory);
+        const sequences = histories.map(([my]) => my).filter((my, index, all) => all.indexOf(my) === index);
+        const moves = {};
+        histories.forEach(([my, opponent], index) => {
+            moves[`${my}/${opponent}`] = best.genome[memory + index];
+        });
+        
+        let html = `
+            <p style="margin-bottom: 10px;">
+                Opening move${memory > 1 ? 's' : ''}: ${best.genome.slice(0, memory).split('').map(cell).join(' ')}
+            </p>
+            <table class="genome-table">
+                <thead>
+                    <tr>
+                        <th>My last ${memory > 1 ? `${memory} moves` : 'move'} \ Opponent's</th>
+                        ${sequences.map(opponent => `<th>${opponent}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        sequences.forEach(my => {
+            html += `<tr><th>${my}</th>${sequences.map(opponent => `<td>${cell(moves[`${my}/${opponent}`])}</td>`).join('')}</tr>`;
+        });
+        html += `
+                </tbody>
+            </table>
+        `;
+        
+        document.getElementById('genetic-title').textContent = `Best Evolved Strategy (fitness ${best.fitness.toFixed(2)}, generation ${best.generation})`;
+        document.getElementById('genetic-genome').innerHTML = html;
+        document.getElementById('genetic-container').style.display = 'block';
+    }
+
+    // Display best and mean fitness of every generation of a genetic algorithm
+    displayGeneticTable(result) {
+        const tableDiv = document.getElementById('results-table');
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Generation</th>
+                            <th>Best Fitness</th>
+                            <th>Mean Fitness</th>
+                            <th>Cooperation Rate</th>
+                            <th>Best Genome</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        result.generations.forEach(generation => {
+            html += `
+                <tr>
+                    <td>${generation.generation}</td>
+                    <td>${generation.bestFitness.toFixed(2)}</td>
+                    <td>${generation.meanFitness.toFixed(2)}</td>
+                    <td>${(generation.cooperationRate * 100).toFixed(1)}%</td>
+                    <td style="font-family: monospace;">${generation.bestGenome}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Display summary statistics for the spatial lattice
+    displaySpatialSummary(spatial) {
+        const summaryDiv = document.getElementById('summary-stats');
+        const counts = spatial.countTypes();
+        
+        let html = `<h3>Spatial Lattice - Generation ${spatial.generation}</h3><div class="stats-grid">`;
+        
+        spatial.strategyNames
+            .map((name, type) => ({ name, count: counts[type] }))
+            .sort((a, b) => b.count - a.count)
+            .forEach(({ name, count }) => {
+                html += `
+                    <div class="stat-card">
+                        <div class="label">${escapeHtml(name)}</div>
+                        <div class="value">${((count / spatial.grid.length) * 100).toFixed(1)}%</div>
+                        <div class="label">${count} cells</div>
+                    </div>
+                `;
+            });
+        
+        html += `
+                <div class="stat-card">
+                    <div class="label">Cells Changed Last Generation</div>
+                    <div class="value">${spatial.lastChanges}</div>
+                </div>
+            </div>
+        `;
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display per-strategy lattice statistics
+    displaySpatialTable(spatial) {
+        const tableDiv = document.getElementById('results-table');
+        const counts = spatial.countTypes();
+        const gamesPerCell = spatial.neighbors[0].length;
+        
+        // Average score per game earned by each strategy in the last generation played
+        const scoreTotals = spatial.roster.map(() => 0);
+        const scoredCounts = spatial.roster.map(() => 0);
+        spatial.scoredGrid.forEach((type, i) => {
+            scoreTotals[type] += spatial.scores[i];
+            scoredCounts[type]++;
+        });
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Strategy</th>
+                            <th>Cells</th>
+                            <th>Share</th>
+                            <th>Initial Share</th>
+                            <th>Avg Score per Game (Last Generation)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        spatial.strategyNames.forEach((name, type) => {
+            const averageScore = spatial.generation > 0 && scoredCounts[type] > 0
+                ? (scoreTotals[type] / (scoredCounts[type] * gamesPerCell)).toFixed(2)
+                : '-';
+            
+            html += `
+                <tr>
+                    <td><span class="legend-swatch" style="background: ${this.strategyColor(type)}"></span><strong>${escapeHtml(name)}</strong></td>
+                    <td>${counts[type]}</td>
+                    <td>${((counts[type] / spatial.grid.length) * 100).toFixed(1)}%</td>
+                    <td>${(spatial.frequencyHistory[name][0] * 100).toFixed(1)}%</td>
+                    <td>${averageScore}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Create group cooperation chart: the share of members cooperating in each round and on average so far
+    createGroupCooperationChart(result) {
+        const ctx = document.getElementById('cooperation-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.cooperationChart) {
+            this.cooperationChart.destroy();
+        }
+
+        const groupSize = result.strategyNames.length;
+        const rounds = result.roundHistory.map(r => r.round);
+        const roundData = result.roundHistory.map(r => (r.cooperators / groupSize) * 100);
+        let totalCooperators = 0;
+        const averageData = result.roundHistory.map((r, index) => {
+            totalCooperators += r.cooperators;
+            return (totalCooperators / ((index + 1) * groupSize)) * 100;
+        });
+
+        this.cooperationChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: rounds,
+                datasets: [
+                    {
+                        label: 'Members Cooperating',
+                        data: roundData,
+                        borderColor: 'rgb(102, 126, 234)',
+                        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                        fill: true,
+                        stepped: true
+                    },
+                    {
+                        label: 'Average So Far',
+                        data: averageData,
+                        borderColor: 'rgb(34, 197, 94)',
+                        backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                        borderDash: [5, 5],
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Group Cooperation (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Round'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Create cumulative payoff chart with a line per group member
+    createGroupPayoffChart(result) {
+        const ctx = document.getElementById('payoff-chart');
+        
+        // Destroy existing chart if it exists
+        if (this.payoffChart) {
+            this.payoffChart.destroy();
+        }
+
+        const datasets = result.strategyNames.map((name, index) => ({
+            label: name,
+            data: result.roundHistory.map(r => r.cumScores[index]),
+            borderColor: this.strategyColor(index),
+            backgroundColor: this.strategyColor(index, 0.1),
+            pointRadius: 0,
+            tension: 0.3
+        }));
+
+        this.payoffChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: result.roundHistory.map(r => r.round),
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: false
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Cumulative Score'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Round'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Display summary statistics for an N-player game
+    displayGroupSummary(result, payoffLabel) {
+        const summaryDiv = document.getElementById('summary-stats');
+        const rounds = result.roundHistory.length;
+        const totalScore = result.finalScores.reduce((sum, score) => sum + score, 0);
+        const best = result.finalScores.indexOf(Math.max(...result.finalScores));
+        
+        const html = `
+            <h3>${payoffLabel}: ${result.strategyNames.length} Members</h3>
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="label">Group Cooperation Rate</div>
+                    <div class="value">${(result.groupCooperationRate * 100).toFixed(1)}%</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Total Rounds</div>
+                    <div class="value">${rounds}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Average Payoff per Member per Round</div>
+                    <div class="value">${rounds > 0 ? (totalScore / (result.strategyNames.length * rounds)).toFixed(2) : '-'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Everyone Cooperates / Everyone Defects</div>
+                    <div class="value">${result.fullCooperationPayoff.toFixed(2)} / ${result.fullDefectionPayoff.toFixed(2)}</div>
+                    <div class="label">Payoff per member per round</div>
+                </div>
+                <div class="stat-card">
+                    <div class="label">Highest Score</div>
+                    <div class="value">${escapeHtml(result.strategyNames[best])}</div>
+                    <div class="label">${result.finalScores[best].toFixed(2)}</div>
+                </div>
+            </div>
+        `;
+        
+        summaryDiv.innerHTML = html;
+    }
+
+    // Display the members of an N-player game ranked by score
+    displayGroupTable(result) {
+        const tableDiv = document.getElementById('results-table');
+        const rounds = result.roundHistory.length;
+        
+        const order = result.strategyNames.map((_, index) => index)
+            .sort((a, b) => result.finalScores[b] - result.finalScores[a]);
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Rank</th>
+                            <th>Member</th>
+                            <th>Final Score</th>
+                            <th>Average Payoff per Round</th>
+                            <th>Cooperation Rate</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        order.forEach((index, rank) => {
+            html += `
+                <tr>
+                    <td>${rank + 1}</td>
+                    <td><strong>${escapeHtml(result.strategyNames[index])}</strong></td>
+                    <td>${result.finalScores[index].toFixed(2)}</td>
+                    <td>${rounds > 0 ? (result.finalScores[index] / rounds).toFixed(2) : '-'}</td>
+                    <td>${(result.cooperationRates[index] * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Display detailed results table for pairwise
+    displayPairwiseTable(result) {
+        const tableDiv = document.getElementById('results-table');
+        
+        // Show only first 20 rounds and last 10 rounds if more than 30 rounds
+        let roundsToShow = result.roundHistory;
+        let truncated = false;
+        
+        if (result.roundHistory.length > 30) {
+            roundsToShow = [
+                ...result.roundHistory.slice(0, 20),
+                ...result.roundHistory.slice(-10)
+            ];
+            truncated = true;
+        }
+        
+        let html = `
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Round</th>
+                            <th>${escapeHtml(result.strategy1Name)} Move</th>
+                            <th>${escapeHtml(result.strategy2Name)} Move</th>
+                            <th>${escapeHtml(result.strategy1Name)} Payoff</th>
+                            <th>${escapeHtml(result.strategy2Name)} Payoff</th>
+                            <th>${escapeHtml(result.strategy1Name)} Cumulative</th>
+                            <th>${escapeHtml(result.strategy2Name)} Cumulative</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        roundsToShow.forEach((round, index) => {
+            if (truncated && index === 20) {
+                html += `<tr><td colspan="7" style="text-align:center; font-style:italic;">... (rounds ${21} - ${result.roundHistory.length - 10} omitted) ...</td></tr>`;
+            }
+            
+            html += `
+                <tr>
+                    <td>${round.round}</td>
+                    <td style="color: ${round.move1 === COOPERATE ? '#22c55e' : '#ef4444'}">
+                        ${this.formatMove(round.move1, round.intendedMove1, round.perceived1)}
+                    </td>
+                    <td style="color: ${round.move2 === COOPERATE ? '#22c55e' : '#ef4444'}">
+                        ${this.formatMove(round.move2, round.intendedMove2, round.perceived2)}
+                    </td>
+                    <td>${round.payoff1.toFixed(2)}</td>
+                    <td>${round.payoff2.toFixed(2)}</td>
+                    <td>${round.cumScore1.toFixed(2)}</td>
+                    <td>${round.cumScore2.toFixed(2)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                    </tbody>
+                </table>
+            </div>
+            <p style="font-size: 0.9em; color: #6c757d; margin-top: 10px;">
+                <strong>*</strong> move was executed as the opposite of the intended move (implementation error),
+                <strong>&dagger;</strong> move was misread by the opponent (perception error)
+            </p>
+        `;
+        
+        tableDiv.innerHTML = html;
+    }
+
+    // Display the analytical check of a run: the expected payoffs of each pairing next to the simulated ones,
+    // pairings that deviate first
+    displayAnalytical(analytical) {
+        const container = document.getElementById('analytical-container');
+        if (!analytical) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const summary = document.getElementById('analytical-summary');
+        summary.textContent = `${analytical.analyzed} of ${analytical.pairings.length} pairing${analytical.pairings.length !== 1 ? 's' : ''} computed ` +
+            `analytically (exact when no random moves are drawn and there is no noise, otherwise from the Markov chain of ` +
+            `two memory-one strategies); ${analytical.deviations} deviate by more than ${analytical.threshold} standard ` +
+            `errors (or at all, when exact)`;
+        summary.classList.toggle('deviating', analytical.deviations > 0);
+        
+        const overLength = analytical.pairings.some(pairing => pairing.expectedOverLength);
+        const pair = values => `${values[0].toFixed(2)} &ndash; ${values[1].toFixed(2)}`;
+        const formatDeviation = pairing => {
+            if (pairing.method === 'exact') {
+                return pairing.deviates ? 'differs' : 'none';
+            }
+            return pairing.deviation.map(value => value === null ? 'differs' : value.toFixed(1)).join(' / ');
+        };
+        
+        let html = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Pairing</th>
+                        <th>Method</th>
+                        <th>Rounds</th>
+                        <th>Expected</th>
+                        <th>Simulated</th>
+                        <th>Deviation</th>
+                        ${overLength ? '<th>Expected over Game Length</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        const pairings = analytical.pairings.filter(pairing => pairing.deviates)
+            .concat(analytical.pairings.filter(pairing => !pairing.deviates));
+        pairings.forEach(pairing => {
+            const method = pairing.method
+                ? PAYOFF_CALCULATION_METHODS[pairing.method]
+                : `&mdash; <span class="analytical-reason">${pairing.reason}</span>`;
+            let expected = pairing.expected ? pair(pairing.expected) : '&mdash;';
+            if (pairing.method === 'markov') {
+                expected += ` <span class="analytical-reason">(&plusmn; ${pairing.standardError.map(value => value.toFixed(2)).join(' / ')})</span>`;
+            }
+            html += `
+                <tr${pairing.deviates ? ' class="analytical-deviation"' : ''}>
+                    <td>${escapeHtml(pairing.strategy1Name)} vs ${escapeHtml(pairing.strategy2Name)}</td>
+                    <td>${method}</td>
+                    <td>${pairing.rounds.toFixed(pairing.games > 1 ? 1 : 0)}${pairing.games > 1 ? ` (mean of ${pairing.games} games)` : ''}</td>
+                    <td>${expected}</td>
+                    <td>${pair(pairing.simulated)}</td>
+                    <td>${pairing.deviation ? formatDeviation(pairing) : '&mdash;'}</td>
+                    ${overLength ? `<td>${pairing.expectedOverLength ? pair(pairing.expectedOverLength) : '&mdash;'}</td>` : ''}
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+        `;
+        
+        document.getElementById('analytical-table').innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    // Build the replay of a pairwise match: a ribbon with a column per round (event rounds marked)
+    // and the list of events; updateReplayView then moves through it
+    displayReplay(result, events) {
+        const eventRounds = {};
+        events.forEach(event => {
+            eventRounds[event.round] = [...(eventRounds[event.round] || []), event.text];
+        });
+        
+        const moveCell = (move, intendedMove, perceivedMove) => {
+            const marks = (move !== intendedMove ? '*' : '') + (move !== perceivedMove ? '&dagger;' : '');
+            return `<span class="replay-cell ${move === COOPERATE ? 'cooperate' : 'defect'}">${move}${marks ? `<sup>${marks}</sup>` : ''}</span>`;
+        };
+        
+        let ribbon = `
+            <div class="replay-column replay-names">
+                <span class="replay-marker"></span>
+                <span class="replay-name" title="${escapeHtml(result.strategy1Name)}">${escapeHtml(result.strategy1Name)}</span>
+                <span class="replay-name" title="${escapeHtml(result.strategy2Name)}">${escapeHtml(result.strategy2Name)}</span>
+            </div>
+        `;
+        result.roundHistory.forEach(round => {
+            const texts = eventRounds[round.round];
+            ribbon += `
+                <div class="replay-column" data-round="${round.round}" title="Round ${round.round}${texts ? ': ' + escapeHtml(texts.join('; ')) : ''}">
+                    <span class="replay-marker">${texts ? '&#9660;' : ''}</span>
+                    ${moveCell(round.move1, round.intendedMove1, round.perceived1)}
+                    ${moveCell(round.move2, round.intendedMove2, round.perceived2)}
+                </div>
+            `;
+        });
+        document.getElementById('replay-ribbon').innerHTML = ribbon;
+        
+        document.getElementById('replay-events').innerHTML = events.length > 0
+            ? events.map(event => `
+                <li class="replay-event ${event.type}" data-round="${event.round}">
+                    <span class="replay-event-round">${event.endRound > event.round ? `Rounds ${event.round}-${event.endRound}` : `Round ${event.round}`}</span>
+                    ${escapeHtml(event.text)}
+                </li>
+            `).join('')
+            : '<li>No defections, retaliations or triggers in this match</li>';
+        
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.max = result.roundHistory.length;
+    }
+    
+    // Show the match as it stood after the given round (0 = before the first round): reveal the ribbon up to it,
+    // update the live score and events, and move the chart cursors
+    updateReplayView(result, events, round) {
+        const total = result.roundHistory.length;
+        const current = round > 0 ? result.roundHistory[round - 1] : null;
+        
+        document.querySelectorAll('#replay-ribbon .replay-column[data-round]').forEach(column => {
+            const columnRound = parseInt(column.dataset.round);
+            column.classList.toggle('upcoming', columnRound > round);
+            column.classList.toggle('current', columnRound === round);
+        });
+        const currentColumn = document.querySelector(`#replay-ribbon .replay-column[data-round="${round}"]`);
+        if (currentColumn) {
+            const ribbon = document.getElementById('replay-ribbon');
+            const left = currentColumn.offsetLeft - ribbon.offsetLeft;
+            if (left < ribbon.scrollLeft || left > ribbon.scrollLeft + ribbon.clientWidth - currentColumn.offsetWidth) {
+                ribbon.scrollLeft = left - ribbon.clientWidth / 2;
+            }
+        }
+        
+        document.getElementById('replay-scrubber').value = round;
+        document.getElementById('replay-round').textContent = `Round ${round} of ${total}`;
+        
+        const player = (name, score, move, intendedMove, perceivedMove, payoff) => `
+            <div class="stat-card">
+                <div class="label">${escapeHtml(name)}</div>
+                <div class="value">${score.toFixed(2)}</div>
+                <div class="replay-last-move">${move ? `${this.formatMove(move, intendedMove, perceivedMove)} (+${payoff.toFixed(2)})` : 'No moves yet'}</div>
+            </div>
+        `;
+        document.getElementById('replay-score').innerHTML = `
+            ${player(result.strategy1Name, current ? current.cumScore1 : 0, current && current.move1, current && current.intendedMove1, current && current.perceived1, current && current.payoff1)}
+            ${player(result.strategy2Name, current ? current.cumScore2 : 0, current && current.move2, current && current.intendedMove2, current && current.perceived2, current && current.payoff2)}
+        `;
+        
+        // Events that have happened are shown normally, the one at this round is highlighted
+        document.querySelectorAll('#replay-events .replay-event').forEach(item => {
+            const eventRound = parseInt(item.dataset.round);
+            item.classList.toggle('upcoming', eventRound > round);
+            item.classList.toggle('current', eventRound === round);
+        });
+        
+        this.replayRound = round;
+        [this.cooperationChart, this.payoffChart, this.learningChart].forEach(chart => {
+            if (chart) chart.draw();
+        });
+    }
+    
+    // Show an interactive match from the person's side (player 1): the payoff matrix with the outcome of
+    // the last round highlighted, and both running scores
+    displayPlayView(result, payoffMatrix) {
+        const last = result.roundHistory[result.roundHistory.length - 1] || null;
+        const moves = [[COOPERATE, 'Cooperate'], [DEFECT, 'Defect']];
+        
+        let html = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(result.strategy1Name)} \\ ${escapeHtml(result.strategy2Name)}</th>
+                        ${moves.map(([, label]) => `<th>${label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        moves.forEach(([move1, label]) => {
+            html += `<tr><th>${label}</th>`;
+            moves.forEach(([move2]) => {
+                const [payoff1, payoff2] = payoffMatrix.getPayoff(move1, move2);
+                const isLast = last && last.move1 === move1 && last.move2 === move2;
+                html += `<td class="${isLast ? 'last-outcome' : ''}">${payoff1}, ${payoff2}</td>`;
+            });
+            html += `</tr>`;
+        });
+        html += `
+                </tbody>
+            </table>
+            <p style="font-size: 0.9em; color: #6c757d; margin-top: 10px;">
+                Each cell shows your payoff, then ${escapeHtml(result.strategy2Name)}'s.
+                ${last ? 'The highlighted cell is what was played last round.' : ''}
+            </p>
+        `;
+        document.getElementById('play-matrix').innerHTML = html;
+        
+        const player = (name, score, move, intendedMove, perceivedMove, payoff) => `
+            <div class="stat-card">
+                <div class="label">${escapeHtml(name)}</div>
+                <div class="value">${score.toFixed(2)}</div>
+                <div class="replay-last-move">${move ? `${this.formatMove(move, intendedMove, perceivedMove)} (+${payoff.toFixed(2)})` : 'No moves yet'}</div>
+            </div>
+        `;
+        document.getElementById('play-score').innerHTML = `
+            ${player(result.strategy1Name, last ? last.cumScore1 : 0, last && last.move1, last && last.intendedMove1, last && last.perceived1, last && last.payoff1)}
+            ${player(result.strategy2Name, last ? last.cumScore2 : 0, last && last.move2, last && last.intendedMove2, last && last.perceived2, last && last.payoff2)}
+        `;
+    }
+    
+    // Compare the person's score to how every built-in strategy would have scored against the same
+    // opponent (rows from InteractiveMatch.compareStrategies)
+    displayPlayComparison(rows, opponentName) {
+        const rank = rows.findIndex(row => row.isPlayer) + 1;
+        
+        let html = `
+            <h4>How Would the Built-in Strategies Have Done?</h4>
+            <p style="font-size: 0.9em; color: #6c757d; margin-bottom: 10px;">
+                Each strategy played ${escapeHtml(opponentName)} for the same number of rounds. You placed
+                <strong>${rank} of ${rows.length}</strong>.
+            </p>
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Rank</th>
+                            <th>Strategy</th>
+                            <th>Score</th>
+                            <th>${escapeHtml(opponentName)} Score</th>
+                            <th>Cooperation Rate</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        rows.forEach((row, index) => {
+            html += `
+                <tr class="${row.isPlayer ? 'player-row' : ''}">
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(row.name)}</td>
+                    <td>${row.score.toFixed(2)}</td>
+                    <td>${row.opponentScore.toFixed(2)}</td>
+                    <td>${(row.cooperationRate * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        html += `
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        const container = document.getElementById('play-comparison');
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    // Format a played move, marking implementation and perception errors
+    formatMove(move, intendedMove, perceivedMove) {
+        let text = move === COOPERATE ? 'Cooperate' : 'Defect';
+        if (move !== intendedMove) text += ' *';
+        if (move !== perceivedMove) text += ' &dagger;';
+        return text;
+    }
+
+    // Display payoff matrix
+    displayPayoffMatrix(payoffMatrix, strategyNames) {
+        const tableDiv = document.getElementById('payoff-matrix-table');
+        
+        if (!tableDiv) {
+            console.error('Payoff matrix table div not found');
+            return;
+        }
+
+        let html = `
+            <h3 style="margin-bottom: 15px;">Payoff Matrix (Scores by Matchup)</h3>
+            <div class="results-table">
+                <table class="payoff-matrix-table">
+                    <thead>
+                        <tr>
+                            <th class="matrix-corner">vs.</th>
+        `;
+        
+        // Column headers
+        strategyNames.forEach(name => {
+            html += `<th class="matrix-header">${escapeHtml(name)}</th>`;
+        });
+        
+        html += `
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+        
+        // Find min and max for color scaling
+        let minScore = Infinity;
+        let maxScore = -Infinity;
+        strategyNames.forEach(name1 => {
+            strategyNames.forEach(name2 => {
+                const score = payoffMatrix[name1][name2];
+                if (score !== null) {
+                    minScore = Math.min(minScore, score);
+                    maxScore = Math.max(maxScore, score);
+                }
+            });
+        });
+        
+        // Rows
+        strategyNames.forEach(name1 => {
+            html += `<tr><th class="matrix-row-header">${escapeHtml(name1)}</th>`;
+            
+            strategyNames.forEach(name2 => {
+                const score = payoffMatrix[name1][name2];
+                
+                if (score === null) {
+                    html += `<td class="matrix-cell">-</td>`;
+                } else {
+                    // Color based on score (green = high, red = low)
+                    const normalized = (score - minScore) / (maxScore - minScore);
+                    const hue = normalized * 120; // 0 (red) to 120 (green)
+                    const bgColor = `hsla(${hue}, 70%, 85%, 0.8)`;
+                    
+                    html += `<td class="matrix-cell" style="background-color: ${bgColor}">
+                        <strong>${score.toFixed(1)}</strong>
                     </td>`;
                 }
             });
@@ -529,13 +2458,17 @@ class Visualizer {
         tableDiv.innerHTML = html;
     }
 
-    // Display round-robin table
-    displayRoundRobinTable(matchResults, aggregated) {
+    // Display round-robin table (under another scoring scheme than total payoff, matches also show the
+    // points of each player and are won on points). Swiss and elimination results are ranked by their
+    // placing, show each entrant's record and the round of each match
+    displayRoundRobinTable(matchResults, aggregated, scoring = null) {
         const tableDiv = document.getElementById('results-table');
+        const scored = this.describeScoring(scoring) !== '';
+        const repeated = matchResults.some(result => result.repetition > 1);
+        const staged = matchResults.some(result => result.stage !== undefined);
         
-        // Sort strategies by average score
-        const sortedStrategies = Object.entries(aggregated)
-            .sort((a, b) => b[1].averageScore - a[1].averageScore);
+        // Sort strategies by placing or average score
+        const standings = getStandings(aggregated);
         
         let html = `
             <div class="results-table">
@@ -544,6 +2477,7 @@ class Visualizer {
                         <tr>
                             <th>Rank</th>
                             <th>Strategy</th>
+                            ${staged ? '<th>Won-Drawn-Lost</th>' : ''}
                             <th>Average Score</th>
                             <th>Total Score</th>
                             <th>Games Played</th>
@@ -553,15 +2487,16 @@ class Visualizer {
                     <tbody>
         `;
         
-        sortedStrategies.forEach(([name, data], index) => {
+        standings.forEach(row => {
             html += `
                 <tr>
-                    <td>${index + 1}</td>
-                    <td><strong>${name}</strong></td>
-                    <td>${data.averageScore.toFixed(2)}</td>
-                    <td>${data.totalScore.toFixed(2)}</td>
-                    <td>${data.gamesPlayed}</td>
-                    <td>${(data.cooperationRate * 100).toFixed(1)}%</td>
+                    <td>${row.rank}</td>
+                    <td><strong>${escapeHtml(row.strategy)}</strong></td>
+                    ${staged ? `<td>${row.wins}-${row.draws}-${row.losses}</td>` : ''}
+                    <td>${row.averageScore.toFixed(2)}</td>
+                    <td>${row.totalScore.toFixed(2)}</td>
+                    <td>${row.gamesPlayed}</td>
+                    <td>${(row.cooperationRate * 100).toFixed(1)}%</td>
                 </tr>
             `;
         });
@@ -577,10 +2512,13 @@ class Visualizer {
                     <thead>
                         <tr>
                             <th>Match</th>
+                            ${repeated ? '<th>Repetition</th>' : ''}
+                            ${staged ? '<th>Round</th>' : ''}
                             <th>Strategy 1</th>
                             <th>Strategy 2</th>
                             <th>Score 1</th>
                             <th>Score 2</th>
+                            ${scored ? '<th>Points 1</th><th>Points 2</th>' : ''}
                             <th>Winner</th>
                         </tr>
                     </thead>
@@ -588,17 +2526,21 @@ class Visualizer {
         `;
         
         matchResults.forEach((result, index) => {
-            const winner = result.finalScore1 > result.finalScore2 ? result.strategy1Name :
-                          result.finalScore2 > result.finalScore1 ? result.strategy2Name : 'Tie';
+            const [score1, score2] = scored ? [result.points1, result.points2] : [result.finalScore1, result.finalScore2];
+            const winner = score1 > score2 ? result.strategy1Name :
+                          score2 > score1 ? result.strategy2Name : 'Tie';
             
             html += `
                 <tr>
                     <td>${index + 1}</td>
-                    <td>${result.strategy1Name}</td>
-                    <td>${result.strategy2Name}</td>
+                    ${repeated ? `<td>${result.repetition}</td>` : ''}
+                    ${staged ? `<td>${result.stage}</td>` : ''}
+                    <td>${escapeHtml(result.strategy1Name)}</td>
+                    <td>${escapeHtml(result.strategy2Name)}</td>
                     <td>${result.finalScore1.toFixed(2)}</td>
                     <td>${result.finalScore2.toFixed(2)}</td>
-                    <td><strong>${winner}</strong></td>
+                    ${scored ? `<td>${result.points1.toFixed(2)}</td><td>${result.points2.toFixed(2)}</td>` : ''}
+                    <td><strong>${escapeHtml(winner)}</strong></td>
                 </tr>
             `;
         });
@@ -612,6 +2554,117 @@ class Visualizer {
         tableDiv.innerHTML = html;
     }
 
+    // Draw the rounds of a Swiss or elimination tournament, one column per round and one box per match
+    // with the winner highlighted (byes and matches not decided on points are noted)
+    displayBracket(result) {
+        const notes = {
+            replay: match => `Decided after ${match.games} games`,
+            cooperation: () => 'Drawn; decided on cooperation rate',
+            seed: () => 'Drawn; decided on seed',
+            draw: () => 'Draw'
+        };
+        const formatPoints = points => Number.isInteger(points) ? points : points.toFixed(2);
+        
+        let html = '';
+        result.sections.forEach(section => {
+            if (section.rounds.length === 0) return;
+            if (result.sections.length > 1) {
+                html += `<h4>${section.name}</h4>`;
+            }
+            html += '<div class="bracket-section">';
+            section.rounds.forEach(round => {
+                html += `<div class="bracket-round"><div class="bracket-round-name">${round.name}</div>`;
+                round.matches.forEach(match => {
+                    const player = (name, points) => `
+                        <div class="bracket-player${match.winner === name ? ' winner' : ''}">
+                            <span>${escapeHtml(name)}</span><span>${points !== null ? formatPoints(points) : ''}</span>
+                        </div>`;
+                    const note = notes[match.decidedBy] ? notes[match.decidedBy](match) : '';
+                    html += `
+                        <div class="bracket-match">
+                            ${player(match.player1, match.points1)}
+                            ${match.player2 !== null ? player(match.player2, match.points2) : '<div class="bracket-player bye">Bye</div>'}
+                            ${note ? `<div class="bracket-note">${note}</div>` : ''}
+                        </div>
+                    `;
+                });
+                html += '</div>';
+            });
+            html += '</div>';
+        });
+        
+        document.getElementById('bracket-title').textContent = `${TOURNAMENT_FORMATS[result.format]}: ${result.champion} wins`;
+        document.getElementById('bracket-view').innerHTML = html;
+        document.getElementById('bracket-container').style.display = 'block';
+    }
+
+    // Draw the T-S plane (payoffs scaled so that R = 1 and P = 0) with the quadrant of each game class, and
+    // mark where each player's payoffs fall (points: [{ label, t, s }]; points off the chart sit on its edge)
+    drawGameClassDiagram(points) {
+        const canvas = document.getElementById('ts-plane');
+        const ctx = canvas.getContext('2d');
+        const margin = 28;
+        const plot = canvas.width - 2 * margin;
+        const x = t => margin + Math.max(0, Math.min(2, t)) / 2 * plot;
+        const y = s => margin + (1 - Math.max(-1, Math.min(1, s))) / 2 * plot;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Quadrants as [class, lowest T, highest S]
+        const quadrants = [['harmony', 0, 1], ['snowdrift', 1, 1], ['stagHunt', 0, 0], ['prisonersDilemma', 1, 0]];
+        quadrants.forEach(([gameClass, t, s], index) => {
+            ctx.fillStyle = this.strategyColor(index + 1, 0.15);
+            ctx.fillRect(x(t), y(s), plot / 2, plot / 2);
+            ctx.fillStyle = '#495057';
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(GAME_CLASSES[gameClass].shortName, x(t + 0.5), y(s - 0.5) + 4);
+        });
+
+        // Axes and their ticks
+        ctx.strokeStyle = '#adb5bd';
+        ctx.strokeRect(margin, margin, plot, plot);
+        ctx.beginPath();
+        ctx.moveTo(x(1), y(1));
+        ctx.lineTo(x(1), y(-1));
+        ctx.moveTo(x(0), y(0));
+        ctx.lineTo(x(2), y(0));
+        ctx.stroke();
+        ctx.fillStyle = '#6c757d';
+        ctx.font = '10px sans-serif';
+        [0, 1, 2].forEach(t => ctx.fillText(String(t), x(t), y(-1) + 12));
+        ctx.textAlign = 'right';
+        [-1, 0, 1].forEach(s => ctx.fillText(String(s), x(0) - 4, y(s) + 3));
+        ctx.textAlign = 'center';
+        ctx.fillText('T', x(1), canvas.height - 2);
+        ctx.fillText('S', 8, y(0) + 3);
+
+        points.filter(point => point.t !== null).forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(x(point.t), y(point.s), 7, 0, 2 * Math.PI);
+            ctx.fillStyle = this.strategyColor(index === 0 ? 0 : 4);
+            ctx.fill();
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 10px sans-serif';
+            ctx.fillText(point.label, x(point.t), y(point.s) + 3);
+        });
+    }
+
+    // Describe the game class of each player's payoffs next to the T-S plane
+    // (players: [{ label, gameClass, point }], with gameClass a key of GAME_CLASSES or null)
+    displayGameClass(players) {
+        document.getElementById('game-class-label').innerHTML = players.map(player => {
+            const gameClass = GAME_CLASSES[player.gameClass];
+            const description = gameClass
+                ? `<strong>${gameClass.name}</strong> (${gameClass.order})`
+                : `<strong>No standard class</strong>${player.point ? ' (on a boundary between classes)' : ''}`;
+            const position = player.point
+                ? `T = ${player.point.t.toFixed(2)}, S = ${player.point.s.toFixed(2)} with R = 1, P = 0`
+                : 'R &le; P: not in the T-S plane';
+            return `<p>${player.label ? `${player.label}: ` : ''}${description}<br><small>${position}</small></p>`;
+        }).join('');
+    }
+
     // Clear all visualizations
     clear() {
         if (this.cooperationChart) {
@@ -622,6 +2675,11 @@ class Visualizer {
             this.payoffChart.destroy();
             this.payoffChart = null;
         }
+        if (this.learningChart) {
+            this.learningChart.destroy();
+            this.learningChart = null;
+        }
+        this.replayRound = null;
         document.getElementById('summary-stats').innerHTML = '<p>Run a simulation to see results</p>';
         document.getElementById('results-table').innerHTML = '';
     }
@@ -0,0 +1,27 @@
+// Simulation Worker - Runs jobs (see jobs.js) off the page's main thread
+// Messages in: { job }; messages out: { type: 'progress', fraction, text }, { type: 'result', result }
+// or { type: 'error', message }
+
+importScripts(
+    'simulation.js', 'rules.js', 'evolution.js', 'genetic.js', 'spatial.js', 'group.js', 'analysis.js',
+    'replication.js', 'formats.js', 'sweep.js', 'config.js', 'export.js', 'jobs.js'
+);
+
+// Progress messages are limited to about ten a second; the page cannot show more
+const PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = event => {
+    const job = event.data.job;
+    let lastProgress = 0;
+    try {
+        const result = runExperimentJob(job, (fraction, text) => {
+            const now = Date.now();
+            if (now - lastProgress < PROGRESS_INTERVAL_MS && fraction < 1) return;
+            lastProgress = now;
+            self.postMessage({ type: 'progress', fraction: fraction, text: text });
+        });
+        self.postMessage({ type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};